@@ -0,0 +1,126 @@
+/**
+ * Conversion diagnostics
+ *
+ * The rich text converters report problems (unresolved entries and assets,
+ * unknown node types, marks and content types, empty components) as
+ * structured diagnostics instead of HTML comments or console warnings:
+ *
+ *   { severity, code, path, entryId, assetId, contentType, message }
+ *
+ * `path` locates the node in the document, e.g. "content[4].content[0]";
+ * nodes of a nested rich text entry continue from the embedding node:
+ * "content[4]/<entryId>.content[0]". Pass an array as `options.diagnostics`
+ * to collect them, and aggregate per run with createIssueReport().
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Record the path of every node under `nodes` (only for nodes not seen yet)
+ * @param {Array} nodes - Rich text nodes
+ * @param {string} prefix - Path of the array holding them ("content" for a document)
+ * @param {WeakMap} paths - node → path
+ */
+export function indexNodePaths(nodes, prefix, paths) {
+  (nodes || []).forEach((node, i) => {
+    if (!node || typeof node !== 'object' || paths.has(node)) return;
+    const nodePath = `${prefix}[${i}]`;
+    paths.set(node, nodePath);
+    indexNodePaths(node.content, `${nodePath}.content`, paths);
+  });
+}
+
+/**
+ * Add a diagnostic for a node to the conversion context
+ * @param {Object} context - Converter context ({ diagnostics, paths })
+ * @param {Object} node - Node the diagnostic is about
+ * @param {Object} details - { severity, code, message, entryId, assetId, contentType }
+ */
+export function diagnose(context, node, details) {
+  if (!context.diagnostics) return;
+  context.diagnostics.push({
+    severity: details.severity || 'warning',
+    code: details.code,
+    path: (node && context.paths?.get(node)) || '',
+    entryId: details.entryId || null,
+    assetId: details.assetId || null,
+    contentType: details.contentType || null,
+    message: details.message,
+  });
+}
+
+/**
+ * True when any diagnostic is at or above `threshold`
+ */
+export function hasIssues(diagnostics, threshold = 'error') {
+  const limit = SEVERITIES.indexOf(threshold);
+  return diagnostics.some(d => SEVERITIES.indexOf(d.severity) <= limit);
+}
+
+/**
+ * Collect the diagnostics of every page converted in a run
+ */
+export function createIssueReport() {
+  const pages = [];
+
+  const report = {
+    /**
+     * @param {string} page - Page slug
+     * @param {Array} diagnostics - Diagnostics of the page's conversions
+     */
+    add(page, diagnostics) {
+      if (diagnostics.length > 0) pages.push({ page, diagnostics });
+      return report;
+    },
+
+    /**
+     * Counts by severity and by code
+     */
+    summary() {
+      const bySeverity = { error: 0, warning: 0, info: 0 };
+      const byCode = {};
+      for (const { diagnostics } of pages) {
+        for (const d of diagnostics) {
+          bySeverity[d.severity]++;
+          byCode[d.code] = (byCode[d.code] || 0) + 1;
+        }
+      }
+      return { pages: pages.length, bySeverity, byCode };
+    },
+
+    /**
+     * Print the totals and the most common issues
+     */
+    print() {
+      const { pages: pageCount, bySeverity, byCode } = report.summary();
+      if (pageCount === 0) {
+        console.log('✅ No conversion issues');
+        return;
+      }
+      console.log(`⚠️  Conversion issues on ${pageCount} page(s): ${bySeverity.error} errors, ${bySeverity.warning} warnings, ${bySeverity.info} info`);
+      Object.entries(byCode)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([code, count]) => console.log(`   • ${code}: ${count}`));
+    },
+
+    /**
+     * Save the report as JSON; a run without issues writes an empty report,
+     * so the previous run's issues don't look current
+     * @returns {string} File path
+     */
+    write(filePath) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        ...report.summary(),
+        issues: pages,
+      }, null, 2));
+      return filePath;
+    },
+  };
+
+  return report;
+}
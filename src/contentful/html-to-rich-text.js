@@ -0,0 +1,516 @@
+#!/usr/bin/env node
+
+/**
+ * WordPress HTML to Contentful Rich Text Converter
+ *
+ * Inverse of rich-text-to-html.js, for pushing edits made in WordPress back
+ * to Contentful. Understands the markup richTextToHtml writes (classic or
+ * block format): headings (generated IDs are dropped), paragraphs with marks
+ * and links, lists, quotes, tables, `wp-block-image` figures and the
+ * [contentful_table|chart|cards|form|toc] shortcodes and static table of
+ * contents (`nav.contentful-toc`), which become embedded-entry-block nodes
+ * again.
+ *
+ * Markup with no rich text equivalent (classes, buttons, wrappers) is
+ * flattened to its text content.
+ */
+
+// Shortcodes richTextToHtml writes for embedded entries, with the content
+// type each one stands for
+export const SHORTCODE_CONTENT_TYPES = {
+  contentful_table: 'dataVisualizationTables',
+  contentful_chart: 'dataVisualizationCharts',
+  contentful_cards: 'dataVisualizationCards',
+  contentful_form: 'form',
+  contentful_toc: 'tableOfContents',
+};
+
+const SHORTCODE_PATTERN = /\[(contentful_(?:table|chart|cards|form|toc))((?:\s+[\w-]+="[^"]*")*)\s*\]/g;
+
+const MARK_TAGS = {
+  strong: 'bold',
+  b: 'bold',
+  em: 'italic',
+  i: 'italic',
+  u: 'underline',
+  code: 'code',
+  sup: 'superscript',
+  sub: 'subscript',
+};
+
+const VOID_TAGS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'main', 'nav', 'ol', 'p', 'section', 'table', 'ul', 'img',
+]);
+
+/**
+ * Convert WordPress HTML to a Contentful rich text document
+ * @param {string} html - HTML produced by richTextToHtml (or edited in WordPress)
+ * @param {Object} options - Conversion options
+ * @param {Function} options.resolveAssetId - (url) → asset ID, for images and file links
+ *   (default: read the ID from ctfassets.net URLs; see createMediaAssetResolver for
+ *   images already moved to WordPress)
+ * @param {Function} options.resolveEntryId - (href) → entry ID or null; matching links
+ *   become entry-hyperlink nodes instead of hyperlinks
+ * @param {Function} options.onWarning - Called with a message for markup that can't be converted
+ * @returns {Object} Rich text document ({ nodeType: 'document', ... })
+ */
+export function htmlToRichText(html, options = {}) {
+  const {
+    resolveAssetId = assetIdFromUrl,
+    resolveEntryId = null,
+    onWarning = message => console.warn(`⚠️  ${message}`),
+  } = options;
+
+  const context = { resolveAssetId, resolveEntryId, onWarning };
+  const root = parseHtml(html || '');
+  const content = convertBlocks(root.children, context);
+
+  return node('document', content.length > 0 ? content : [node('paragraph', [text('')])]);
+}
+
+// ─── HTML Parsing ────────────────────────────────────────────────────
+
+/**
+ * Minimal HTML parser for the markup the converters produce: builds a tree of
+ * { tag, attrs, children } elements and { text } nodes. Comments (including
+ * Gutenberg block delimiters) are dropped.
+ */
+export function parseHtml(html) {
+  const root = { tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>|[^<]+|</g;
+
+  let match;
+  while ((match = tokenPattern.exec(html)) !== null) {
+    const [token, closeTag, openTag, rawAttrs, selfClosing] = match;
+    const parent = stack[stack.length - 1];
+
+    if (token.startsWith('<!--')) continue;
+
+    if (closeTag) {
+      const tag = closeTag.toLowerCase();
+      const openIndex = stack.map(el => el.tag).lastIndexOf(tag);
+      // Stray closing tags are ignored; unclosed children are closed with their parent
+      if (openIndex > 0) stack.length = openIndex;
+      continue;
+    }
+
+    if (openTag) {
+      const element = { tag: openTag.toLowerCase(), attrs: parseAttributes(rawAttrs || ''), children: [] };
+      parent.children.push(element);
+      if (!selfClosing && !VOID_TAGS.has(element.tag)) stack.push(element);
+      continue;
+    }
+
+    // Shortcode attributes are matched on the raw text, before &quot; is decoded
+    parent.children.push({ text: decodeEntities(token), raw: token });
+  }
+
+  return root;
+}
+
+function parseAttributes(raw) {
+  const attrs = {};
+  const attrPattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+  while ((match = attrPattern.exec(raw)) !== null) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attrs;
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// ─── Block Conversion ────────────────────────────────────────────────
+
+/**
+ * Convert a list of HTML nodes to rich text block nodes. Runs of text and
+ * inline elements between blocks become paragraphs (or embeds, for shortcodes).
+ */
+function convertBlocks(children, context) {
+  const blocks = [];
+  let pending = [];
+
+  const flush = () => {
+    if (pending.length === 0) return;
+    blocks.push(...inlineRunToBlocks(pending, context));
+    pending = [];
+  };
+
+  for (const child of children) {
+    if (child.text !== undefined || !isBlockElement(child)) {
+      pending.push(child);
+      continue;
+    }
+    flush();
+    blocks.push(...convertBlockElement(child, context));
+  }
+  flush();
+
+  return blocks;
+}
+
+function isBlockElement(el) {
+  return BLOCK_TAGS.has(el.tag) || (el.tag === 'a' && el.children.some(c => c.tag && isBlockElement(c)));
+}
+
+function convertBlockElement(el, context) {
+  switch (el.tag) {
+    case 'p': {
+      const fileLink = singleFileLink(el);
+      if (fileLink) return convertFileLink(fileLink, context);
+      return inlineRunToBlocks(el.children, context);
+    }
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6': {
+      const content = convertInline(el.children, [], context);
+      return hasText(content) ? [node(`heading-${el.tag[1]}`, trimInline(content))] : [];
+    }
+    case 'ul':
+    case 'ol':
+      return [convertList(el, context)];
+    case 'blockquote': {
+      // Contentful quotes only hold paragraphs
+      const paragraphs = convertBlocks(el.children, context).flatMap(block =>
+        block.nodeType === 'paragraph' ? [block] : [node('paragraph', [text(plainText(block))])]);
+      return paragraphs.length > 0 ? [node('blockquote', paragraphs)] : [];
+    }
+    case 'hr':
+      return [node('hr')];
+    case 'table':
+      return [convertTable(el, context)];
+    case 'img':
+      return convertImage(el, null, context);
+    case 'figure': {
+      const table = findElement(el, 'table');
+      if (table) return [convertTable(table, context)];
+      const img = findElement(el, 'img');
+      if (img) return convertImage(img, findElement(el, 'figcaption'), context);
+      return convertBlocks(el.children, context);
+    }
+    case 'nav':
+      // The TOC is rebuilt from the headings, so only its entry is kept
+      if (hasClass(el, 'contentful-toc') && el.attrs['data-entry-id']) {
+        return [shortcodeToEmbed({ id: el.attrs['data-entry-id'] })];
+      }
+      return convertBlocks(el.children, context);
+    case 'div':
+      if (hasClass(el, 'wp-block-file')) {
+        const link = findElement(el, 'a');
+        if (link) return convertFileLink(link, context);
+      }
+      return convertBlocks(el.children, context);
+    default:
+      // Wrappers (div.rich-text-block, wp-block-group, ...) are unwrapped
+      return convertBlocks(el.children, context);
+  }
+}
+
+/**
+ * A run of inline HTML → paragraphs, with shortcodes standing on their own
+ * turned into embedded-entry-block nodes
+ */
+function inlineRunToBlocks(nodes, context) {
+  const blocks = [];
+  let segment = [];
+
+  const flushSegment = () => {
+    const content = trimInline(convertInline(segment, [], context));
+    if (hasText(content) || content.some(n => n.nodeType !== 'text')) {
+      blocks.push(node('paragraph', content));
+    }
+    segment = [];
+  };
+
+  for (const child of nodes) {
+    if (child.text === undefined) {
+      segment.push(child);
+      continue;
+    }
+
+    // Split text on shortcodes and blank lines (paragraph breaks in classic content)
+    const raw = child.raw ?? child.text;
+    let last = 0;
+    for (const match of raw.matchAll(SHORTCODE_PATTERN)) {
+      pushText(decodeEntities(raw.slice(last, match.index)));
+      flushSegment();
+      blocks.push(shortcodeToEmbed(parseShortcodeAttributes(match[2])));
+      last = match.index + match[0].length;
+    }
+    pushText(decodeEntities(raw.slice(last)));
+  }
+  flushSegment();
+
+  return blocks;
+
+  function pushText(value) {
+    const parts = value.split(/\n\s*\n/);
+    parts.forEach((part, i) => {
+      if (i > 0) flushSegment();
+      if (part) segment.push({ text: part });
+    });
+  }
+}
+
+function shortcodeToEmbed(attrs) {
+  return node('embedded-entry-block', [], {
+    target: { sys: { id: attrs.id || '', type: 'Link', linkType: 'Entry' } },
+  });
+}
+
+function convertList(el, context) {
+  const items = el.children
+    .filter(child => child.tag === 'li')
+    .map(li => {
+      const content = convertBlocks(li.children, context).filter(block =>
+        ['paragraph', 'unordered-list', 'ordered-list'].includes(block.nodeType));
+      return node('list-item', content.length > 0 ? content : [node('paragraph', [text('')])]);
+    });
+  return node(el.tag === 'ol' ? 'ordered-list' : 'unordered-list', items);
+}
+
+function convertTable(el, context) {
+  const rows = [];
+  const collectRows = parent => {
+    for (const child of parent.children) {
+      if (child.tag === 'tr') rows.push(child);
+      else if (['thead', 'tbody', 'tfoot'].includes(child.tag)) collectRows(child);
+    }
+  };
+  collectRows(el);
+
+  return node('table', rows.map(tr => node('table-row', tr.children
+    .filter(cell => cell.tag === 'td' || cell.tag === 'th')
+    .map(cell => {
+      const data = {};
+      if (Number(cell.attrs.colspan) > 1) data.colspan = Number(cell.attrs.colspan);
+      if (Number(cell.attrs.rowspan) > 1) data.rowspan = Number(cell.attrs.rowspan);
+      const paragraphs = convertBlocks(cell.children, context).filter(b => b.nodeType === 'paragraph');
+      return node(
+        cell.tag === 'th' ? 'table-header-cell' : 'table-cell',
+        paragraphs.length > 0 ? paragraphs : [node('paragraph', [text('')])],
+        data,
+      );
+    }))));
+}
+
+function convertImage(img, figcaption, context) {
+  const src = img.attrs.src || '';
+  const assetId = src ? context.resolveAssetId(src) : null;
+  if (!assetId) {
+    context.onWarning(`Image without a Contentful asset: ${src || '(no src)'}`);
+    const caption = figcaption ? plainTextOf(figcaption) : img.attrs.alt;
+    return caption ? [node('paragraph', [text(caption)])] : [];
+  }
+  return [node('embedded-asset-block', [], { target: { sys: { id: assetId, type: 'Link', linkType: 'Asset' } } })];
+}
+
+/**
+ * The download link of an asset block: <p><a class="wp-block-file">…</a></p>
+ */
+function singleFileLink(p) {
+  const elements = p.children.filter(c => c.text === undefined || c.text.trim() !== '');
+  const [link] = elements;
+  return elements.length === 1 && link.tag === 'a' && hasClass(link, 'wp-block-file') ? link : null;
+}
+
+function convertFileLink(a, context) {
+  const assetId = a.attrs.href ? context.resolveAssetId(a.attrs.href) : null;
+  if (!assetId) return inlineRunToBlocks([a], context);
+  return [node('embedded-asset-block', [], { target: { sys: { id: assetId, type: 'Link', linkType: 'Asset' } } })];
+}
+
+// ─── Inline Conversion ───────────────────────────────────────────────
+
+/**
+ * Convert inline HTML to text, hyperlink and embedded-entry-inline nodes
+ * @param {Array} nodes - HTML nodes
+ * @param {string[]} marks - Marks inherited from enclosing elements
+ */
+function convertInline(nodes, marks, context) {
+  const out = [];
+
+  for (const child of nodes) {
+    if (child.text !== undefined) {
+      // HTML collapses whitespace; keep single spaces between words
+      out.push(text(child.text.replace(/\s+/g, ' '), marks));
+      continue;
+    }
+
+    const mark = MARK_TAGS[child.tag];
+    if (mark) {
+      // richTextToHtml applies marks innermost first
+      out.push(...convertInline(child.children, marks.includes(mark) ? marks : [mark, ...marks], context));
+    } else if (child.tag === 'br') {
+      out.push(text('\n', marks));
+    } else if (child.tag === 'a') {
+      out.push(convertLink(child, marks, context));
+    } else if (child.tag === 'img') {
+      context.onWarning(`Inline image dropped: ${child.attrs.src || ''}`);
+    } else {
+      out.push(...convertInline(child.children, marks, context));
+    }
+  }
+
+  return mergeText(out);
+}
+
+function convertLink(a, marks, context) {
+  const href = a.attrs.href || '';
+  // Hyperlinks can only hold text
+  const content = mergeText(convertInline(a.children, marks, context).filter(n => n.nodeType === 'text'));
+  const linkContent = content.length > 0 ? content : [text('')];
+
+  const entryId = context.resolveEntryId ? context.resolveEntryId(href) : null;
+  if (entryId) {
+    return node('entry-hyperlink', linkContent, { target: { sys: { id: entryId, type: 'Link', linkType: 'Entry' } } });
+  }
+
+  const assetId = context.resolveAssetId(href);
+  if (assetId) {
+    return node('asset-hyperlink', linkContent, { target: { sys: { id: assetId, type: 'Link', linkType: 'Asset' } } });
+  }
+
+  return node('hyperlink', linkContent, { uri: href });
+}
+
+/**
+ * Join neighbouring text nodes that carry the same marks
+ */
+function mergeText(nodes) {
+  const out = [];
+  for (const n of nodes) {
+    const prev = out[out.length - 1];
+    if (n.nodeType === 'text' && prev?.nodeType === 'text' && sameMarks(prev.marks, n.marks)) {
+      prev.value += n.value;
+    } else {
+      out.push(n);
+    }
+  }
+  return out;
+}
+
+function sameMarks(a, b) {
+  return a.length === b.length && a.every((m, i) => m.type === b[i].type);
+}
+
+/**
+ * Trim whitespace at the start and end of a paragraph's content
+ */
+function trimInline(content) {
+  const out = content.map(n => (n.nodeType === 'text' ? { ...n } : n));
+  const first = out[0];
+  const last = out[out.length - 1];
+  if (first?.nodeType === 'text') first.value = first.value.replace(/^[ \t\r\n]+/, '');
+  if (last?.nodeType === 'text') last.value = last.value.replace(/[ \t\r\n]+$/, '');
+  const trimmed = out.filter((n, i) => n.nodeType !== 'text' || n.value !== '' || out.length === 1);
+  return trimmed.length > 0 ? trimmed : [text('')];
+}
+
+// ─── Utility Functions ───────────────────────────────────────────────
+
+function node(nodeType, content = [], data = {}) {
+  return { nodeType, data, content };
+}
+
+function text(value, marks = []) {
+  return { nodeType: 'text', value, marks: marks.map(type => ({ type })), data: {} };
+}
+
+function hasText(content) {
+  return content.some(n => (n.nodeType === 'text' ? n.value.trim() !== '' : hasText(n.content || [])));
+}
+
+function plainText(richNode) {
+  if (richNode.nodeType === 'text') return richNode.value;
+  return (richNode.content || []).map(plainText).join('');
+}
+
+function plainTextOf(el) {
+  if (el.text !== undefined) return el.text;
+  return el.children.map(plainTextOf).join('').trim();
+}
+
+function hasClass(el, className) {
+  return (el.attrs?.class || '').split(/\s+/).includes(className);
+}
+
+function findElement(el, tag) {
+  for (const child of el.children || []) {
+    if (child.tag === tag) return child;
+    const found = child.children ? findElement(child, tag) : null;
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Asset ID from a Contentful CDN URL:
+ * https://images.ctfassets.net/<space>/<assetId>/<token>/<file>
+ */
+export function assetIdFromUrl(url) {
+  const match = String(url).match(/ctfassets\.net\/[^/]+\/([^/]+)\//);
+  return match ? match[1] : null;
+}
+
+/**
+ * Asset ID resolver for pages whose images were moved to WordPress: the media
+ * map (Contentful URL → WordPress media, written by migrate-contentful-images)
+ * is reversed, so the WordPress URL of a file or any of its intermediate sizes
+ * leads back to the asset. Other URLs go through assetIdFromUrl.
+ * @param {Object} mediaMap - Contentful URL → { id, url, sizes: [{ url }] }
+ * @returns {Function} (url) → asset ID or null
+ */
+export function createMediaAssetResolver(mediaMap = {}) {
+  const byUrl = new Map();
+  for (const [contentfulUrl, media] of Object.entries(mediaMap)) {
+    const assetId = assetIdFromUrl(contentfulUrl);
+    if (!assetId || !media) continue;
+    for (const url of [media.url, ...(media.sizes || []).map(size => size.url)]) {
+      if (url) byUrl.set(url, assetId);
+    }
+  }
+  return url => byUrl.get(String(url).split('?')[0]) ?? assetIdFromUrl(url);
+}
+
+/**
+ * Parse the attributes of a shortcode ( id="x" title="y" ) into an object
+ */
+export function parseShortcodeAttributes(raw) {
+  const attrs = {};
+  for (const match of String(raw).matchAll(/([\w-]+)="([^"]*)"/g)) {
+    attrs[match[1]] = decodeEntities(match[2]);
+  }
+  return attrs;
+}
+
+/**
+ * Every [contentful_*] shortcode in a piece of HTML
+ * @returns {Array<{ name: string, contentType: string, attrs: Object }>}
+ */
+export function findShortcodes(html) {
+  return [...String(html).matchAll(SHORTCODE_PATTERN)].map(match => ({
+    name: match[1],
+    contentType: SHORTCODE_CONTENT_TYPES[match[1]],
+    attrs: parseShortcodeAttributes(match[2]),
+  }));
+}
+
+export default htmlToRichText;
@@ -0,0 +1,92 @@
+/**
+ * Locale helpers for reading localized Contentful fields
+ *
+ * Contentful stores every field as { [localeCode]: value }. Instead of reading
+ * `field['en-US']` directly, scripts build a locale chain (requested locale
+ * followed by its fallbacks) and take the first locale that has a value.
+ */
+
+export const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Build the lookup chain for a locale following Contentful's fallbackCode
+ * settings, always ending with the default locale.
+ * @param {string} locale - Requested locale code (e.g. "es-MX")
+ * @param {Array} locales - Locales from environment.getLocales() ({ code, fallbackCode, default })
+ * @param {string} defaultLocale - Space default locale
+ * @returns {string[]} e.g. ["es-MX", "es", "en-US"]
+ */
+export function buildLocaleChain(locale, locales = [], defaultLocale = DEFAULT_LOCALE) {
+  const chain = [];
+  let code = locale || defaultLocale;
+
+  // Guard against fallback loops in a misconfigured space
+  while (code && !chain.includes(code)) {
+    chain.push(code);
+    code = locales.find(l => l.code === code)?.fallbackCode || null;
+  }
+
+  if (!chain.includes(defaultLocale)) chain.push(defaultLocale);
+  return chain;
+}
+
+/**
+ * Read a localized field value using a locale chain
+ * @param {Object} field - Localized field ({ "en-US": ..., "es": ... })
+ * @param {string[]} chain - Locale chain from buildLocaleChain
+ * @returns {*} First non-empty value along the chain, or undefined
+ */
+export function localized(field, chain = [DEFAULT_LOCALE]) {
+  if (!field || typeof field !== 'object') return undefined;
+  for (const code of chain) {
+    const value = field[code];
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return undefined;
+}
+
+/**
+ * Fetch the environment's locales and build the chain for a locale
+ * @param {Object} environment - Contentful environment
+ * @param {string} locale - Requested locale (defaults to the space default)
+ * @param {string[]} fallbacks - Explicit fallback chain, overrides Contentful's
+ * @returns {Promise<{ locale: string, defaultLocale: string, chain: string[] }>}
+ */
+export async function loadLocaleChain(environment, locale = '', fallbacks = []) {
+  const res = await environment.getLocales();
+  const defaultLocale = res.items.find(l => l.default)?.code || DEFAULT_LOCALE;
+  const requested = locale || defaultLocale;
+
+  if (!res.items.some(l => l.code === requested)) {
+    const available = res.items.map(l => l.code).join(', ');
+    throw new Error(`Locale "${requested}" does not exist in this environment (available: ${available})`);
+  }
+
+  const chain = fallbacks.length > 0
+    ? [...new Set([requested, ...fallbacks])]
+    : buildLocaleChain(requested, res.items, defaultLocale);
+
+  return { locale: requested, defaultLocale, chain };
+}
+
+/**
+ * Parse --locale=xx and --fallback=a,b CLI arguments
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {{ locale: string, fallbacks: string[] }}
+ */
+export function parseLocaleArgs(args) {
+  const locale = args.find(a => a.startsWith('--locale='))?.split('=')[1] || '';
+  const fallbacks = (args.find(a => a.startsWith('--fallback='))?.split('=')[1] || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+  return { locale, fallbacks };
+}
+
+/**
+ * Suffix used for output files of a non-default locale ("" for the default)
+ * e.g. state-contentful-to-wp-map.es.json
+ */
+export function localeSuffix(locale, defaultLocale = DEFAULT_LOCALE) {
+  return locale && locale !== defaultLocale ? `.${locale}` : '';
+}
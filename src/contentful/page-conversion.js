@@ -0,0 +1,183 @@
+/**
+ * Page conversion shared by the importers
+ *
+ * import-states.js, import-cities.js and import-guides.js all turn the rich
+ * text fields of a Contentful page into WordPress content the same way:
+ *
+ *   - parseConversionArgs reads the conversion options from the command line
+ *     (--blocks, table options, --sponsored-hosts, --reference-depth, --cache)
+ *     and loads the media map written by migrate-contentful-images.js
+ *   - createPageConverter resolves a field's embedded entries and assets and
+ *     renders it with richTextToHtml, keeping its diagnostics per field
+ *   - headingOutline reads back the heading IDs of a previous import, and
+ *     reportUnresolvedLinks / reportReferenceStats print the end-of-run summary
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { richTextToHtml } from './rich-text-to-html.js';
+import { loadTableKeys } from './table-keys.js';
+import { createReferenceResolver } from './reference-resolver.js';
+import { DEFAULT_SITE_HOSTS } from './url-policy.js';
+import { DEFAULT_LOCALE } from './locales.js';
+
+// Contentful image URL → migrated WordPress media (written by migrate-contentful-images.js)
+export const MEDIA_MAP_PATH = path.join(process.cwd(), 'temp', 'contentful-to-wp-media-map.json');
+
+// Fetched entries and assets kept between runs with --cache, one folder per space and environment
+const REFERENCE_CACHE_DIR = path.join(process.cwd(), 'temp', 'contentful-cache');
+
+/**
+ * Contentful image URL → WordPress media, or {} before images are migrated
+ */
+export function loadMediaMap() {
+  return fs.existsSync(MEDIA_MAP_PATH) ? JSON.parse(fs.readFileSync(MEDIA_MAP_PATH, 'utf-8')) : {};
+}
+
+/**
+ * Conversion options from an importer's command line
+ * @param {string[]} args - Command line arguments
+ * @param {Object} options
+ * @param {string} options.wpBaseUrl - WordPress site; its host counts as this site for links
+ * @returns {Object} { format, tables, images, links, referenceDepth, referenceCache, error }
+ *   (error: message for an invalid option, otherwise null)
+ */
+export function parseConversionArgs(args, { wpBaseUrl } = {}) {
+  const value = (name) => args.find(a => a.startsWith(`${name}=`))?.split('=')[1];
+  const depth = value('--reference-depth');
+  const invalidDepth = depth !== undefined && !/^\d+$/.test(depth);
+
+  return {
+    format: args.includes('--blocks') ? 'blocks' : 'html',
+    tables: {
+      caption: args.includes('--table-captions') ? 'heading' : null,
+      responsive: args.includes('--responsive-tables'),
+      fixedLayout: args.includes('--fixed-tables'),
+    },
+    // Migrated images get WordPress URLs and srcsets
+    images: { media: loadMediaMap() },
+    // The WordPress host is this site too; --sponsored-hosts=a.com,b.com marks provider links
+    links: {
+      siteHosts: [...DEFAULT_SITE_HOSTS, ...(wpBaseUrl ? [new URL(wpBaseUrl).hostname] : [])],
+      sponsoredHosts: value('--sponsored-hosts')?.split(',').filter(Boolean) || [],
+    },
+    // Nested references to follow below the embedded entries, and whether to
+    // keep fetched entries and assets on disk between runs
+    referenceDepth: depth && !invalidDepth ? parseInt(depth, 10) : Infinity,
+    referenceCache: args.includes('--cache'),
+    error: invalidDepth ? `--reference-depth must be a whole number of levels, got "${depth}".` : null,
+  };
+}
+
+/**
+ * Create the converter for one import run
+ * @param {Object} environment - Contentful Management API environment
+ * @param {Object} options - parseConversionArgs() result, plus:
+ * @param {string[]} options.localeChain - Locales to read fields in (default: en-US)
+ * @param {Object} options.linkResolver - Permalinks for entry hyperlinks (createLinkResolver)
+ * @param {string} options.cacheKey - Folder name of the --cache files, e.g. "<space>-<environment>"
+ * @returns {{ convert: Function, references: Object }}
+ */
+export function createPageConverter(environment, options = {}) {
+  const {
+    localeChain = [DEFAULT_LOCALE],
+    linkResolver = null,
+    format = 'html',
+    tables = {},
+    images = {},
+    links = {},
+    referenceDepth = Infinity,
+    referenceCache = false,
+    cacheKey = 'default',
+  } = options;
+
+  const references = createReferenceResolver(environment, {
+    localeChain,
+    maxDepth: referenceDepth,
+    cacheDir: referenceCache ? path.join(REFERENCE_CACHE_DIR, cacheKey) : null,
+  });
+
+  /**
+   * Convert one rich text field to HTML, resolving all references
+   * @param {Object} document - Rich text document (anything else converts to '')
+   * @param {string} page - Slug of the page, for the unresolved links report
+   * @param {string} field - Field ID, added to each diagnostic
+   * @param {Object} headings - { anchors, outline } shared by the fields of one page (see richTextToHtml)
+   * @returns {Promise<{ html: string, entryCount: number, assetCount: number, diagnostics: Array }>}
+   */
+  async function convert(document, page, field, headings = {}) {
+    if (!document || document.nodeType !== 'document') {
+      return { html: '', entryCount: 0, assetCount: 0, diagnostics: [] };
+    }
+
+    const { entries, assets } = await references.resolve(document);
+
+    const diagnostics = [];
+    const html = richTextToHtml(document, {
+      assets,
+      entries,
+      locale: localeChain[0],
+      fallbackLocales: localeChain.slice(1),
+      format,
+      resolveEntryUrl: linkResolver?.forPage(page),
+      diagnostics,
+      tables,
+      images,
+      links,
+      tableKeys: loadTableKeys(Object.keys(entries)),
+      anchors: headings.anchors,
+      outline: headings.outline,
+    });
+    return {
+      html,
+      entryCount: Object.keys(entries).length,
+      assetCount: Object.keys(assets).length,
+      diagnostics: diagnostics.map(d => ({ field, ...d })),
+    };
+  }
+
+  return { convert, references };
+}
+
+/**
+ * Heading outline saved by the previous import of a post, so a re-import
+ * keeps the heading IDs that links and the table of contents point to
+ * @param {Object} post - Existing WordPress post (REST API, with meta), if any
+ * @returns {Array} Outline for richTextToHtml's `anchors` ([] when there is none)
+ */
+export function headingOutline(post) {
+  try {
+    const outline = JSON.parse(post?.meta?.heading_outline || '[]');
+    return Array.isArray(outline) ? outline : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Print the entry hyperlinks no permalink was found for and save them
+ * @param {Object} linkResolver - The run's link resolver
+ * @param {string} name - Report path under out/
+ */
+export function reportUnresolvedLinks(linkResolver, name) {
+  const unresolved = linkResolver.unresolvedLinks();
+  if (unresolved.length > 0) {
+    console.log(`\n🔗 Unresolved entry links: ${unresolved.length} (rendered as plain text)`);
+    unresolved.slice(0, 10).forEach(link => {
+      const pages = link.pages.length > 3 ? `${link.pages.length} pages` : link.pages.join(', ');
+      console.log(`   • ${link.entryId} (${link.contentType}${link.slug ? `, ${link.slug}` : ''}) on ${pages}`);
+    });
+    if (unresolved.length > 10) console.log(`   … and ${unresolved.length - 10} more`);
+  }
+  console.log(`   Unresolved links report: ${linkResolver.writeReport(name)}`);
+}
+
+/**
+ * Print how many entries and assets were fetched and reused
+ * @param {Object} references - The converter's reference resolver
+ */
+export function reportReferenceStats(references) {
+  const { requests, fetched, memoryHits, diskHits, failed } = references.stats;
+  console.log(`\n🗄️  References: ${fetched} fetched in ${requests} requests, ${memoryHits + diskHits} reused (${diskHits} from disk cache)`);
+  if (failed > 0) console.log(`   ⚠️  ${failed} failed to fetch after retries`);
+}
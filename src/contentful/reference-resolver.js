@@ -0,0 +1,309 @@
+/**
+ * Embedded reference resolver: rich text → the entries and assets it embeds
+ *
+ * richTextToHtml and richTextToMarkdown need every entry and asset a document
+ * references, including the ones those entries reference in turn (the links
+ * of a `linkReference`, the embeds in a `richText` entry's body, ...). The
+ * importers create one resolver per run and call `resolve(document)` per
+ * rich text field:
+ *
+ *   - references are followed to any depth (or `maxDepth`), level by level;
+ *     an entry already resolved for the document isn't followed again, so
+ *     reference cycles end
+ *   - each level is fetched with one `getEntries` / `getAssets` call per
+ *     `batchSize` IDs (`sys.id[in]`), not one request per ID
+ *   - fetched entries and assets are kept for the whole run, so tables and
+ *     links shared by hundreds of pages are fetched once; with `cacheDir`
+ *     they are also saved to disk and reused by later runs (delete the folder
+ *     to fetch them again)
+ *   - a batch rejected for its size or a bad ID (400/413) is split until the
+ *     bad ID is on its own; rate limit, 5xx and network errors are retried
+ *     with backoff, and IDs that still fail aren't cached, so a later
+ *     document tries them again
+ *
+ * Entries are returned in the shape the converters expect:
+ * { contentType, title, fields, url? } (url for `link` entries), or
+ * { contentType: 'unknown', title: '', error } when they can't be fetched.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_LOCALE, localized } from './locales.js';
+
+const BATCH_SIZE = 50;
+const RETRIES = 3;
+const RETRY_DELAY = 1000;
+
+// Statuses that mean the request itself was rejected (too many or invalid
+// IDs), so a smaller batch can still succeed
+const SPLIT_STATUSES = [400, 413];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * HTTP status of a failed API call. The SDK puts it in a JSON error message;
+ * network errors have none
+ */
+function errorStatus(error) {
+  const status = error?.status ?? error?.response?.status;
+  if (status) return status;
+  try {
+    return JSON.parse(error.message).status;
+  } catch {
+    return undefined;
+  }
+}
+
+function isTransient(error) {
+  const status = errorStatus(error);
+  return status === undefined || status === 429 || status >= 500;
+}
+
+/**
+ * Add the IDs of the entries and assets a rich text node links to
+ * @param {Object} node - Rich text node (usually the document)
+ * @param {{ entries: Set, assets: Set }} ids - Collected IDs
+ */
+export function findReferences(node, ids) {
+  if (!node) return ids;
+  const target = node.data?.target?.sys;
+  if (target?.linkType === 'Entry') ids.entries.add(target.id);
+  if (target?.linkType === 'Asset') ids.assets.add(target.id);
+  if (node.content) node.content.forEach(child => findReferences(child, ids));
+  return ids;
+}
+
+/**
+ * Add the IDs an entry field value links to: reference fields, arrays of
+ * references and rich text documents
+ */
+function findFieldReferences(value, ids) {
+  if (!value || typeof value !== 'object') return;
+  if (Array.isArray(value)) {
+    value.forEach(item => findFieldReferences(item, ids));
+  } else if (value.nodeType === 'document') {
+    findReferences(value, ids);
+  } else if (value.sys?.type === 'Link') {
+    if (value.sys.linkType === 'Entry') ids.entries.add(value.sys.id);
+    if (value.sys.linkType === 'Asset') ids.assets.add(value.sys.id);
+  }
+}
+
+/**
+ * Create a reference resolver
+ * @param {Object} environment - Contentful Management API environment
+ * @param {Object} options
+ * @param {string[]} options.localeChain - Locales to read titles and URLs in, in order (default: en-US)
+ * @param {number} options.maxDepth - Levels of references to follow below the document's own (default: no limit)
+ * @param {string[]} options.stopAt - Content types whose references aren't followed (default: page, which is
+ *   only ever a link target)
+ * @param {string} options.cacheDir - Folder to keep fetched entries and assets in between runs (default: none)
+ * @param {number} options.batchSize - IDs per getEntries/getAssets request (default 50)
+ * @param {number} options.retries - Retries of a request that failed with a rate limit, 5xx or network error (default 3)
+ * @param {number} options.retryDelay - Milliseconds before the first retry, doubled for each next one (default 1000)
+ */
+export function createReferenceResolver(environment, options = {}) {
+  const {
+    localeChain = [DEFAULT_LOCALE],
+    maxDepth = Infinity,
+    stopAt = ['page'],
+    cacheDir = null,
+    batchSize = BATCH_SIZE,
+    retries = RETRIES,
+    retryDelay = RETRY_DELAY,
+  } = options;
+  const loc = (field) => localized(field, localeChain);
+
+  // ID → { sys, fields }, or { sys, error } for IDs that don't exist, for the whole run
+  const cache = { Entry: new Map(), Asset: new Map() };
+  const stats = { requests: 0, fetched: 0, memoryHits: 0, diskHits: 0, missing: 0, failed: 0 };
+
+  function diskPath(type, id) {
+    return path.join(cacheDir, type === 'Entry' ? 'entries' : 'assets', `${id}.json`);
+  }
+
+  function readDisk(type, id) {
+    if (!cacheDir) return null;
+    const file = diskPath(type, id);
+    if (!fs.existsSync(file)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  function writeDisk(type, id, item) {
+    if (!cacheDir) return;
+    const file = diskPath(type, id);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(item));
+  }
+
+  /**
+   * One sys.id[in] request; transient failures (rate limit, 5xx, network) are
+   * retried with backoff before giving up
+   */
+  async function request(type, ids) {
+    const query = { 'sys.id[in]': ids.join(','), limit: ids.length };
+    for (let attempt = 0; ; attempt++) {
+      stats.requests++;
+      try {
+        const collection = type === 'Entry'
+          ? await environment.getEntries(query)
+          : await environment.getAssets(query);
+        return collection.items.map(item => {
+          const plain = typeof item.toPlainObject === 'function' ? item.toPlainObject() : item;
+          return { sys: plain.sys, fields: plain.fields || {} };
+        });
+      } catch (error) {
+        if (attempt >= retries || !isTransient(error)) throw error;
+        await sleep(retryDelay * 2 ** attempt);
+      }
+    }
+  }
+
+  /**
+   * Fetch a batch of IDs; a batch rejected as too large or for a bad ID is
+   * split in two and retried, so one bad ID doesn't fail the others. Any
+   * other failure is returned as an error for every ID in the batch
+   */
+  async function fetchBatch(type, ids) {
+    try {
+      return await request(type, ids);
+    } catch (error) {
+      if (ids.length > 1 && SPLIT_STATUSES.includes(errorStatus(error))) {
+        const half = Math.ceil(ids.length / 2);
+        return [
+          ...await fetchBatch(type, ids.slice(0, half)),
+          ...await fetchBatch(type, ids.slice(half)),
+        ];
+      }
+      return ids.map(id => ({ sys: { id }, error: error.message }));
+    }
+  }
+
+  /**
+   * Look up every ID: from memory, disk or Contentful. Fetched items and IDs
+   * that don't exist are kept in the run cache; failed fetches aren't, so
+   * the next document tries them again
+   * @returns {Promise<Map>} ID → { sys, fields } or { sys, error }
+   */
+  async function load(type, ids) {
+    const found = new Map();
+    const missing = [];
+    for (const id of ids) {
+      if (cache[type].has(id)) {
+        found.set(id, cache[type].get(id));
+        stats.memoryHits++;
+        continue;
+      }
+      const stored = readDisk(type, id);
+      if (stored) {
+        cache[type].set(id, stored);
+        found.set(id, stored);
+        stats.diskHits++;
+      } else {
+        missing.push(id);
+      }
+    }
+
+    for (let i = 0; i < missing.length; i += batchSize) {
+      const batch = missing.slice(i, i + batchSize);
+      for (const item of await fetchBatch(type, batch)) {
+        found.set(item.sys.id, item);
+        if (item.error) {
+          stats.failed++;
+          continue;
+        }
+        cache[type].set(item.sys.id, item);
+        stats.fetched++;
+        writeDisk(type, item.sys.id, item);
+      }
+      // IDs the API didn't return are deleted or never existed
+      for (const id of batch) {
+        if (!found.has(id)) {
+          const item = { sys: { id }, error: `${type} ${id} not found` };
+          cache[type].set(id, item);
+          found.set(id, item);
+          stats.missing++;
+        }
+      }
+    }
+    return found;
+  }
+
+  function toEntry(item) {
+    if (item.error) return { contentType: 'unknown', title: '', error: item.error };
+    const { fields } = item;
+    const contentType = item.sys.contentType?.sys?.id || 'unknown';
+    const entry = {
+      contentType,
+      title: loc(fields.title) || loc(fields.name) || '',
+      fields,
+    };
+    if (contentType === 'link') {
+      entry.url = loc(fields.url) || loc(fields.href) || '';
+      entry.title = loc(fields.text) || loc(fields.title) || loc(fields.label) || loc(fields.linkText) || '';
+    }
+    return entry;
+  }
+
+  function toAsset(item) {
+    if (item.error) return { title: '', url: '', error: item.error };
+    const file = loc(item.fields.file);
+    return {
+      title: loc(item.fields.title) || '',
+      description: loc(item.fields.description) || '',
+      fileName: file?.fileName || '',
+      contentType: file?.contentType || '',
+      url: file?.url || '',
+      width: file?.details?.image?.width,
+      height: file?.details?.image?.height,
+    };
+  }
+
+  const resolver = {
+    /**
+     * Entries and assets a rich text document references, directly or
+     * through other entries
+     * @param {Object} document - Rich text document
+     * @returns {Promise<{ entries: Object, assets: Object }>} ID → entry, ID → asset
+     */
+    async resolve(document) {
+      const entries = {};
+      const assets = {};
+      let level = findReferences(document, { entries: new Set(), assets: new Set() });
+
+      for (let depth = 0; level.entries.size > 0 || level.assets.size > 0; depth++) {
+        const entryIds = [...level.entries].filter(id => !entries[id]);
+        const assetIds = [...level.assets].filter(id => !assets[id]);
+        const loadedEntries = await load('Entry', entryIds);
+        const loadedAssets = await load('Asset', assetIds);
+
+        const next = { entries: new Set(), assets: new Set() };
+        for (const id of entryIds) {
+          const item = loadedEntries.get(id);
+          entries[id] = toEntry(item);
+          if (item.error || depth >= maxDepth || stopAt.includes(entries[id].contentType)) continue;
+          Object.values(item.fields).forEach(field => findFieldReferences(loc(field), next));
+        }
+        for (const id of assetIds) {
+          assets[id] = toAsset(loadedAssets.get(id));
+        }
+        level = next;
+      }
+
+      return { entries, assets };
+    },
+
+    /**
+     * Request and cache counts so far: { requests, fetched, memoryHits, diskHits, missing, failed }
+     */
+    get stats() {
+      return { ...stats };
+    },
+  };
+
+  return resolver;
+}
@@ -6,16 +6,46 @@
  * Converts Contentful rich text document structure to clean WordPress HTML.
  * Handles all node types: headings, paragraphs, lists, links, images, 
  * embedded entries (tables/TOC), and text marks (bold, italic, underline).
+ *
+ * With `format: 'blocks'` the output is Gutenberg block markup: every block is
+ * wrapped in its `<!-- wp:name -->` comment so posts open as native blocks
+ * instead of a single Classic block.
  */
 
+import { diagnose, indexNodePaths } from './diagnostics.js';
+import { DEFAULT_LOCALE, localized } from './locales.js';
+import { findPrecedingHeading, matchTableKey } from './table-keys.js';
+import { createLinkPolicy } from './url-policy.js';
+
 /**
  * Convert a Contentful rich text document to WordPress HTML
  * @param {Object} document - Contentful rich text document node
  * @param {Object} options - Conversion options
  * @param {Object} options.assets - Map of asset ID → asset data { url, title, fileName, contentType }
  * @param {Object} options.entries - Map of entry ID → entry data { contentType, title, fields }
- * @param {Function} options.resolveEntryUrl - Function to resolve entry URL from entry data
- * @param {Function} options.renderEmbeddedEntry - Custom renderer for embedded entries
+ * @param {Function} options.resolveEntryUrl - (entryId, entry) → permalink of a linked entry, or null when unknown
+ *   (see createLinkResolver in src/migration/link-resolver.js)
+ * @param {Function} options.renderEmbeddedEntry - Catch-all renderer for embedded entry blocks, tried before the registry
+ * @param {Object} options.renderers - Renderer registry from createRendererRegistry() (default: defaultRenderers)
+ * @param {string} options.locale - Locale to read embedded entry fields in (default "en-US")
+ * @param {string[]} options.fallbackLocales - Locales to try, in order, when a field is empty in `locale`
+ * @param {string} options.format - "html" (classic editor markup, default) or "blocks" (Gutenberg block markup)
+ * @param {Array} options.diagnostics - Array that receives the conversion diagnostics (see diagnostics.js)
+ * @param {Object} options.tables - Table output: { caption: "heading" (caption from the heading right before
+ *   the table), responsive: true (horizontal scroll wrapper), fixedLayout: true (fixed column widths),
+ *   block: true (wp:table block markup in html format too) }
+ * @param {Object} options.images - Image output: { widths: srcset widths for Contentful images (default
+ *   480/800/1200/1600), sizes: the `sizes` attribute, media: map of Contentful image URL → migrated
+ *   WordPress media { id, url, width, height, sizes: [{ url, width, height }] } }
+ * @param {Object} options.links - Link policy: { schemes: allowed URL schemes, siteHosts: hosts that are this
+ *   site, sponsoredHosts: provider hosts whose links get rel="sponsored nofollow", newTab: open external
+ *   links in a new tab (default true) } (see url-policy.js)
+ * @param {Object} options.tableKeys - Map of table entry ID → key column values (see loadTableKeys in
+ *   table-keys.js), to resolve the exact key of filtered tables
+ * @param {Array} options.anchors - Heading outline of a previous import ([{ text, id }]); headings with
+ *   the same text keep their IDs
+ * @param {Array} options.outline - Array that receives the heading outline ({ level, text, id }). IDs
+ *   already in it are taken, so one array shared by the documents of a page keeps their IDs unique
  * @returns {string} WordPress-compatible HTML
  */
 export function richTextToHtml(document, options = {}) {
@@ -28,14 +58,35 @@ export function richTextToHtml(document, options = {}) {
     entries = {},
     resolveEntryUrl = null,
     renderEmbeddedEntry = null,
+    locale = DEFAULT_LOCALE,
+    fallbackLocales = [],
+    format = 'html',
+    renderers = defaultRenderers,
+    diagnostics = null,
+    tables = {},
+    images = {},
+    links = {},
+    tableKeys = {},
+    anchors = [],
+    outline = null,
   } = options;
 
-  const context = { assets, entries, resolveEntryUrl, renderEmbeddedEntry };
+  if (format !== 'html' && format !== 'blocks') {
+    throw new Error(`Unknown format "${format}" (expected "html" or "blocks")`);
+  }
+
+  const localeChain = [...new Set([locale, ...fallbackLocales])];
+  const paths = new WeakMap();
+  indexNodePaths(document.content, 'content', paths);
+  const context = { document, assets, entries, resolveEntryUrl, renderEmbeddedEntry, renderers, localeChain, format, diagnostics, paths, tables, images, tableKeys, outline,
+    links: createLinkPolicy(links) };
+  assignHeadingIds(document.content, anchors, context);
 
   // Process nodes with sibling awareness — each node can see its siblings
   // for context (e.g., heading before a table determines the key filter)
   return document.content
     .map((node, index, siblings) => renderNode(node, context, siblings, index))
+    .filter(Boolean)
     .join('\n\n');
 }
 
@@ -66,7 +117,9 @@ function renderNode(node, context, siblings = null, index = -1) {
     case 'blockquote':
       return renderBlockquote(node, context);
     case 'hr':
-      return '<hr />';
+      return isBlocks(context)
+        ? wrapBlock('separator', null, '<hr class="wp-block-separator has-alpha-channel-opacity"/>', context)
+        : '<hr />';
     case 'hyperlink':
       return renderHyperlink(node, context);
     case 'entry-hyperlink':
@@ -80,9 +133,9 @@ function renderNode(node, context, siblings = null, index = -1) {
     case 'embedded-asset-block':
       return renderEmbeddedAssetBlock(node, context);
     case 'text':
-      return renderText(node);
+      return renderText(node, context);
     case 'table':
-      return renderTable(node, context);
+      return renderTable(node, context, siblings, index);
     case 'table-row':
       return renderTableRow(node, context);
     case 'table-cell':
@@ -90,7 +143,11 @@ function renderNode(node, context, siblings = null, index = -1) {
     case 'table-header-cell':
       return renderTableCell(node, 'th', context);
     default:
-      console.warn(`⚠️  Unknown node type: ${node.nodeType}`);
+      diagnose(context, node, {
+        severity: 'warning',
+        code: 'unknown-node-type',
+        message: `Unknown node type "${node.nodeType}"; only its content was kept`,
+      });
       if (node.content) {
         return node.content.map(child => renderNode(child, context)).join('');
       }
@@ -109,7 +166,7 @@ function renderInlineContent(nodes, context) {
 /**
  * Render a text node with marks (bold, italic, etc.)
  */
-function renderText(node) {
+function renderText(node, context) {
   let text = escapeHtml(node.value || '');
 
   if (!node.marks || node.marks.length === 0) {
@@ -138,7 +195,7 @@ function renderText(node) {
         text = `<sub>${text}</sub>`;
         break;
       default:
-        console.warn(`⚠️  Unknown mark type: ${mark.type}`);
+        diagnose(context, node, { severity: 'warning', code: 'unknown-mark', message: `Unknown mark type "${mark.type}" ignored` });
     }
   }
 
@@ -152,7 +209,7 @@ function renderParagraph(node, context) {
   const content = renderInlineContent(node.content, context);
   // Skip empty paragraphs
   if (!content.trim()) return '';
-  return `<p>${content}</p>`;
+  return wrapBlock('paragraph', null, `<p>${content}</p>`, context);
 }
 
 /**
@@ -161,8 +218,14 @@ function renderParagraph(node, context) {
 function renderHeading(node, context) {
   const level = node.nodeType.split('-')[1];
   const content = renderInlineContent(node.content, context);
-  const id = generateSlug(stripHtml(content));
-  return `<h${level} id="${id}">${content}</h${level}>`;
+  const id = headingId(node, context);
+  context.outline?.push({ level: Number(level), text: extractPlainText(node).trim(), id });
+  if (isBlocks(context)) {
+    // h2 is the block's default level and is left out of the attributes
+    const attrs = level === '2' ? null : { level: Number(level) };
+    return wrapBlock('heading', attrs, `<h${level} class="wp-block-heading" id="${escapeAttr(id)}">${content}</h${level}>`, context);
+  }
+  return `<h${level} id="${escapeAttr(id)}">${content}</h${level}>`;
 }
 
 /**
@@ -172,6 +235,10 @@ function renderList(node, tag, context) {
   const items = node.content
     .map(child => renderNode(child, context))
     .join('\n');
+  if (isBlocks(context)) {
+    const attrs = tag === 'ol' ? { ordered: true } : null;
+    return wrapBlock('list', attrs, `<${tag} class="wp-block-list">\n${items}\n</${tag}>`, context);
+  }
   return `<${tag}>\n${items}\n</${tag}>`;
 }
 
@@ -188,7 +255,7 @@ function renderListItem(node, context) {
       return renderNode(child, context);
     })
     .join('');
-  return `<li>${content}</li>`;
+  return wrapBlock('list-item', null, `<li>${content}</li>`, context);
 }
 
 /**
@@ -198,6 +265,9 @@ function renderBlockquote(node, context) {
   const content = node.content
     .map(child => renderNode(child, context))
     .join('\n');
+  if (isBlocks(context)) {
+    return wrapBlock('quote', null, `<blockquote class="wp-block-quote">\n${content}\n</blockquote>`, context);
+  }
   return `<blockquote>\n${content}\n</blockquote>`;
 }
 
@@ -207,12 +277,8 @@ function renderBlockquote(node, context) {
 function renderHyperlink(node, context) {
   const url = node.data?.uri || '#';
   const content = renderInlineContent(node.content, context);
-  
-  // Add target="_blank" for external links
-  const isExternal = url.startsWith('http') && !url.includes('memorycare');
-  const attrs = isExternal ? ' target="_blank" rel="noopener noreferrer"' : '';
-  
-  return `<a href="${escapeAttr(url)}"${attrs}>${content}</a>`;
+  const attrs = linkAttributes(url, context, node);
+  return attrs ? `<a ${attrs}>${content}</a>` : content;
 }
 
 /**
@@ -220,19 +286,7 @@ function renderHyperlink(node, context) {
  */
 function renderEntryHyperlink(node, context) {
   const entryId = node.data?.target?.sys?.id;
-  const content = renderInlineContent(node.content, context);
-
-  if (entryId && context.resolveEntryUrl) {
-    const url = context.resolveEntryUrl(entryId, context.entries[entryId]);
-    return `<a href="${escapeAttr(url)}">${content}</a>`;
-  }
-
-  // Fallback: link to Contentful entry or just render as text
-  if (entryId && context.entries[entryId]?.slug) {
-    return `<a href="/${context.entries[entryId].slug}">${content}</a>`;
-  }
-
-  return content;
+  return runRenderers('hyperlink', context.entries[entryId], node, context);
 }
 
 /**
@@ -248,6 +302,7 @@ function renderAssetHyperlink(node, context) {
     return `<a href="${escapeAttr(url)}" target="_blank" rel="noopener noreferrer">${content}</a>`;
   }
 
+  diagnose(context, node, { severity: 'warning', code: 'asset-not-resolved', assetId, message: 'Linked asset could not be resolved; rendered as text' });
   return content;
 }
 
@@ -256,59 +311,72 @@ function renderAssetHyperlink(node, context) {
  * 
  * In Contentful, tables with `selectedKey` are embedded multiple times in the same page,
  * each preceded by a heading (h3, h2, etc.) that implicitly identifies which rows to show.
- * The heading text contains one of the key column values as a word.
  * 
- * Strategy: Get the known key values from the entry's filters, then find which key value
- * appears as a word in the nearest preceding heading.
+ * Strategy: with the table's key values (`context.tableKeys`, from the extracted table
+ * JSON) the exact key is matched against the nearest preceding heading — see
+ * table-keys.js for how abbreviations, city names and plurals are handled.
  * 
  * Example: key values = ["agency", "food", "equipment", "repair", "legal", "security", "utility", "veterans"]
  *   heading "Area Agency on Aging" contains "agency" → key = "agency"
  *   heading "Food Assistance Programs" contains "food" → key = "food"
  * 
+ * Without key values, or when no key matches (reported as a `table-key-not-matched`
+ * diagnostic), the heading slug is returned and the plugin matches it at render time.
+ * 
  * @param {Object} entry - The resolved entry data
  * @param {Array} siblings - Sibling nodes in the rich text document
  * @param {number} index - Current node index in siblings
+ * @param {Object} context - Rendering context (for the locale chain and table keys)
  * @returns {string|null} The key value to filter by, or null if no key filtering
  */
-function detectTableKey(entry, siblings, index) {
+export function detectTableKey(entry, siblings, index, context) {
   // Check if this table has key filtering configured
-  const filters = entry.fields?.filters?.['en-US'] || {};
+  const filters = fieldValue(entry, 'filters', context) || {};
   const selectedKey = filters.selectedKey || [];
   if (selectedKey.length === 0) return null;
 
   // No sibling context available
   if (!siblings || index < 0) return null;
 
-  // Walk backwards through siblings to find the nearest heading
-  for (let i = index - 1; i >= 0; i--) {
-    const sibling = siblings[i];
-    const nt = sibling.nodeType;
-
-    // Found a heading — extract text and match against known key values
-    if (nt && nt.startsWith('heading-')) {
-      const headingText = extractPlainText(sibling).toLowerCase();
-      if (headingText) {
-        // We don't know the actual key values at conversion time (they're in the CSV data),
-        // so we store the heading slug and let the plugin do the matching at render time
-        const headingSlug = headingText
-          .replace(/[^a-z0-9\s]/g, '')
-          .trim()
-          .replace(/\s+/g, '-');
-        return headingSlug;
-      }
-    }
+  const node = siblings[index];
+  const entryId = node.data?.target?.sys?.id;
+  const keyValues = context.tableKeys?.[entryId];
+  const report = (message) => diagnose(context, node, {
+    severity: 'warning',
+    code: 'table-key-not-matched',
+    entryId,
+    contentType: entry.contentType,
+    message,
+  });
+
+  const heading = findPrecedingHeading(siblings, index);
+  const headingText = heading ? extractPlainText(heading).trim() : '';
+  if (!headingText) {
+    if (keyValues) report('Keyed table has no heading before it; all rows are shown');
+    return null;
+  }
 
-    // If we hit another embedded-entry-block, stop looking (section boundary)
-    if (nt === 'embedded-entry-block') break;
+  if (keyValues) {
+    const match = matchTableKey(headingText, keyValues);
+    if (match.key) return match.key;
+    report(match.candidates.length > 0
+      ? `Heading "${headingText}" matches several keys (${match.candidates.join(', ')})`
+      : `Heading "${headingText}" matches none of the table's ${keyValues.length} keys`);
   }
 
-  return null;
+  // Key values unknown at conversion time: store the heading slug and let the
+  // plugin do the matching at render time
+  return headingText
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, '')
+    .trim()
+    .replace(/\s+/g, '-');
 }
 
 /**
  * Extract plain text from a rich text node (recursively)
  */
-function extractPlainText(node) {
+export function extractPlainText(node) {
   if (!node) return '';
   if (node.value) return node.value;
   if (node.content) return node.content.map(extractPlainText).join('');
@@ -323,13 +391,22 @@ function extractPlainText(node) {
  * @param {number} index - Current index in siblings
  */
 function renderEmbeddedEntryBlock(node, context, siblings = null, index = -1) {
+  return embedBlock(renderEmbeddedEntryContent(node, context, siblings, index), context);
+}
+
+/**
+ * Markup of an embedded entry block, from the renderer registered for its
+ * content type (shortcode, HTML or, in blocks mode, block markup)
+ */
+function renderEmbeddedEntryContent(node, context, siblings = null, index = -1) {
   const entryId = node.data?.target?.sys?.id;
 
   if (!entryId) {
-    return '<!-- Embedded entry: missing ID -->';
+    diagnose(context, node, { severity: 'error', code: 'missing-id', message: 'Embedded entry block has no target ID' });
+    return '';
   }
 
-  // Use custom renderer if provided
+  // Catch-all renderer from the options runs before the registry
   if (context.renderEmbeddedEntry) {
     const result = context.renderEmbeddedEntry(entryId, context.entries[entryId]);
     if (result) return result;
@@ -337,174 +414,335 @@ function renderEmbeddedEntryBlock(node, context, siblings = null, index = -1) {
 
   const entry = context.entries[entryId];
   if (!entry) {
-    return `<!-- Embedded entry: ${entryId} (not resolved) -->`;
+    diagnose(context, node, { severity: 'error', code: 'entry-not-resolved', entryId, message: 'Embedded entry could not be resolved' });
+    return '';
   }
 
-  // Handle known content types
-  switch (entry.contentType) {
-    case 'tableOfContents':
-      return `[contentful_toc id="${entryId}"]`;
-
-    case 'dataVisualizationTables': {
-      // Check if this table has key-based filtering
-      // The filter value is derived from the nearest preceding heading
-      const filterAttr = detectTableKey(entry, siblings, index);
-      if (filterAttr) {
-        return `[contentful_table id="${entryId}" filters="${escapeAttr(filterAttr)}"]`;
-      }
-      return `[contentful_table id="${entryId}"]`;
-    }
+  return runRenderers('block', entry, node, context, siblings, index);
+}
 
-      case 'dataVisualizationCharts': {
-          // Render chart as a shortcode for the WP plugin to process
-          const chartTitle = entry.fields?.title?.['en-US'] || '';
-          const vizType = entry.fields?.visualizationType?.['en-US'] || 'Bar Chart';
-          return `[contentful_chart id="${entryId}" type="${escapeAttr(vizType)}" title="${escapeAttr(chartTitle)}"]`;
-      }
+/**
+ * Render an embedded entry inline
+ */
+function renderEmbeddedEntryInline(node, context) {
+  const entryId = node.data?.target?.sys?.id;
+  const entry = context.entries[entryId];
 
-      case 'dataVisualizationCards': {
-          // Render cards as a shortcode for the WP plugin to process
-          const cardTitle = entry.fields?.title?.['en-US'] || '';
-          const cardType = entry.fields?.type?.['en-US'] || 'Summary';
-          return `[contentful_cards id="${entryId}" type="${escapeAttr(cardType)}" title="${escapeAttr(cardTitle)}"]`;
-      }
+  if (!entry) {
+    diagnose(context, node, {
+      severity: 'error',
+      code: entryId ? 'entry-not-resolved' : 'missing-id',
+      entryId,
+      message: entryId ? 'Inline entry could not be resolved' : 'Inline entry has no target ID',
+    });
+    return '';
+  }
 
-      case 'link': {
-          // Render link component based on type
-          const linkType = entry.fields?.type?.['en-US'] || '';
-          const linkText = entry.fields?.linkText?.['en-US'] || entry.title || 'Learn More';
-          const linkUrl = entry.fields?.url?.['en-US'] || entry.url || '';
-
-          if (linkType === 'backtotop') {
-              return `<p class="back-to-top"><a href="#top">↑ ${escapeHtml(linkText)}</a></p>`;
-          }
-          if (linkType === 'internal' && linkText) {
-              // Internal link — try to resolve from slug or just use text
-              return `<p><a href="/${generateSlug(linkText)}" class="wp-button">${escapeHtml(linkText)}</a></p>`;
-          }
-          if (linkUrl) {
-              return `<p><a href="${escapeAttr(linkUrl)}" class="wp-button">${escapeHtml(linkText)}</a></p>`;
-          }
-          return `<!-- Link component: ${entryId} (type: ${linkType}) -->`;
-      }
+  return runRenderers('inline', entry, node, context);
+}
 
-      case 'linkReference': {
-          // Render as a list of links
-          const refTitle = entry.fields?.title?.['en-US'] || '';
-          const links = entry.fields?.links?.['en-US'] || [];
-          if (links.length === 0) return `<!-- Link reference: ${entryId} (empty) -->`;
-
-          let html = '';
-          if (refTitle) html += `<h3>${escapeHtml(refTitle)}</h3>\n`;
-          html += '<ul class="link-reference-list">\n';
-          for (const linkRef of links) {
-              const linkedId = linkRef?.sys?.id;
-              const linkedEntry = linkedId ? context.entries[linkedId] : null;
-              if (linkedEntry) {
-                  const text = linkedEntry.fields?.linkText?.['en-US'] || linkedEntry.title || 'Link';
-                  const url = linkedEntry.fields?.url?.['en-US'] || linkedEntry.url || '#';
-                  html += `<li><a href="${escapeAttr(url)}">${escapeHtml(text)}</a></li>\n`;
-              }
-          }
-          html += '</ul>';
-          return html;
+// ─── Embedded Entry Renderers ────────────────────────────────────────
+
+const RENDERER_KINDS = ['block', 'inline', 'hyperlink'];
+
+/**
+ * Create a registry of embedded entry renderers, keyed by context
+ * ("block" for embedded-entry-block, "inline" for embedded-entry-inline,
+ * "hyperlink" for entry-hyperlink) and content type ID, with "*" as the
+ * catch-all. Lookups fall through to the parent registry, so a new registry
+ * overrides the defaults one content type at a time:
+ *
+ *   const renderers = createRendererRegistry()
+ *     .register('block', 'dataVisualizationCharts', (entry, { field }) => `[chart id="${field('id')}"]`);
+ *   richTextToHtml(document, { entries, renderers });
+ *
+ * A renderer is called as `renderer(entry, args)` and returns markup; returning
+ * null/undefined passes the entry on to the next matching renderer. `args`:
+ *   - entryId, node, kind    - the node being rendered
+ *   - context                - rendering context (assets, entries, locale chain, format, ...)
+ *   - siblings, index        - the node's siblings (block context only)
+ *   - field(id)              - localized field value of the entry
+ *   - renderChildren(nodes)  - render rich text nodes (default: the node's own content)
+ *   - report(severity, code, message) - add a diagnostic for this node and entry
+ *   - next()                 - output of the next matching renderer (e.g. the default)
+ * For hyperlinks `entry` is undefined when the target wasn't resolved.
+ *
+ * @param {Object|null} parent - Registry to fall back to (default: defaultRenderers)
+ */
+export function createRendererRegistry(parent = defaultRenderers) {
+  const own = Object.fromEntries(RENDERER_KINDS.map(kind => [kind, new Map()]));
+
+  // Renderers for one key, this registry's before the parent's
+  const candidates = (kind, key) => [
+    ...(own[kind].has(key) ? [own[kind].get(key)] : []),
+    ...(parent ? parent.candidates(kind, key) : []),
+  ];
+
+  return {
+    candidates,
+
+    /**
+     * Register a renderer for a content type ("*" for any) in one or more contexts
+     * @param {string|string[]} kind - "block", "inline" and/or "hyperlink"
+     * @param {string} contentType - Content type ID or "*"
+     * @param {Function} renderer - (entry, args) => string | null
+     */
+    register(kind, contentType, renderer) {
+      for (const k of [].concat(kind)) {
+        if (!own[k]) {
+          throw new Error(`Unknown renderer kind "${k}" (expected ${RENDERER_KINDS.join(', ')})`);
+        }
+        if (typeof renderer !== 'function') {
+          throw new Error(`Renderer for ${k}/${contentType} must be a function`);
+        }
+        own[k].set(contentType, renderer);
       }
+      return this;
+    },
+
+    /**
+     * Every renderer that applies to a content type, most specific first
+     */
+    lookup(kind, contentType) {
+      return [...(contentType ? candidates(kind, contentType) : []), ...candidates(kind, '*')];
+    },
+  };
+}
 
-      case 'navigationBlock': {
-          // Navigation/linking module — render as navigation section
-          const navName = entry.fields?.name?.['en-US'] || '';
-          return `<!-- Navigation Block: ${escapeHtml(navName)} -->`;
+/**
+ * Run the renderers registered for an entry until one returns markup.
+ * Other converters pass their own node walk as `context.renderNode` so
+ * `renderChildren` produces their output format.
+ */
+export function runRenderers(kind, entry, node, context, siblings = null, index = -1) {
+  const chain = context.renderers.lookup(kind, entry?.contentType);
+  const entryId = node.data?.target?.sys?.id;
+  const separator = kind === 'block' ? '\n\n' : '';
+  const walk = context.renderNode || renderNode;
+
+  const args = {
+    entryId,
+    node,
+    kind,
+    context,
+    siblings,
+    index,
+    field: fieldId => fieldValue(entry, fieldId, context),
+    renderChildren: (nodes = node.content) => {
+      // Nodes of a nested document are located under the embedding node
+      if (context.paths && nodes !== node.content) {
+        indexNodePaths(nodes, `${context.paths.get(node) || ''}/${entryId}.content`, context.paths);
       }
+      return (nodes || []).map((child, i, all) => walk(child, context, all, i)).filter(Boolean).join(separator);
+    },
+    report: (severity, code, message) =>
+      diagnose(context, node, { severity, code, message, entryId, contentType: entry?.contentType }),
+  };
+
+  const run = (from) => {
+    for (let i = from; i < chain.length; i++) {
+      const result = chain[i](entry, { ...args, next: () => run(i + 1) });
+      if (result !== null && result !== undefined) return result;
+    }
+    return '';
+  };
+  return run(0);
+}
+
+// ─── Default Renderers ───────────────────────────────────────────────
+
+export const defaultRenderers = createRendererRegistry(null);
+
+defaultRenderers
+  .register('block', 'tableOfContents', (entry, { entryId, context, field, report }) =>
+    renderTableOfContents(entryId, field, context, report))
 
-      case 'form': {
-          // Contact form — render as a styled HTML form placeholder
-          const formTitle = entry.fields?.title?.['en-US'] || 'Contact Form';
-          const submitText = entry.fields?.submitText?.['en-US'] || 'Submit';
-          return `[contentful_form id="${entryId}" title="${escapeAttr(formTitle)}" submit="${escapeAttr(submitText)}"]`;
+  .register('block', 'dataVisualizationTables', (entry, { entryId, context, siblings, index }) => {
+    // Check if this table has key-based filtering
+    // The filter value is derived from the nearest preceding heading
+    const filterAttr = detectTableKey(entry, siblings, index, context);
+    if (filterAttr) {
+      return `[contentful_table id="${entryId}" filters="${escapeAttr(filterAttr)}"]`;
+    }
+    return `[contentful_table id="${entryId}"]`;
+  })
+
+  .register('block', 'dataVisualizationCharts', (entry, { entryId, field }) => {
+    // Render chart as a shortcode for the WP plugin to process
+    const chartTitle = field('title') || '';
+    const vizType = field('visualizationType') || 'Bar Chart';
+    return `[contentful_chart id="${entryId}" type="${escapeAttr(vizType)}" title="${escapeAttr(chartTitle)}"]`;
+  })
+
+  .register('block', 'dataVisualizationCards', (entry, { entryId, field }) => {
+    // Render cards as a shortcode for the WP plugin to process
+    const cardTitle = field('title') || '';
+    const cardType = field('type') || 'Summary';
+    return `[contentful_cards id="${entryId}" type="${escapeAttr(cardType)}" title="${escapeAttr(cardTitle)}"]`;
+  })
+
+  .register('block', 'link', (entry, { entryId, node, context, field, report }) => {
+    // Render link component based on type
+    const linkType = field('type') || '';
+    const linkText = field('linkText') || entry.title || 'Learn More';
+    const linkUrl = field('url') || entry.url || '';
+    const flags = { sponsored: isSponsored(field), entryId };
+
+    if (linkType === 'backtotop') {
+      return `<p class="back-to-top"><a href="#top">↑ ${escapeHtml(linkText)}</a></p>`;
+    }
+    if (linkType === 'internal' && linkText) {
+      const internalUrl = internalLinkUrl(entryId, field, linkText, context) || linkUrl;
+      const attrs = internalUrl && linkAttributes(internalUrl, context, node, flags);
+      if (attrs) return `<p><a ${attrs} class="wp-button">${escapeHtml(linkText)}</a></p>`;
+    }
+    if (linkUrl) {
+      const attrs = linkAttributes(linkUrl, context, node, flags);
+      return attrs ? `<p><a ${attrs} class="wp-button">${escapeHtml(linkText)}</a></p>` : '';
+    }
+    report('warning', 'link-without-url', `Link component (type "${linkType}") has no URL`);
+    return '';
+  })
+
+  .register('block', 'linkReference', (entry, { node, context, field, report }) => {
+    // Render as a list of links
+    const refTitle = field('title') || '';
+    const links = field('links') || [];
+    if (links.length === 0) {
+      report('info', 'empty-component', 'Link reference has no links');
+      return '';
+    }
+
+    let html = '';
+    if (refTitle) html += `<h3>${escapeHtml(refTitle)}</h3>\n`;
+    html += '<ul class="link-reference-list">\n';
+    for (const linkRef of links) {
+      const linkedId = linkRef?.sys?.id;
+      const linkedEntry = linkedId ? context.entries[linkedId] : null;
+      if (linkedEntry) {
+        const text = fieldValue(linkedEntry, 'linkText', context) || linkedEntry.title || 'Link';
+        const url = fieldValue(linkedEntry, 'url', context) || linkedEntry.url || '#';
+        const sponsored = isSponsored(fieldId => fieldValue(linkedEntry, fieldId, context));
+        const attrs = linkAttributes(url, context, node, { sponsored, entryId: linkedId });
+        html += attrs ? `<li><a ${attrs}>${escapeHtml(text)}</a></li>\n` : `<li>${escapeHtml(text)}</li>\n`;
       }
+    }
+    html += '</ul>';
+    return html;
+  })
 
-      case 'modalForm': {
-          // CTA button that opens a modal form
-          const modalTitle = entry.fields?.title?.['en-US'] || '';
-          const buttonColor = entry.fields?.buttonColor?.['en-US'] || 'green';
-          return `<div class="cta-button-container">
+  .register('block', 'navigationBlock', (entry, { field, report }) => {
+    // Navigation/linking modules are built by the theme, not migrated
+    report('info', 'not-migrated', `Navigation block "${field('name') || ''}" is left to the theme`);
+    return '';
+  })
+
+  .register('block', 'form', (entry, { entryId, field }) => {
+    // Contact form — render as a styled HTML form placeholder
+    const formTitle = field('title') || 'Contact Form';
+    const submitText = field('submitText') || 'Submit';
+    return `[contentful_form id="${entryId}" title="${escapeAttr(formTitle)}" submit="${escapeAttr(submitText)}"]`;
+  })
+
+  .register('block', 'modalForm', (entry, { field }) => {
+    // CTA button that opens a modal form
+    const modalTitle = field('title') || '';
+    const buttonColor = field('buttonColor') || 'green';
+    return `<div class="cta-button-container">
 <a href="#contact" class="wp-button cta-button cta-${escapeAttr(buttonColor)}">${escapeHtml(modalTitle || 'Get Started')}</a>
 </div>`;
+  })
+
+  .register('block', 'richText', (entry, { context, field, renderChildren, report }) => {
+    // Nested rich text block — recursively render if body content exists
+    const rtBody = field('body');
+    if (rtBody && rtBody.nodeType === 'document') {
+      const nestedHtml = renderChildren(rtBody.content);
+      if (isBlocks(context)) {
+        return wrapBlock('group', { className: 'rich-text-block' },
+          `<div class="wp-block-group rich-text-block">\n${nestedHtml}\n</div>`, context);
       }
-
-      case 'richText': {
-          // Nested rich text block — recursively render if body content exists
-          const rtBody = entry.fields?.body?.['en-US'];
-          if (rtBody && rtBody.nodeType === 'document') {
-              const nestedHtml = rtBody.content
-                  .map(node => renderNode(node, context))
-                  .join('\n\n');
-              return `<div class="rich-text-block">\n${nestedHtml}\n</div>`;
-          }
-          const rtText = entry.fields?.text?.['en-US'] || entry.fields?.content?.['en-US'] || '';
-          if (rtText) return `<div class="rich-text-block">${escapeHtml(rtText)}</div>`;
-          return `<!-- Rich text block: ${entryId} (empty) -->`;
+      return `<div class="rich-text-block">\n${nestedHtml}\n</div>`;
+    }
+    const rtText = field('text') || field('content') || '';
+    if (rtText) return `<div class="rich-text-block">${escapeHtml(rtText)}</div>`;
+    report('info', 'empty-component', 'Rich text block has no content');
+    return '';
+  })
+
+  .register('block', 'image', (entry, { entryId, context, field, report }) => {
+    // Image component
+    const imgTitle = field('title') || '';
+    const imgAssetRef = field('image');
+    if (imgAssetRef?.sys?.id) {
+      const asset = context.assets[imgAssetRef.sys.id];
+      if (asset?.url) {
+        const url = asset.url.startsWith('//') ? `https:${asset.url}` : asset.url;
+        return renderImageFigure(url, imgTitle || asset.title || asset.description || '', imgTitle, context, asset);
       }
+    }
+    report('warning', 'asset-not-resolved', 'Image component has no resolved image');
+    return '';
+  })
 
-      case 'image': {
-          // Image component
-          const imgTitle = entry.fields?.title?.['en-US'] || '';
-          const imgAssetRef = entry.fields?.image?.['en-US'];
-          if (imgAssetRef?.sys?.id) {
-              const asset = context.assets[imgAssetRef.sys.id];
-              if (asset?.url) {
-                  const url = asset.url.startsWith('//') ? `https:${asset.url}` : asset.url;
-                  return `<figure class="wp-block-image">
-<img src="${escapeAttr(url)}" alt="${escapeAttr(imgTitle || asset.title || '')}" />
-${imgTitle ? `<figcaption>${escapeHtml(imgTitle)}</figcaption>` : ''}
-</figure>`;
-              }
-          }
-          return `<!-- Image component: ${entryId} -->`;
-      }
+  .register('block', '*', (entry, { report }) => {
+    report('warning', 'unknown-content-type', `No renderer for content type "${entry.contentType}"`);
+    return '';
+  })
 
-    default:
-      return `<!-- Embedded entry: ${entryId} (type: ${entry.contentType}) -->`;
-  }
-}
+  .register('inline', 'link', (entry, { entryId, node, context, field }) => {
+    const linkType = field('type') || '';
+    const linkText = field('linkText') || entry.title || 'Link';
+    const linkUrl = field('url') || entry.url || '';
+    const flags = { sponsored: isSponsored(field), entryId };
 
-/**
- * Render an embedded entry inline
- */
-function renderEmbeddedEntryInline(node, context) {
-  const entryId = node.data?.target?.sys?.id;
-  const entry = context.entries[entryId];
+    if (linkType === 'backtotop') {
+      return `<a href="#top">↑ ${escapeHtml(linkText)}</a>`;
+    }
+    if (linkUrl) {
+      const attrs = linkAttributes(linkUrl, context, node, flags);
+      return attrs ? `<a ${attrs}>${escapeHtml(linkText)}</a>` : escapeHtml(linkText);
+    }
+    if (linkType === 'internal') {
+      const internalUrl = internalLinkUrl(entryId, field, linkText, context);
+      const attrs = internalUrl && linkAttributes(internalUrl, context, node, flags);
+      if (attrs) return `<a ${attrs}>${escapeHtml(linkText)}</a>`;
+    }
+    return escapeHtml(linkText);
+  })
 
-    if (!entry) return `<!-- Inline entry: ${entryId} (not resolved) -->`;
-
-    switch (entry.contentType) {
-        case 'link': {
-            const linkType = entry.fields?.type?.['en-US'] || '';
-            const linkText = entry.fields?.linkText?.['en-US'] || entry.title || 'Link';
-            const linkUrl = entry.fields?.url?.['en-US'] || entry.url || '';
-
-            if (linkType === 'backtotop') {
-                return `<a href="#top">↑ ${escapeHtml(linkText)}</a>`;
-            }
-            if (linkUrl) {
-                return `<a href="${escapeAttr(linkUrl)}">${escapeHtml(linkText)}</a>`;
-            }
-            if (linkType === 'internal') {
-                return `<a href="/${generateSlug(linkText)}">${escapeHtml(linkText)}</a>`;
-            }
-            return escapeHtml(linkText);
-        }
+  .register('inline', 'modalForm', (entry, { field }) => {
+    const btnText = field('title') || 'Get Started';
+    const btnColor = field('buttonColor') || 'green';
+    return `<a href="#contact" class="wp-button cta-button cta-${escapeAttr(btnColor)}">${escapeHtml(btnText)}</a>`;
+  })
 
-        case 'modalForm': {
-            const btnText = entry.fields?.title?.['en-US'] || 'Get Started';
-            const btnColor = entry.fields?.buttonColor?.['en-US'] || 'green';
-            return `<a href="#contact" class="wp-button cta-button cta-${escapeAttr(btnColor)}">${escapeHtml(btnText)}</a>`;
-        }
+  .register('inline', '*', (entry, { report }) => {
+    report('warning', 'unknown-content-type', `No inline renderer for content type "${entry.contentType}"`);
+    return '';
+  })
+
+  .register('hyperlink', '*', (entry, { entryId, node, context, renderChildren, report }) => {
+    const content = renderChildren();
+
+    if (entryId && context.resolveEntryUrl) {
+      // Unresolved links are left as text rather than pointing at a guessed URL
+      const url = context.resolveEntryUrl(entryId, entry);
+      const attrs = url && linkAttributes(url, context, node, { entryId });
+      if (attrs) return `<a ${attrs}>${content}</a>`;
+      if (url) return content;
+      report('warning', 'link-not-resolved', 'No permalink for the linked entry; rendered as text');
+      return content;
+    }
 
-      default:
-          return `<!-- Inline entry: ${entryId} (type: ${entry.contentType}) -->`;
-  }
-}
+    // Fallback: link to Contentful entry or just render as text
+    if (entryId && entry?.slug) {
+      const attrs = linkAttributes(`/${String(entry.slug).replace(/^\/+/, '')}`, context, node, { entryId });
+      if (attrs) return `<a ${attrs}>${content}</a>`;
+    }
+
+    return content;
+  });
 
 /**
  * Render an embedded asset block (images, PDFs, etc.)
@@ -513,66 +751,203 @@ function renderEmbeddedAssetBlock(node, context) {
   const assetId = node.data?.target?.sys?.id;
   const asset = context.assets[assetId];
 
-  if (!asset) {
-    return `<!-- Embedded asset: ${assetId} (not resolved) -->`;
+  if (!asset || asset.error) {
+    diagnose(context, node, {
+      severity: 'error',
+      code: assetId ? 'asset-not-resolved' : 'missing-id',
+      assetId,
+      message: assetId ? `Embedded asset could not be resolved${asset?.error ? `: ${asset.error}` : ''}` : 'Embedded asset block has no target ID',
+    });
+    return '';
   }
 
   const url = asset.url?.startsWith('//') ? `https:${asset.url}` : asset.url;
 
   // Handle images
   if (asset.contentType?.startsWith('image/')) {
-    const alt = escapeAttr(asset.title || asset.fileName || '');
-    return `<figure class="wp-block-image">
-<img src="${escapeAttr(url)}" alt="${alt}" />
-${asset.title ? `<figcaption>${escapeHtml(asset.title)}</figcaption>` : ''}
-</figure>`;
+    return renderImageFigure(url, asset.title || asset.description || asset.fileName || '', asset.title, context, asset);
   }
 
   // Handle PDFs and other documents
   if (asset.contentType === 'application/pdf') {
     const title = asset.title || asset.fileName || 'Download PDF';
+    if (isBlocks(context)) return renderFileBlock(url, title, context);
     return `<p><a href="${escapeAttr(url)}" target="_blank" rel="noopener noreferrer" class="wp-block-file">📄 ${escapeHtml(title)}</a></p>`;
   }
 
   // Generic file download
   const title = asset.title || asset.fileName || 'Download file';
+  if (isBlocks(context)) return renderFileBlock(url, title, context);
   return `<p><a href="${escapeAttr(url)}" target="_blank" rel="noopener noreferrer">📎 ${escapeHtml(title)}</a></p>`;
 }
 
 /**
- * Render a table node
+ * Render an image as a figure (wp:image block in blocks mode).
+ *
+ * Classic markup gets width/height, lazy loading, async decoding and a
+ * srcset. Block markup only carries what core/image saves, or the editor
+ * flags the block as invalid; for migrated media the `wp-image-<id>` class
+ * lets WordPress add the same attributes when the post is displayed.
+ * @param {Object} asset - Resolved asset ({ width, height }), if any
  */
-function renderTable(node, context) {
-  const rows = node.content
-    .map(child => renderNode(child, context))
-    .join('\n');
-  return `<table class="wp-block-table">\n<tbody>\n${rows}\n</tbody>\n</table>`;
+function renderImageFigure(url, alt, caption, context, asset = {}) {
+  const image = responsiveImage(url, asset, context);
+  if (isBlocks(context)) {
+    const figcaption = caption ? `<figcaption class="wp-element-caption">${escapeHtml(caption)}</figcaption>` : '';
+    const attrs = image.mediaId ? { id: image.mediaId, sizeSlug: 'full' } : null;
+    const figureClass = image.mediaId ? 'wp-block-image size-full' : 'wp-block-image';
+    const imgClass = image.mediaId ? ` class="wp-image-${image.mediaId}"` : '';
+    return wrapBlock('image', attrs,
+      `<figure class="${figureClass}"><img src="${escapeAttr(image.src)}" alt="${escapeAttr(alt)}"${imgClass}/>${figcaption}</figure>`, context);
+  }
+
+  const imgAttrs = [
+    `src="${escapeAttr(image.src)}"`,
+    `alt="${escapeAttr(alt)}"`,
+    image.width && image.height ? `width="${image.width}" height="${image.height}"` : '',
+    image.srcset ? `srcset="${escapeAttr(image.srcset)}" sizes="${escapeAttr(image.sizes)}"` : '',
+    image.mediaId ? `class="wp-image-${image.mediaId}"` : '',
+    'loading="lazy" decoding="async"',
+  ].filter(Boolean).join(' ');
+  return `<figure class="wp-block-image">
+<img ${imgAttrs} />
+${caption ? `<figcaption>${escapeHtml(caption)}</figcaption>` : ''}
+</figure>`;
 }
 
+const DEFAULT_IMAGE_WIDTHS = [480, 800, 1200, 1600];
+const DEFAULT_IMAGE_SIZES = '(max-width: 800px) 100vw, 800px';
+
 /**
- * Render a table row
+ * Source, dimensions and srcset of an image: the WordPress intermediate
+ * sizes once the image has been migrated to the media library
+ * (context.images.media), otherwise Contentful Images API renditions
+ * (?w=<width>&fm=webp) up to the original width
  */
-function renderTableRow(node, context) {
-  const cells = node.content
-    .map(child => renderNode(child, context))
-    .join('');
-  return `<tr>${cells}</tr>`;
+function responsiveImage(url, asset, context) {
+  const { widths = DEFAULT_IMAGE_WIDTHS, sizes = DEFAULT_IMAGE_SIZES, media = {} } = context.images || {};
+  const migrated = media[(url || '').split('?')[0]];
+
+  if (migrated) {
+    const renditions = [...(migrated.sizes || []), { url: migrated.url, width: migrated.width }]
+      .filter((size, i, all) => size.url && size.width && all.findIndex(s => s.url === size.url) === i)
+      .sort((a, b) => a.width - b.width);
+    return {
+      src: migrated.url,
+      width: migrated.width || asset.width,
+      height: migrated.height || asset.height,
+      srcset: renditions.map(size => `${size.url} ${size.width}w`).join(', '),
+      sizes,
+      mediaId: migrated.id,
+    };
+  }
+
+  const image = { src: url, width: asset.width, height: asset.height };
+  // The Images API only serves images.ctfassets.net; SVGs can't and GIFs shouldn't become WebP
+  if (!/^https?:\/\/images\.ctfassets\.net\//.test(url) || /\.(svg|gif)(\?|$)/i.test(url)) return image;
+
+  const steps = widths.filter(width => !asset.width || width < asset.width);
+  if (asset.width) steps.push(asset.width);
+  const separator = url.includes('?') ? '&' : '?';
+  image.srcset = steps.map(width => `${url}${separator}w=${width}&fm=webp ${width}w`).join(', ');
+  image.sizes = sizes;
+  return image;
 }
 
 /**
- * Render a table cell (td or th)
+ * Render a downloadable file as a wp:file block (blocks mode only)
  */
-function renderTableCell(node, tag, context) {
-  const content = node.content
+function renderFileBlock(url, title, context) {
+  const href = escapeAttr(url);
+  return wrapBlock('file', { href: url },
+    `<div class="wp-block-file"><a href="${href}" target="_blank" rel="noreferrer noopener">${escapeHtml(title)}</a>` +
+    `<a href="${href}" class="wp-block-file__button wp-element-button" download>Download</a></div>`, context);
+}
+
+/**
+ * Render a table node. A first row made only of header cells becomes the
+ * <thead>; header cells get `scope` (col in the head, row in the body).
+ * @param {Object} node - The table node
+ * @param {Object} context - Rendering context (context.tables holds the table options)
+ * @param {Array} siblings - Sibling nodes, for a caption from the preceding heading
+ * @param {number} index - Index of the table in siblings
+ */
+function renderTable(node, context, siblings = null, index = -1) {
+  const { caption: captionSource, responsive = false, fixedLayout = false, block = false } = context.tables || {};
+  const rows = node.content || [];
+  const hasHeaderRow = rows.length > 1 &&
+    rows[0].content?.length > 0 &&
+    rows[0].content.every(cell => cell.nodeType === 'table-header-cell');
+
+  const headRows = hasHeaderRow ? rows.slice(0, 1) : [];
+  const bodyRows = hasHeaderRow ? rows.slice(1) : rows;
+  // Table block cells are single rich text fields: no <p> and no newlines
+  const asBlock = isBlocks(context) || block;
+  const rowContext = asBlock ? { ...context, format: 'blocks' } : context;
+  const separator = asBlock ? '' : '\n';
+  const thead = headRows.map(row => renderTableRow(row, rowContext, 'col')).join(separator);
+  const tbody = bodyRows.map(row => renderTableRow(row, rowContext, 'row')).join(separator);
+
+  const previous = siblings && index > 0 ? siblings[index - 1] : null;
+  const caption = captionSource === 'heading' && previous?.nodeType?.startsWith('heading-')
+    ? extractPlainText(previous).trim()
+    : '';
+
+  if (asBlock) {
+    // The table block keeps the class on a wrapping figure and the caption in a figcaption
+    const tableClass = fixedLayout ? ' class="has-fixed-layout"' : '';
+    const head = thead ? `<thead>${thead}</thead>` : '';
+    const figcaption = caption ? `<figcaption class="wp-element-caption">${escapeHtml(caption)}</figcaption>` : '';
+    // (core table CSS already scrolls wide tables, so no responsive wrapper)
+    return wrapBlock('table', fixedLayout ? { hasFixedLayout: true } : null,
+      `<figure class="wp-block-table"><table${tableClass}>${head}<tbody>${tbody}</tbody></table>${figcaption}</figure>`, rowContext);
+  }
+
+  const classes = ['wp-block-table', ...(fixedLayout ? ['has-fixed-layout'] : [])].join(' ');
+  const parts = [`<table class="${classes}">`];
+  if (caption) parts.push(`<caption>${escapeHtml(caption)}</caption>`);
+  if (thead) parts.push('<thead>', thead, '</thead>');
+  parts.push('<tbody>', tbody, '</tbody>', '</table>');
+  const table = parts.join('\n');
+
+  // Wide tables scroll inside their own box instead of the page on small screens
+  return responsive
+    ? `<div class="table-responsive" style="overflow-x:auto">\n${table}\n</div>`
+    : table;
+}
+
+/**
+ * Render a table row
+ * @param {string} scope - Scope for header cells ("col" or "row"), if any
+ */
+function renderTableRow(node, context, scope = null) {
+  const cells = node.content
     .map(child => {
-      if (child.nodeType === 'paragraph') {
-        return renderInlineContent(child.content, context);
-      }
+      if (child.nodeType === 'table-header-cell') return renderTableCell(child, 'th', context, scope);
+      if (child.nodeType === 'table-cell') return renderTableCell(child, 'td', context);
       return renderNode(child, context);
     })
     .join('');
+  return `<tr>${cells}</tr>`;
+}
+
+/**
+ * Render a table cell (td or th). A single paragraph is written inline; a
+ * cell with several paragraphs keeps them as <p> elements (line breaks in
+ * table blocks, whose cells can't hold paragraphs).
+ */
+function renderTableCell(node, tag, context, scope = null) {
+  const parts = (node.content || [])
+    .map(child => (child.nodeType === 'paragraph'
+      ? { paragraph: true, html: renderInlineContent(child.content, context) }
+      : { paragraph: false, html: renderNode(child, context) }))
+    .filter(part => part.html.trim());
+  const content = isBlocks(context)
+    ? parts.map(part => part.html).join('<br>')
+    : parts.map(part => (part.paragraph && parts.length > 1 ? `<p>${part.html}</p>` : part.html)).join('');
 
   const attrs = [];
+  if (scope) attrs.push(`scope="${scope}"`);
   if (node.data?.colspan && node.data.colspan > 1) attrs.push(`colspan="${node.data.colspan}"`);
   if (node.data?.rowspan && node.data.rowspan > 1) attrs.push(`rowspan="${node.data.rowspan}"`);
 
@@ -580,12 +955,219 @@ function renderTableCell(node, tag, context) {
   return `<${tag}${attrStr}>${content}</${tag}>`;
 }
 
+// ─── Heading Anchors ─────────────────────────────────────────────────
+
+const SAFE_ANCHOR = /^[a-z0-9_-]+$/;
+
+/**
+ * Give the document's headings their IDs before anything is rendered, so a
+ * table of contents can link to headings that come after it. Headings that
+ * have an anchor in `anchors` are done first, so new slugs can't take an ID
+ * an existing link points to.
+ */
+function assignHeadingIds(nodes, anchors, context) {
+  const previous = new Map();
+  for (const { text, id } of anchors) {
+    // Anchors come back from post meta: only slugs like generateSlug() makes are reused
+    if (typeof id !== 'string' || !SAFE_ANCHOR.test(id)) continue;
+    if (!previous.has(text)) previous.set(text, []);
+    previous.get(text).push(id);
+  }
+  context.headings = { ids: new WeakMap(), used: new Set((context.outline || []).map(h => h.id)), previous };
+
+  const headings = nodes.filter(node => /^heading-[1-6]$/.test(node.nodeType));
+  for (const node of headings) {
+    const text = extractPlainText(node).trim();
+    const id = previous.get(text)?.[0];
+    if (id && !context.headings.used.has(id)) headingId(node, context);
+  }
+  for (const node of headings) headingId(node, context);
+}
+
+/**
+ * Anchor ID of a heading: the ID it had in the previous import, or a slug of
+ * its text, with -2, -3, ... added when another heading on the page has it
+ */
+function headingId(node, context) {
+  const { ids, used, previous } = context.headings;
+  if (ids.has(node)) return ids.get(node);
+
+  const text = extractPlainText(node).trim();
+  const anchors = previous.get(text) || [];
+  while (anchors.length > 0 && used.has(anchors[0])) anchors.shift();
+
+  let id = anchors.shift();
+  if (!id) {
+    const base = generateSlug(escapeHtml(text)) || 'heading';
+    id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+  }
+  ids.set(node, id);
+  used.add(id);
+  return id;
+}
+
+// ─── Table of Contents ───────────────────────────────────────────────
+
+const DEFAULT_TOC_HEADER_TAGS = ['H2'];
+
+/**
+ * Render a tableOfContents entry as a static, nested list of links to the
+ * document's headings, instead of a shortcode whose script collects them in
+ * the browser. Only the levels in `includedHeaderTags` are listed; `style`
+ * and `stickyOnScroll` become classes (a style with "number" in its name
+ * gives an ordered list).
+ */
+function renderTableOfContents(entryId, field, context, report) {
+  const title = field('title') || 'Table of Contents';
+  const headerTags = field('includedHeaderTags') || DEFAULT_TOC_HEADER_TAGS;
+  const style = field('style') || 'List';
+  const isSticky = field('stickyOnScroll') || false;
+  const levels = headerTags.map(tag => Number(String(tag).replace(/^h/i, '')));
+
+  const headings = (context.document?.content || [])
+    .filter(node => /^heading-[1-6]$/.test(node.nodeType))
+    .map(node => ({ level: Number(node.nodeType.split('-')[1]), id: headingId(node, context), text: extractPlainText(node).trim() }))
+    .filter(heading => heading.text && levels.includes(heading.level));
+
+  if (headings.length === 0) {
+    report('warning', 'empty-component', `Table of contents has no ${headerTags.join('/')} headings to list`);
+    return '';
+  }
+
+  const listTag = /number/i.test(style) ? 'ol' : 'ul';
+  const classes = ['contentful-toc', isSticky && 'toc-sticky', `toc-style-${generateSlug(style)}`].filter(Boolean).join(' ');
+  return [
+    `<nav class="${classes}" aria-label="${escapeAttr(title)}" data-entry-id="${escapeAttr(entryId)}" data-headers="${escapeAttr(headerTags.join(','))}">`,
+    `<p class="toc-title">${escapeHtml(title)}</p>`,
+    renderTocList(headings, listTag),
+    '</nav>',
+  ].join('\n');
+}
+
+/**
+ * Nest headings by level: each heading holds the deeper ones that follow it
+ */
+function renderTocList(headings, tag) {
+  const items = [];
+  for (let i = 0; i < headings.length;) {
+    let end = i + 1;
+    while (end < headings.length && headings[end].level > headings[i].level) end++;
+    const link = `<a href="#${escapeAttr(headings[i].id)}">${escapeHtml(headings[i].text)}</a>`;
+    const children = headings.slice(i + 1, end);
+    items.push(children.length > 0 ? `<li>${link}\n${renderTocList(children, tag)}\n</li>` : `<li>${link}</li>`);
+    i = end;
+  }
+  return `<${tag} class="toc-list">\n${items.join('\n')}\n</${tag}>`;
+}
+
+// ─── Block Markup ────────────────────────────────────────────────────
+
+function isBlocks(context) {
+  return context.format === 'blocks';
+}
+
+/**
+ * Serialize block attributes the way WordPress does (serialize_block_attributes):
+ * characters that could end the comment or confuse the parser are unicode-escaped
+ */
+function serializeBlockAttributes(attrs) {
+  return JSON.stringify(attrs)
+    .replace(/--/g, '\\u002d\\u002d')
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\\"/g, '\\u0022');
+}
+
+/**
+ * Wrap markup in a block comment delimiter. A no-op in html mode, so render
+ * functions can call it unconditionally.
+ * @param {string} name - Core block name without the "core/" namespace (e.g. "paragraph")
+ * @param {Object|null} attrs - Block attributes (omitted when empty)
+ * @param {string} html - Saved markup of the block
+ * @param {Object} context - Rendering context
+ */
+function wrapBlock(name, attrs, html, context) {
+  if (!isBlocks(context)) return html;
+  const attrStr = attrs && Object.keys(attrs).length > 0 ? ` ${serializeBlockAttributes(attrs)}` : '';
+  return `<!-- wp:${name}${attrStr} -->\n${html}\n<!-- /wp:${name} -->`;
+}
+
+/**
+ * In blocks mode, turn whatever an embedded entry rendered into a block:
+ * shortcodes go into wp:shortcode, markup that is already a block is kept,
+ * anything else becomes a Custom HTML block
+ */
+function embedBlock(html, context) {
+  if (!isBlocks(context) || !html) return html;
+  const trimmed = html.trim();
+  if (trimmed.startsWith('<!-- wp:')) return html;
+  if (/^\[[a-z_]+[\s\]]/.test(trimmed)) return wrapBlock('shortcode', null, trimmed, context);
+  return wrapBlock('html', null, trimmed, context);
+}
+
+// ─── Links ───────────────────────────────────────────────────────────
+
+// Fields a `link` entry may use to mark a paid provider link
+const SPONSORED_LINK_FIELDS = ['sponsored', 'nofollow'];
+
+function isSponsored(field) {
+  return SPONSORED_LINK_FIELDS.some(id => field(id) === true);
+}
+
+/**
+ * href, target and rel of an <a> tag under the context's link policy, or
+ * null when the URL's scheme isn't allowed (reported as `unsafe-url`)
+ * @param {Object} flags - { sponsored, entryId }
+ */
+function linkAttributes(url, context, node, flags = {}) {
+  const link = context.links.link(url, flags);
+  if (!link) {
+    diagnose(context, node, {
+      severity: 'error',
+      code: 'unsafe-url',
+      entryId: flags.entryId,
+      message: `Link to "${url.slice(0, 60)}" dropped: URL scheme not allowed`,
+    });
+    return null;
+  }
+  return [
+    `href="${escapeAttr(link.href)}"`,
+    link.target ? `target="${link.target}"` : '',
+    link.rel ? `rel="${link.rel}"` : '',
+  ].filter(Boolean).join(' ');
+}
+
 // ─── Utility Functions ───────────────────────────────────────────────
 
+// Fields of a `link` entry that may reference the page an internal link points to
+const INTERNAL_LINK_FIELDS = ['target', 'page', 'internalLink', 'reference'];
+
+/**
+ * URL of an internal `link` entry. With resolveEntryUrl the referenced page
+ * is resolved (or, without a reference, the link entry itself, so the miss
+ * shows up in the resolver's report); without it the URL is guessed from
+ * the link text as before.
+ */
+export function internalLinkUrl(entryId, field, linkText, context) {
+  if (!context.resolveEntryUrl) return `/${generateSlug(linkText)}`;
+  const targetId = INTERNAL_LINK_FIELDS.map(id => field(id)).find(ref => ref?.sys?.id)?.sys.id;
+  if (targetId) return context.resolveEntryUrl(targetId, context.entries[targetId]);
+  return context.resolveEntryUrl(entryId, context.entries[entryId]);
+}
+
+/**
+ * Read a localized field of a resolved entry using the context's locale chain
+ */
+function fieldValue(entry, fieldId, context) {
+  return localized(entry?.fields?.[fieldId], context.localeChain);
+}
+
 /**
  * Escape HTML special characters
  */
-function escapeHtml(text) {
+export function escapeHtml(text) {
   if (!text) return '';
   return text
     .replace(/&/g, '&amp;')
@@ -598,7 +1180,7 @@ function escapeHtml(text) {
 /**
  * Escape attribute values
  */
-function escapeAttr(text) {
+export function escapeAttr(text) {
   if (!text) return '';
   return text
     .replace(/&/g, '&amp;')
@@ -606,17 +1188,10 @@ function escapeAttr(text) {
     .replace(/'/g, '&#039;');
 }
 
-/**
- * Strip HTML tags from text
- */
-function stripHtml(html) {
-  return html.replace(/<[^>]*>/g, '');
-}
-
 /**
  * Generate a URL-friendly slug from text
  */
-function generateSlug(text) {
+export function generateSlug(text) {
   return text
     .toLowerCase()
     .replace(/[^\w\s-]/g, '')
@@ -0,0 +1,519 @@
+#!/usr/bin/env node
+
+/**
+ * Contentful Rich Text to Markdown/MDX Converter
+ *
+ * Sibling of rich-text-to-html.js for the headless front end: walks the same
+ * rich text nodes and writes Markdown (GFM tables). Embedded entries become
+ * MDX components (<ContentfulTable id="..." filters="..."/>, <ContentfulChart/>,
+ * ...) rendered through the same renderer registry API as the HTML converter.
+ */
+
+import { diagnose, indexNodePaths } from './diagnostics.js';
+import { DEFAULT_LOCALE, localized } from './locales.js';
+import {
+  createRendererRegistry,
+  detectTableKey,
+  internalLinkUrl,
+  runRenderers,
+} from './rich-text-to-html.js';
+import { sanitizeUrl } from './url-policy.js';
+
+/**
+ * Convert a Contentful rich text document to MDX
+ * @param {Object} document - Contentful rich text document node
+ * @param {Object} options - Conversion options
+ * @param {Object} options.assets - Map of asset ID → asset data { url, title, fileName, contentType }
+ * @param {Object} options.entries - Map of entry ID → entry data { contentType, title, fields }
+ * @param {Function} options.resolveEntryUrl - (entryId, entry) → permalink of a linked entry, or null when unknown
+ * @param {Function} options.renderEmbeddedEntry - Catch-all renderer for embedded entry blocks, tried before the registry
+ * @param {Object} options.renderers - Renderer registry (default: defaultMdxRenderers)
+ * @param {string} options.locale - Locale to read embedded entry fields in (default "en-US")
+ * @param {string[]} options.fallbackLocales - Locales to try, in order, when a field is empty in `locale`
+ * @param {Array} options.diagnostics - Array that receives the conversion diagnostics (see diagnostics.js)
+ * @param {Object} options.tableKeys - Map of table entry ID → key column values (see table-keys.js)
+ * @returns {string} MDX source
+ */
+export function richTextToMarkdown(document, options = {}) {
+  if (!document || document.nodeType !== 'document') {
+    return '';
+  }
+
+  const {
+    assets = {},
+    entries = {},
+    resolveEntryUrl = null,
+    renderEmbeddedEntry = null,
+    renderers = defaultMdxRenderers,
+    locale = DEFAULT_LOCALE,
+    fallbackLocales = [],
+    diagnostics = null,
+    tableKeys = {},
+  } = options;
+
+  const localeChain = [...new Set([locale, ...fallbackLocales])];
+  const paths = new WeakMap();
+  indexNodePaths(document.content, 'content', paths);
+  const context = { assets, entries, resolveEntryUrl, renderEmbeddedEntry, renderers, localeChain, renderNode, diagnostics, paths, tableKeys };
+
+  return renderBlocks(document.content, context);
+}
+
+/**
+ * Render sibling block nodes separated by blank lines
+ */
+function renderBlocks(nodes, context) {
+  return (nodes || [])
+    .map((node, index, siblings) => renderNode(node, context, siblings, index))
+    .filter(md => md && md.trim())
+    .join('\n\n');
+}
+
+/**
+ * Render a single rich text node to Markdown
+ * @param {Object} node - The node to render
+ * @param {Object} context - Rendering context
+ * @param {Array} siblings - Sibling nodes array (for context-aware rendering)
+ * @param {number} index - Current index in siblings array
+ */
+function renderNode(node, context, siblings = null, index = -1) {
+  switch (node.nodeType) {
+    case 'paragraph':
+      return escapeLineStart(renderInlineContent(node.content, context).trim());
+    case 'heading-1':
+    case 'heading-2':
+    case 'heading-3':
+    case 'heading-4':
+    case 'heading-5':
+    case 'heading-6': {
+      const level = Number(node.nodeType.split('-')[1]);
+      const content = renderInlineContent(node.content, context).trim();
+      return content ? `${'#'.repeat(level)} ${content}` : '';
+    }
+    case 'unordered-list':
+      return renderList(node, false, context);
+    case 'ordered-list':
+      return renderList(node, true, context);
+    case 'list-item':
+      return renderListItem(node, '-', context);
+    case 'blockquote':
+      return renderBlocks(node.content, context)
+        .split('\n')
+        .map(line => (line ? `> ${line}` : '>'))
+        .join('\n');
+    case 'hr':
+      return '---';
+    case 'hyperlink':
+      return markdownLink(renderInlineContent(node.content, context), node.data?.uri || '#', context, node);
+    case 'entry-hyperlink': {
+      const entryId = node.data?.target?.sys?.id;
+      return runRenderers('hyperlink', context.entries[entryId], node, context);
+    }
+    case 'asset-hyperlink':
+      return renderAssetHyperlink(node, context);
+    case 'embedded-entry-block':
+      return renderEmbeddedEntryBlock(node, context, siblings, index);
+    case 'embedded-entry-inline':
+      return renderEmbeddedEntryInline(node, context);
+    case 'embedded-asset-block':
+      return renderEmbeddedAssetBlock(node, context);
+    case 'text':
+      return renderText(node, context);
+    case 'table':
+      return renderTable(node, context);
+    default:
+      diagnose(context, node, {
+        severity: 'warning',
+        code: 'unknown-node-type',
+        message: `Unknown node type "${node.nodeType}"; only its content was kept`,
+      });
+      if (node.content) {
+        return node.content.map(child => renderNode(child, context)).join('');
+      }
+      return '';
+  }
+}
+
+/**
+ * Render inline content (children of block nodes)
+ */
+function renderInlineContent(nodes, context) {
+  if (!nodes || !Array.isArray(nodes)) return '';
+  return nodes.map(node => renderNode(node, context)).join('');
+}
+
+const MARKS = ['bold', 'italic', 'underline', 'code', 'superscript', 'subscript'];
+
+/**
+ * Render a text node with marks (bold, italic, etc.)
+ */
+function renderText(node, context) {
+  const value = node.value || '';
+  const marks = (node.marks || []).map(m => m.type);
+
+  for (const mark of marks.filter(m => !MARKS.includes(m))) {
+    diagnose(context, node, { severity: 'warning', code: 'unknown-mark', message: `Unknown mark type "${mark}" ignored` });
+  }
+
+  if (marks.includes('code')) {
+    const fence = value.includes('`') ? '``' : '`';
+    return wrapMarks(`${fence}${value}${fence}`, marks.filter(m => m !== 'code'));
+  }
+
+  return wrapMarks(escapeMarkdown(value), marks);
+}
+
+/**
+ * Apply marks, keeping surrounding whitespace outside the delimiters
+ * ("** bold **" is not bold in Markdown)
+ */
+function wrapMarks(text, marks) {
+  const [, lead, core, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!core) return text;
+
+  let out = core;
+  for (const mark of marks) {
+    switch (mark) {
+      case 'bold':
+        out = `**${out}**`;
+        break;
+      case 'italic':
+        out = `_${out}_`;
+        break;
+      case 'underline':
+        out = `<u>${out}</u>`;
+        break;
+      case 'superscript':
+        out = `<sup>${out}</sup>`;
+        break;
+      case 'subscript':
+        out = `<sub>${out}</sub>`;
+        break;
+      default:
+        // Reported by renderText
+        break;
+    }
+  }
+  return `${lead}${out}${trail}`;
+}
+
+/**
+ * Render a list; nested lists are indented under their item
+ */
+function renderList(node, ordered, context) {
+  return node.content
+    .map((item, i) => renderListItem(item, ordered ? `${i + 1}.` : '-', context))
+    .join('\n');
+}
+
+/**
+ * Render a list item: first block after the marker, the rest indented below it
+ */
+function renderListItem(node, marker, context) {
+  const indent = ' '.repeat(marker.length + 1);
+  const blocks = node.content
+    .map(child => (child.nodeType === 'paragraph'
+      ? renderInlineContent(child.content, context).trim()
+      : renderNode(child, context)))
+    .filter(Boolean);
+
+  return `${marker} ${blocks.join('\n')}`
+    .split('\n')
+    .map((line, i) => (i === 0 || !line ? line : `${indent}${line}`))
+    .join('\n');
+}
+
+/**
+ * Render an asset hyperlink (link to a Contentful asset like a PDF)
+ */
+function renderAssetHyperlink(node, context) {
+  const assetId = node.data?.target?.sys?.id;
+  const asset = context.assets[assetId];
+  const content = renderInlineContent(node.content, context);
+  if (asset?.url) return markdownLink(content, assetUrl(asset), context, node);
+  diagnose(context, node, { severity: 'warning', code: 'asset-not-resolved', assetId, message: 'Linked asset could not be resolved; rendered as text' });
+  return content;
+}
+
+/**
+ * Render an embedded entry block as an MDX component (or Markdown)
+ */
+function renderEmbeddedEntryBlock(node, context, siblings = null, index = -1) {
+  const entryId = node.data?.target?.sys?.id;
+
+  if (!entryId) {
+    diagnose(context, node, { severity: 'error', code: 'missing-id', message: 'Embedded entry block has no target ID' });
+    return '';
+  }
+
+  if (context.renderEmbeddedEntry) {
+    const result = context.renderEmbeddedEntry(entryId, context.entries[entryId]);
+    if (result) return result;
+  }
+
+  const entry = context.entries[entryId];
+  if (!entry) {
+    diagnose(context, node, { severity: 'error', code: 'entry-not-resolved', entryId, message: 'Embedded entry could not be resolved' });
+    return '';
+  }
+
+  return runRenderers('block', entry, node, context, siblings, index);
+}
+
+/**
+ * Render an embedded entry inline
+ */
+function renderEmbeddedEntryInline(node, context) {
+  const entryId = node.data?.target?.sys?.id;
+  const entry = context.entries[entryId];
+
+  if (!entry) {
+    diagnose(context, node, {
+      severity: 'error',
+      code: entryId ? 'entry-not-resolved' : 'missing-id',
+      entryId,
+      message: entryId ? 'Inline entry could not be resolved' : 'Inline entry has no target ID',
+    });
+    return '';
+  }
+
+  return runRenderers('inline', entry, node, context);
+}
+
+/**
+ * Render an embedded asset block (images as images, everything else as a link)
+ */
+function renderEmbeddedAssetBlock(node, context) {
+  const assetId = node.data?.target?.sys?.id;
+  const asset = context.assets[assetId];
+
+  if (!asset || asset.error) {
+    diagnose(context, node, {
+      severity: 'error',
+      code: assetId ? 'asset-not-resolved' : 'missing-id',
+      assetId,
+      message: assetId ? `Embedded asset could not be resolved${asset?.error ? `: ${asset.error}` : ''}` : 'Embedded asset block has no target ID',
+    });
+    return '';
+  }
+
+  const url = assetUrl(asset);
+  if (asset.contentType?.startsWith('image/')) {
+    return markdownImage(asset.title || asset.description || asset.fileName || '', url, context, node);
+  }
+
+  const icon = asset.contentType === 'application/pdf' ? '📄' : '📎';
+  const title = asset.title || asset.fileName || 'Download file';
+  return markdownLink(`${icon} ${escapeMarkdown(title)}`, url, context, node);
+}
+
+/**
+ * Render a table as a GFM table. GFM needs a header row, so the first row
+ * is always used as the header.
+ */
+function renderTable(node, context) {
+  const rows = (node.content || []).map(row =>
+    (row.content || []).map(cell =>
+      (cell.content || [])
+        .map(child => (child.nodeType === 'paragraph'
+          ? renderInlineContent(child.content, context).trim()
+          : renderNode(child, context)))
+        .filter(Boolean)
+        .join('<br/>')
+        .replace(/\n/g, '<br/>')));
+
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(r => r.length));
+  const line = cells => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+
+  return [
+    line(rows[0]),
+    `| ${Array(width).fill('---').join(' | ')} |`,
+    ...rows.slice(1).map(line),
+  ].join('\n');
+}
+
+// ─── Default MDX Renderers ───────────────────────────────────────────
+
+export const defaultMdxRenderers = createRendererRegistry(null);
+
+defaultMdxRenderers
+  .register('block', 'tableOfContents', (entry, { entryId }) => jsx('TableOfContents', { id: entryId }))
+
+  .register('block', 'dataVisualizationTables', (entry, { entryId, context, siblings, index }) =>
+    jsx('ContentfulTable', { id: entryId, filters: detectTableKey(entry, siblings, index, context) }))
+
+  .register('block', 'dataVisualizationCharts', (entry, { entryId, field }) =>
+    jsx('ContentfulChart', {
+      id: entryId,
+      type: field('visualizationType') || 'Bar Chart',
+      title: field('title'),
+    }))
+
+  .register('block', 'dataVisualizationCards', (entry, { entryId, field }) =>
+    jsx('ContentfulCards', { id: entryId, type: field('type') || 'Summary', title: field('title') }))
+
+  .register('block', 'form', (entry, { entryId, field }) =>
+    jsx('ContentfulForm', {
+      id: entryId,
+      title: field('title') || 'Contact Form',
+      submit: field('submitText') || 'Submit',
+    }))
+
+  .register(['block', 'inline'], 'modalForm', (entry, { field }) =>
+    jsx('CtaButton', { title: field('title') || 'Get Started', color: field('buttonColor') || 'green' }))
+
+  .register(['block', 'inline'], 'link', (entry, { entryId, node, kind, context, field, report }) => {
+    const linkType = field('type') || '';
+    const linkText = field('linkText') || entry.title || (kind === 'block' ? 'Learn More' : 'Link');
+    const linkUrl = field('url') || entry.url || '';
+
+    if (linkType === 'backtotop') return markdownLink(`↑ ${escapeMarkdown(linkText)}`, '#top', context, node, entryId);
+    if (linkUrl) return markdownLink(escapeMarkdown(linkText), linkUrl, context, node, entryId);
+    if (linkType === 'internal') {
+      const internalUrl = internalLinkUrl(entryId, field, linkText, context);
+      if (internalUrl) return markdownLink(escapeMarkdown(linkText), internalUrl, context, node, entryId);
+    }
+    if (kind === 'inline') return escapeMarkdown(linkText);
+    report('warning', 'link-without-url', `Link component (type "${linkType}") has no URL`);
+    return '';
+  })
+
+  .register('block', 'linkReference', (entry, { node, context, field, report }) => {
+    const refTitle = field('title') || '';
+    const links = field('links') || [];
+    if (links.length === 0) {
+      report('info', 'empty-component', 'Link reference has no links');
+      return '';
+    }
+
+    const items = links
+      .map(ref => [ref?.sys?.id, context.entries[ref?.sys?.id]])
+      .filter(([, linked]) => linked)
+      .map(([linkedId, linked]) => {
+        const text = localized(linked.fields?.linkText, context.localeChain) || linked.title || 'Link';
+        const url = localized(linked.fields?.url, context.localeChain) || linked.url || '#';
+        return `- ${markdownLink(escapeMarkdown(text), url, context, node, linkedId)}`;
+      });
+    return [refTitle ? `### ${escapeMarkdown(refTitle)}` : '', items.join('\n')].filter(Boolean).join('\n\n');
+  })
+
+  .register('block', 'navigationBlock', (entry, { field, report }) => {
+    report('info', 'not-migrated', `Navigation block "${field('name') || ''}" is left to the theme`);
+    return '';
+  })
+
+  .register('block', 'richText', (entry, { field, renderChildren, report }) => {
+    const rtBody = field('body');
+    if (rtBody && rtBody.nodeType === 'document') return renderChildren(rtBody.content);
+    const rtText = field('text') || field('content') || '';
+    if (rtText) return escapeMarkdown(rtText);
+    report('info', 'empty-component', 'Rich text block has no content');
+    return '';
+  })
+
+  .register('block', 'image', (entry, { entryId, node, context, field, report }) => {
+    const imgTitle = field('title') || '';
+    const asset = context.assets[field('image')?.sys?.id];
+    if (asset?.url) return markdownImage(imgTitle || asset.title || asset.description || '', assetUrl(asset), context, node, entryId);
+    report('warning', 'asset-not-resolved', 'Image component has no resolved image');
+    return '';
+  })
+
+  .register('block', '*', (entry, { report }) => {
+    report('warning', 'unknown-content-type', `No renderer for content type "${entry.contentType}"`);
+    return '';
+  })
+
+  .register('inline', '*', (entry, { report }) => {
+    report('warning', 'unknown-content-type', `No inline renderer for content type "${entry.contentType}"`);
+    return '';
+  })
+
+  .register('hyperlink', '*', (entry, { entryId, node, context, renderChildren, report }) => {
+    const content = renderChildren();
+    if (entryId && context.resolveEntryUrl) {
+      const url = context.resolveEntryUrl(entryId, entry);
+      if (url) return markdownLink(content, url, context, node, entryId);
+      report('warning', 'link-not-resolved', 'No permalink for the linked entry; rendered as text');
+      return content;
+    }
+    if (entryId && entry?.slug) {
+      return markdownLink(content, `/${entry.slug}`, context, node, entryId);
+    }
+    return content;
+  });
+
+// ─── Utility Functions ───────────────────────────────────────────────
+
+/**
+ * Escape characters Markdown or MDX would otherwise interpret
+ * ({ } and < > start JSX expressions and tags in MDX)
+ */
+export function escapeMarkdown(text) {
+  if (!text) return '';
+  return text.replace(/[\\`*_[\]{}<>|]/g, '\\$&');
+}
+
+/**
+ * Escape a paragraph that would otherwise start a heading, quote or list
+ */
+function escapeLineStart(text) {
+  return text.replace(/^(#|>|[-+]\s|\d+\.\s)/, '\\$1');
+}
+
+function assetUrl(asset) {
+  return asset.url?.startsWith('//') ? `https:${asset.url}` : asset.url;
+}
+
+/**
+ * Link destinations can't contain spaces or unbalanced parentheses
+ */
+function markdownUrl(url) {
+  return String(url || '#').replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+/**
+ * The URL if its scheme is on the allow-list, otherwise null, reported as
+ * `unsafe-url` (javascript:, data:, ...)
+ */
+function safeUrl(url, context, node, entryId) {
+  const href = sanitizeUrl(url || '#');
+  if (href === null) {
+    diagnose(context, node, {
+      severity: 'error',
+      code: 'unsafe-url',
+      entryId,
+      message: `Link to "${String(url).slice(0, 60)}" dropped: URL scheme not allowed`,
+    });
+  }
+  return href;
+}
+
+// Links with an unsafe URL are left as text
+function markdownLink(text, url, context, node, entryId) {
+  const href = safeUrl(url, context, node, entryId);
+  return href === null ? text : `[${text}](${markdownUrl(href)})`;
+}
+
+// Images with an unsafe URL are left out
+function markdownImage(alt, url, context, node, entryId) {
+  const src = safeUrl(url, context, node, entryId);
+  return src === null ? '' : `![${escapeMarkdown(alt)}](${markdownUrl(src)})`;
+}
+
+/**
+ * Self-closing MDX component; empty attributes are left out. Values with
+ * characters a quoted JSX attribute can't hold are passed as expressions.
+ */
+function jsx(name, attrs) {
+  const props = Object.entries(attrs)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => (/["{}<>\\\n]/.test(String(value))
+      ? `${key}={${JSON.stringify(String(value))}}`
+      : `${key}="${value}"`));
+  return `<${name}${props.length > 0 ? ` ${props.join(' ')}` : ''}/>`;
+}
+
+export default richTextToMarkdown;
@@ -0,0 +1,464 @@
+/**
+ * Shortcode renderer: extracted table, chart and card JSON → static HTML
+ *
+ * The [contentful_table], [contentful_chart] and [contentful_cards]
+ * shortcodes the converters write are drawn by the WordPress plugin from the
+ * JSON that re-extract-tables.js (out/tables) and extract-charts.js
+ * (out/charts, out/cards) save. This module renders the same JSON without
+ * WordPress, for the headless front end, the preview server and snapshots:
+ *
+ *   - tables: rawData, narrowed to the shortcode's `filters` key
+ *   - charts: inline SVG bar, line and pie (donut) charts, honoring layout
+ *     (vertical/horizontal bars), groupMode (grouped/stacked), showLegend,
+ *     legendLocation, axis labels and labelPrefix, with the data as a
+ *     visually hidden table for screen readers
+ *   - cards: one card per data row
+ *
+ * It doesn't read files: pass the parsed JSON, or a `lookup(kind, id)` to
+ * expandShortcodes(). Chart and card data from a spreadsheet source is only
+ * a URL in the JSON; pass the parsed rows as `options.rows` to draw it.
+ */
+
+import { escapeHtml, escapeAttr, generateSlug } from './rich-text-to-html.js';
+import { parseShortcodeAttributes } from './html-to-rich-text.js';
+
+const WIDTH = 640;
+const HEIGHT = 360;
+const PALETTE = ['#2271b1', '#d63638', '#00a32a', '#dba617', '#8c5fc7', '#e26f56', '#3582c4', '#646970'];
+
+const SHORTCODE_PATTERN = /\[contentful_(table|chart|cards)((?:\s+[\w-]+="[^"]*")*)\s*\]/g;
+
+const text = (value) => escapeHtml(String(value ?? ''));
+const slugClass = (value, fallback) => generateSlug(String(value || fallback)) || generateSlug(fallback);
+const round = (n) => Math.round(n * 100) / 100;
+
+// ─── Tables ──────────────────────────────────────────────────────────
+
+/**
+ * A table's rows narrowed to one key, as the plugin does for
+ * [contentful_table filters="..."]; the key column is dropped unless it is
+ * one of the table's display columns
+ * @param {Object} table - Table JSON (out/tables/<id>.json)
+ * @param {string} filter - Key value, or the heading slug the converters fall back to
+ * @returns {Array<Array>} Header row and matching rows
+ */
+export function filterTableRows(table, filter) {
+  const rows = table.rawData || [];
+  const keyIndex = table.keyColumnIndex ?? -1;
+  if (!filter || keyIndex < 0 || rows.length === 0) return rows;
+
+  const wanted = String(filter).trim().toLowerCase();
+  const matches = row => {
+    const value = String(row[keyIndex] ?? '').trim();
+    return value.toLowerCase() === wanted || generateSlug(value) === generateSlug(String(filter));
+  };
+  const keyId = table.filters?.selectedKey?.[0]?.id;
+  const displayed = (table.filters?.selectedColumns || []).some(col => col.id === keyId);
+  const keep = row => displayed ? row : row.filter((_, i) => i !== keyIndex);
+  return [keep(rows[0]), ...rows.slice(1).filter(matches).map(keep)];
+}
+
+// URLs in cells become links, as in the plugin's tables. They are found in
+// the raw text, so a query string's & stays part of the link
+function cellHtml(cell) {
+  const raw = String(cell ?? '');
+  let html = '';
+  let last = 0;
+  for (const match of raw.matchAll(/https?:\/\/[^\s<>"']+/g)) {
+    html += text(raw.slice(last, match.index))
+      + `<a href="${escapeAttr(match[0])}" target="_blank" rel="noopener noreferrer">${text(match[0])}</a>`;
+    last = match.index + match[0].length;
+  }
+  return html + text(raw.slice(last));
+}
+
+/**
+ * @param {Object} table - Table JSON (out/tables/<id>.json)
+ * @param {Object} options
+ * @param {string} options.filter - Key the shortcode filters on
+ * @returns {string} HTML ('' for tables of contents and tables without data)
+ */
+export function renderTable(table, options = {}) {
+  if (!table || table.type === 'tableOfContents') return '';
+  const rows = filterTableRows(table, options.filter);
+  if (rows.length === 0) return '';
+
+  const style = slugClass(table.style, 'Equal Width');
+  const theme = slugClass(table.theme, 'Standard');
+  const fullWidth = table.fullWidth !== false ? ' table-full-width' : '';
+  const [header, ...body] = rows;
+
+  return `<div class="contentful-data-table${fullWidth} style-${style} theme-${theme}"${options.filter ? ` data-filter="${escapeAttr(String(options.filter))}"` : ''}>`
+    + (table.title ? `<h3 class="table-title">${text(table.title)}</h3>` : '')
+    + '<div class="table-responsive"><table class="contentful-table">'
+    + `<thead><tr>${header.map(cell => `<th scope="col">${text(cell)}</th>`).join('')}</tr></thead>`
+    + `<tbody>${body.map(row => `<tr>${row.map(cell => `<td>${cellHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>`
+    + '</table></div></div>';
+}
+
+// ─── Chart Data ──────────────────────────────────────────────────────
+
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  const n = parseFloat(String(value ?? '').replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Categories and series of a chart's rows: the first column (or the
+ * filters' key column) names the categories, the selected (or all other)
+ * columns are the series
+ */
+export function chartSeries(rows, filters = null) {
+  if (!rows || rows.length < 2) return { categories: [], series: [], suffix: '' };
+  const [header, ...body] = rows;
+  const categoryIndex = filters?.selectedKey?.[0]?.id ?? 0;
+  const selected = (filters?.selectedColumns || []).map(col => col.id).filter(i => i !== categoryIndex);
+  const columns = selected.length > 0
+    ? selected
+    : header.map((_, i) => i).filter(i => i !== categoryIndex);
+
+  const series = columns
+    .map((i, n) => ({ name: String(header[i] ?? ''), color: PALETTE[n % PALETTE.length], values: body.map(row => parseNumber(row[i])) }))
+    .filter(s => s.values.some(v => v !== null));
+  // "45%" cells: keep the unit on the labels
+  const cells = body.flatMap(row => columns.map(i => String(row[i] ?? '')));
+  const suffix = cells.length > 0 && cells.every(cell => cell === '' || cell.trim().endsWith('%')) ? '%' : '';
+
+  return { categories: body.map(row => String(row[categoryIndex] ?? '')), series, suffix };
+}
+
+/**
+ * A round step for about `count` axis ticks
+ */
+function niceStep(range, count = 5) {
+  if (range <= 0) return 1;
+  const raw = range / count;
+  const exp = Math.pow(10, Math.floor(Math.log10(raw)));
+  const f = raw / exp;
+  return (f <= 1 ? 1 : f <= 2 ? 2 : f <= 2.5 ? 2.5 : f <= 5 ? 5 : 10) * exp;
+}
+
+function valueDomain(values) {
+  const max = Math.max(0, ...values);
+  const min = Math.min(0, ...values);
+  const step = niceStep(max - min);
+  return { min: Math.floor(min / step) * step, max: Math.ceil(max / step) * step || step, step };
+}
+
+function formatValue(value, prefix, suffix) {
+  const sign = value < 0 ? '-' : '';
+  return `${sign}${prefix}${Math.abs(value).toLocaleString('en-US', { maximumFractionDigits: 2 })}${suffix}`;
+}
+
+// ─── Chart SVG ───────────────────────────────────────────────────────
+
+function chartKind(chart) {
+  const type = String(chart.visualizationType || 'Bar Chart').toLowerCase();
+  if (type.includes('line') || type.includes('area')) return 'line';
+  if (type.includes('pie') || type.includes('donut') || type.includes('doughnut')) return 'pie';
+  return 'bar';
+}
+
+/**
+ * Plot area of a bar or line chart, leaving room for ticks and axis labels
+ */
+function plotArea(chart, horizontal) {
+  const left = (horizontal ? 120 : 56) + (chart.yAxisLabel ? 20 : 0);
+  const bottom = 40 + (chart.xAxisLabel ? 20 : 0);
+  return { x: left, y: 16, width: WIDTH - left - 16, height: HEIGHT - 16 - bottom };
+}
+
+function axisLabels(chart, area) {
+  let svg = '';
+  if (chart.xAxisLabel) {
+    svg += `<text class="axis-label" x="${round(area.x + area.width / 2)}" y="${HEIGHT - 6}" text-anchor="middle">${text(chart.xAxisLabel)}</text>`;
+  }
+  if (chart.yAxisLabel) {
+    const cy = round(area.y + area.height / 2);
+    svg += `<text class="axis-label" x="14" y="${cy}" text-anchor="middle" transform="rotate(-90 14 ${cy})">${text(chart.yAxisLabel)}</text>`;
+  }
+  return svg;
+}
+
+// Long category names would run into each other
+const shortLabel = (label, max) => label.length > max ? `${label.slice(0, max - 1)}…` : label;
+
+/**
+ * Value ticks and gridlines along the value axis, and category labels along
+ * the other one
+ */
+function axes(area, domain, categories, horizontal, prefix, suffix) {
+  const scale = v => (v - domain.min) / (domain.max - domain.min);
+  let svg = '<g class="chart-axes" font-size="11" fill="#50575e">';
+  for (let v = domain.min; v <= domain.max + domain.step / 2; v += domain.step) {
+    const label = text(formatValue(round(v), prefix, suffix));
+    if (horizontal) {
+      const x = round(area.x + scale(v) * area.width);
+      svg += `<line x1="${x}" y1="${area.y}" x2="${x}" y2="${area.y + area.height}" stroke="#dcdcde"/>`
+        + `<text x="${x}" y="${area.y + area.height + 16}" text-anchor="middle">${label}</text>`;
+    } else {
+      const y = round(area.y + area.height - scale(v) * area.height);
+      svg += `<line x1="${area.x}" y1="${y}" x2="${area.x + area.width}" y2="${y}" stroke="#dcdcde"/>`
+        + `<text x="${area.x - 6}" y="${y + 4}" text-anchor="end">${label}</text>`;
+    }
+  }
+  const band = (horizontal ? area.height : area.width) / Math.max(categories.length, 1);
+  categories.forEach((category, i) => {
+    const center = round((horizontal ? area.y : area.x) + band * (i + 0.5));
+    svg += horizontal
+      ? `<text x="${area.x - 6}" y="${center + 4}" text-anchor="end">${text(shortLabel(category, 18))}</text>`
+      : `<text x="${center}" y="${area.y + area.height + 16}" text-anchor="middle">${text(shortLabel(category, Math.max(4, Math.floor(band / 7))))}</text>`;
+  });
+  return `${svg}</g>`;
+}
+
+function barChart(chart, data, prefix) {
+  const horizontal = String(chart.layout || '').toLowerCase() === 'horizontal';
+  const stacked = String(chart.groupMode || '').toLowerCase() === 'stacked';
+  const { categories, series, suffix } = data;
+  const area = plotArea(chart, horizontal);
+
+  // Value extent: stacked bars add up positives and negatives separately
+  const extent = stacked
+    ? categories.flatMap((_, i) => [
+      series.reduce((sum, s) => sum + Math.max(s.values[i] || 0, 0), 0),
+      series.reduce((sum, s) => sum + Math.min(s.values[i] || 0, 0), 0),
+    ])
+    : series.flatMap(s => s.values.filter(v => v !== null));
+  const domain = valueDomain(extent);
+  const scale = v => (v - domain.min) / (domain.max - domain.min);
+
+  const band = (horizontal ? area.height : area.width) / categories.length;
+  const padding = Math.min(Math.max(Number(chart.barPadding ?? 0.1) || 0, 0), 0.9);
+  const inner = band * (1 - padding);
+  const barSize = stacked ? inner : inner / series.length;
+
+  let bars = '';
+  categories.forEach((category, i) => {
+    const bandStart = (horizontal ? area.y : area.x) + band * i + (band - inner) / 2;
+    let up = 0;
+    let down = 0;
+    series.forEach((s, j) => {
+      const v = s.values[i];
+      if (v === null) return;
+      let from = 0;
+      if (stacked) {
+        from = v >= 0 ? up : down;
+        if (v >= 0) up += v; else down += v;
+      }
+      const a = scale(from);
+      const b = scale(from + v);
+      const offset = round(bandStart + (stacked ? 0 : barSize * j));
+      const size = round(Math.max(barSize - (stacked ? 0 : 1), 1));
+      const label = `${category} – ${s.name}: ${formatValue(v, prefix, suffix)}`;
+      const rect = horizontal
+        ? `x="${round(area.x + Math.min(a, b) * area.width)}" y="${offset}" width="${round(Math.abs(b - a) * area.width)}" height="${size}"`
+        : `x="${offset}" y="${round(area.y + area.height - Math.max(a, b) * area.height)}" width="${size}" height="${round(Math.abs(b - a) * area.height)}"`;
+      bars += `<rect ${rect} fill="${s.color}"><title>${text(label)}</title></rect>`;
+    });
+  });
+
+  return axes(area, domain, categories, horizontal, prefix, suffix)
+    + `<g class="chart-bars">${bars}</g>`
+    + axisLabels(chart, area);
+}
+
+function lineChart(chart, data, prefix) {
+  const stacked = String(chart.groupMode || '').toLowerCase() === 'stacked';
+  const { categories, suffix } = data;
+  // Stacked lines show running totals
+  const series = stacked
+    ? data.series.map((s, j) => ({
+      ...s,
+      plotted: s.values.map((_, i) => data.series.slice(0, j + 1).reduce((sum, t) => sum + (t.values[i] || 0), 0)),
+    }))
+    : data.series.map(s => ({ ...s, plotted: s.values }));
+  const area = plotArea(chart, false);
+  const domain = valueDomain(series.flatMap(s => s.plotted.filter(v => v !== null)));
+  const band = area.width / categories.length;
+  const x = i => round(area.x + band * (i + 0.5));
+  const y = v => round(area.y + area.height - (v - domain.min) / (domain.max - domain.min) * area.height);
+
+  let lines = '';
+  for (const s of series) {
+    const points = s.plotted.map((v, i) => (v === null ? null : `${x(i)},${y(v)}`)).filter(Boolean);
+    lines += `<polyline points="${points.join(' ')}" fill="none" stroke="${s.color}" stroke-width="2"/>`;
+    s.plotted.forEach((v, i) => {
+      if (v === null) return;
+      const label = `${categories[i]} – ${s.name}: ${formatValue(s.values[i], prefix, suffix)}`;
+      lines += `<circle cx="${x(i)}" cy="${y(v)}" r="3.5" fill="${s.color}"><title>${text(label)}</title></circle>`;
+    });
+  }
+
+  return axes(area, domain, categories, false, prefix, suffix)
+    + `<g class="chart-lines">${lines}</g>`
+    + axisLabels(chart, area);
+}
+
+function pieChart(chart, data, prefix) {
+  const { categories, suffix } = data;
+  const values = (data.series[0]?.values || []).map(v => Math.max(v || 0, 0));
+  const total = values.reduce((sum, v) => sum + v, 0);
+  if (total === 0) return '';
+
+  const cx = WIDTH / 2;
+  const cy = HEIGHT / 2;
+  const r = HEIGHT / 2 - 16;
+  const donut = /donut|doughnut/i.test(chart.visualizationType || '');
+  const point = (angle, radius) => `${round(cx + radius * Math.sin(angle))} ${round(cy - radius * Math.cos(angle))}`;
+
+  let slices = '';
+  let angle = 0;
+  values.forEach((v, i) => {
+    if (v === 0) return;
+    const color = PALETTE[i % PALETTE.length];
+    const share = v / total;
+    const label = `${categories[i]}: ${formatValue(v, prefix, suffix)} (${Math.round(share * 100)}%)`;
+    const end = angle + share * 2 * Math.PI;
+    const shape = share >= 0.9999
+      ? `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${color}">`
+      : `<path d="M ${cx} ${cy} L ${point(angle, r)} A ${r} ${r} 0 ${share > 0.5 ? 1 : 0} 1 ${point(end, r)} Z" fill="${color}" stroke="#fff" stroke-width="1">`;
+    slices += `${shape}<title>${text(label)}</title>${shape.startsWith('<circle') ? '</circle>' : '</path>'}`;
+    if (share >= 0.05) {
+      const middle = (angle + end) / 2;
+      const [lx, ly] = point(middle, r * (donut ? 0.78 : 0.65)).split(' ');
+      slices += `<text x="${lx}" y="${ly}" text-anchor="middle" dominant-baseline="middle" font-size="12" fill="#fff">${Math.round(share * 100)}%</text>`;
+    }
+    angle = end;
+  });
+  if (donut) slices += `<circle cx="${cx}" cy="${cy}" r="${round(r * 0.55)}" fill="#fff"/>`;
+
+  return `<g class="chart-slices">${slices}</g>`;
+}
+
+function legend(items) {
+  return '<ul class="chart-legend">'
+    + items.map(({ name, color }) => `<li><span class="chart-swatch" style="display:inline-block;width:10px;height:10px;margin-right:6px;background:${color}"></span>${text(name)}</li>`).join('')
+    + '</ul>';
+}
+
+function dataTable(data, prefix) {
+  const { categories, series, suffix } = data;
+  return '<table class="chart-data screen-reader-text">'
+    + `<thead><tr><th scope="col"></th>${series.map(s => `<th scope="col">${text(s.name)}</th>`).join('')}</tr></thead>`
+    + `<tbody>${categories.map((category, i) => `<tr><th scope="row">${text(category)}</th>${series
+      .map(s => `<td>${s.values[i] === null ? '' : text(formatValue(s.values[i], prefix, suffix))}</td>`).join('')}</tr>`).join('')}</tbody>`
+    + '</table>';
+}
+
+/**
+ * @param {Object} chart - Chart JSON (out/charts/<id>.json)
+ * @param {Object} options
+ * @param {Array<Array>} options.rows - Data rows (header first), e.g. a parsed spreadsheet; default: the
+ *   source's dataTable
+ * @returns {string} HTML: a <figure> with an inline SVG chart
+ */
+export function renderChart(chart, options = {}) {
+  if (!chart) return '';
+  const kind = chartKind(chart);
+  const rows = options.rows || chart.source?.dataTable?.tableData;
+  const data = chartSeries(rows, chart.filters);
+  const prefix = chart.labelPrefix || '';
+  const classes = [
+    'contentful-chart',
+    `chart-${kind}`,
+    ...(kind === 'bar' ? [`layout-${slugClass(chart.layout, 'vertical')}`, `group-${slugClass(chart.groupMode, 'grouped')}`] : []),
+    `theme-${slugClass(chart.theme, 'Standard')}`,
+  ];
+  const caption = chart.title ? `<figcaption class="chart-title">${text(chart.title)}</figcaption>` : '';
+  const open = `<figure class="${classes.join(' ')}"${chart.id ? ` data-chart-id="${escapeAttr(chart.id)}"` : ''}>${caption}`;
+
+  const svgBody = data.categories.length === 0 || data.series.length === 0 ? ''
+    : kind === 'line' ? lineChart(chart, data, prefix)
+      : kind === 'pie' ? pieChart(chart, data, prefix)
+        : barChart(chart, data, prefix);
+
+  if (!svgBody) {
+    const url = chart.source?.type === 'spreadsheet' ? chart.source.url : '';
+    const fallback = url
+      ? `<a href="${escapeAttr(url)}">${text(chart.source.title || 'Download the data')}</a>`
+      : 'No chart data';
+    return `${open}<p class="chart-unavailable">${fallback}</p></figure>`;
+  }
+
+  const titleId = `chart-${generateSlug(String(chart.id || chart.title || 'chart'))}-title`;
+  const svg = `<svg class="chart-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" width="100%" role="img" aria-labelledby="${escapeAttr(titleId)}" xmlns="http://www.w3.org/2000/svg" font-family="inherit">`
+    + `<title id="${escapeAttr(titleId)}">${text(chart.title || 'Chart')}</title>${svgBody}</svg>`;
+
+  const legendItems = kind === 'pie'
+    ? data.categories.map((name, i) => ({ name, color: PALETTE[i % PALETTE.length] }))
+    : data.series;
+  const showLegend = chart.showLegend !== false && legendItems.length > 0;
+  const legendTop = showLegend && String(chart.legendLocation || '').toLowerCase() === 'top';
+
+  return open
+    + (legendTop ? legend(legendItems) : '')
+    + svg
+    + (showLegend && !legendTop ? legend(legendItems) : '')
+    + dataTable(data, prefix)
+    + '</figure>';
+}
+
+// ─── Cards ───────────────────────────────────────────────────────────
+
+/**
+ * @param {Object} cards - Cards JSON (out/cards/<id>.json)
+ * @param {Object} options
+ * @param {Array<Array>} options.rows - Data rows (header first); default: the source's dataTable
+ * @returns {string} HTML: one card per data row, titled by its first column
+ */
+export function renderCards(cards, options = {}) {
+  if (!cards) return '';
+  let rows = options.rows || cards.source?.dataTable?.tableData || [];
+  const selected = (cards.filters?.selectedColumns || []).map(col => col.id);
+  if (selected.length > 0) rows = rows.map(row => selected.map(i => row[i] ?? ''));
+
+  const classes = `contentful-cards cards-type-${slugClass(cards.type, 'Summary')} cards-${slugClass(cards.arrangement, 'Stacked')} theme-${slugClass(cards.theme, 'Standard')}`;
+  const title = cards.title ? `<h3 class="cards-title">${text(cards.title)}</h3>` : '';
+  const [header = [], ...body] = rows;
+
+  if (body.length === 0) {
+    const url = cards.source?.type === 'spreadsheet' ? cards.source.url : '';
+    return `<div class="${classes}">${title}<p class="cards-unavailable">${url ? `<a href="${escapeAttr(url)}">${text(cards.source.title || 'Download the data')}</a>` : 'No card data'}</p></div>`;
+  }
+
+  const items = body.map(row => {
+    const [name, ...values] = row;
+    const details = values
+      .map((value, i) => (value === '' || value === null || value === undefined ? ''
+        : `<div class="card-field"><dt>${text(header[i + 1])}</dt><dd>${cellHtml(value)}</dd></div>`))
+      .join('');
+    return `<div class="contentful-card"><p class="card-title">${text(name)}</p>${details ? `<dl>${details}</dl>` : ''}</div>`;
+  });
+  return `<div class="${classes}">${title}<div class="cards-list">${items.join('')}</div></div>`;
+}
+
+// ─── Shortcodes ──────────────────────────────────────────────────────
+
+/**
+ * Render one shortcode
+ * @param {string} name - table, chart or cards
+ * @param {Object} attrs - Shortcode attributes (id, filters, ...)
+ * @param {Function} lookup - (kind, id) → the extracted JSON, or null; kind is tables, charts or cards
+ * @returns {string|null} HTML, or null when the JSON isn't available
+ */
+export function renderShortcode(name, attrs, lookup) {
+  const kind = { table: 'tables', chart: 'charts', cards: 'cards' }[name];
+  const data = kind && attrs.id ? lookup(kind, attrs.id) : null;
+  if (!data) return null;
+  if (name === 'table') return renderTable(data, { filter: attrs.filters });
+  if (name === 'chart') return renderChart(data);
+  return renderCards(data);
+}
+
+/**
+ * Replace the [contentful_table|chart|cards] shortcodes in a piece of HTML
+ * with their static rendering; shortcodes without data are left as they are
+ * @param {string} html
+ * @param {Function} lookup - (kind, id) → the extracted JSON, or null
+ */
+export function expandShortcodes(html, lookup) {
+  return String(html).replace(SHORTCODE_PATTERN, (shortcode, name, rawAttrs) =>
+    renderShortcode(name, parseShortcodeAttributes(rawAttrs), lookup) ?? shortcode);
+}
@@ -0,0 +1,203 @@
+/**
+ * Table key matching
+ *
+ * Tables with a key column (filters.selectedKey) show only the rows for the
+ * section they're embedded in, e.g. the "Alabama" rows under an "Alabama"
+ * heading. re-extract-tables.js saves the key column's values with each table
+ * (out/tables/<id>.json → keyValues); with them the converters resolve the
+ * exact key from the nearest preceding heading at conversion time instead of
+ * leaving the plugin to guess from a heading slug.
+ *
+ * A heading matches a key when, in order of preference:
+ *   1. exact  - same text, ignoring case and punctuation
+ *   2. state  - same US state, written out or abbreviated ("AL" ↔ "Alabama")
+ *   3. city   - a "City, ST" key whose city is in the heading (and whose state
+ *               agrees when the heading names one)
+ *   4. words  - the key's words appear in the heading ("agency" in
+ *               "Area Agency on Aging"), longest key first
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const STATES = {
+  AL: 'alabama', AK: 'alaska', AZ: 'arizona', AR: 'arkansas',
+  CA: 'california', CO: 'colorado', CT: 'connecticut', DE: 'delaware',
+  DC: 'district of columbia', FL: 'florida', GA: 'georgia', HI: 'hawaii',
+  ID: 'idaho', IL: 'illinois', IN: 'indiana', IA: 'iowa',
+  KS: 'kansas', KY: 'kentucky', LA: 'louisiana', ME: 'maine',
+  MD: 'maryland', MA: 'massachusetts', MI: 'michigan', MN: 'minnesota',
+  MS: 'mississippi', MO: 'missouri', MT: 'montana', NE: 'nebraska',
+  NV: 'nevada', NH: 'new hampshire', NJ: 'new jersey', NM: 'new mexico',
+  NY: 'new york', NC: 'north carolina', ND: 'north dakota', OH: 'ohio',
+  OK: 'oklahoma', OR: 'oregon', PA: 'pennsylvania', RI: 'rhode island',
+  SC: 'south carolina', SD: 'south dakota', TN: 'tennessee', TX: 'texas',
+  UT: 'utah', VT: 'vermont', VA: 'virginia', WA: 'washington',
+  WV: 'west virginia', WI: 'wisconsin', WY: 'wyoming',
+};
+
+// Longest names first, so "west virginia" isn't read as "virginia"
+const STATE_NAMES = Object.entries(STATES)
+  .map(([abbr, name]) => ({ abbr, name }))
+  .sort((a, b) => b.name.length - a.name.length);
+
+const METHODS = ['exact', 'state', 'city', 'words'];
+
+// Table ID → key values (null when the table has none), read once per run
+const cache = new Map();
+
+/**
+ * Key values of extracted tables
+ * @param {string[]} entryIds - Entry IDs to look up (IDs without a table file are skipped)
+ * @param {string} tablesDir - Folder with the extracted table JSON (default: out/tables)
+ * @returns {Object} Table ID → key values, for the tables that have a key column
+ */
+export function loadTableKeys(entryIds, tablesDir = path.join(process.cwd(), 'out', 'tables')) {
+  const tableKeys = {};
+  for (const id of entryIds) {
+    const cacheKey = path.join(tablesDir, `${id}.json`);
+    if (!cache.has(cacheKey)) {
+      let keyValues = null;
+      if (fs.existsSync(cacheKey)) {
+        // A truncated or corrupt file only loses its table's keys, not the run
+        try {
+          const table = JSON.parse(fs.readFileSync(cacheKey, 'utf-8'));
+          if (Array.isArray(table?.keyValues) && table.keyValues.length > 0) keyValues = table.keyValues;
+        } catch (error) {
+          console.warn(`   ⚠️  Table keys of ${id} not loaded, ${path.relative(process.cwd(), cacheKey)} is unreadable: ${error.message}`);
+        }
+      }
+      cache.set(cacheKey, keyValues);
+    }
+    if (cache.get(cacheKey)) tableKeys[id] = cache.get(cacheKey);
+  }
+  return tableKeys;
+}
+
+/**
+ * The heading a table belongs to: the nearest heading with text before it,
+ * without crossing another embedded entry (a section boundary). Empty
+ * headings, left over from editing in Contentful, are skipped.
+ * @returns {Object|null} The heading node
+ */
+export function findPrecedingHeading(siblings, index) {
+  if (!siblings || index < 0) return null;
+  for (let i = index - 1; i >= 0; i--) {
+    const nt = siblings[i].nodeType;
+    if (nt && nt.startsWith('heading-') && plainText(siblings[i]).trim()) return siblings[i];
+    if (nt === 'embedded-entry-block') break;
+  }
+  return null;
+}
+
+// Text of a rich text node (rich-text-to-html's extractPlainText, which
+// imports this module)
+function plainText(node) {
+  if (node.value) return node.value;
+  return (node.content || []).map(plainText).join('');
+}
+
+/**
+ * Find the key value a heading stands for
+ * @param {string} text - Heading text
+ * @param {string[]} keyValues - Values of the table's key column
+ * @returns {{ key: string, method: string }|{ key: null, candidates: string[] }}
+ *   The matched key, or no key and the equally good candidates when the match is ambiguous
+ */
+export function matchTableKey(text, keyValues) {
+  const heading = normalize(text);
+  const headingStates = statesIn(text);
+  let best = [];
+  let bestRank = METHODS.length;
+
+  for (const key of keyValues) {
+    const method = matchKey(key, heading, headingStates);
+    if (!method) continue;
+    const rank = METHODS.indexOf(method);
+    if (rank < bestRank) {
+      best = [key];
+      bestRank = rank;
+    } else if (rank === bestRank) {
+      best.push(key);
+    }
+  }
+
+  if (best.length === 0) return { key: null, candidates: [] };
+  if (best.length === 1) return { key: best[0], method: METHODS[bestRank] };
+
+  // Several keys' words are in the heading: the longest one is the most specific
+  const longest = Math.max(...best.map(key => normalize(key).length));
+  const candidates = best.filter(key => normalize(key).length === longest);
+  return candidates.length === 1
+    ? { key: candidates[0], method: METHODS[bestRank] }
+    : { key: null, candidates };
+}
+
+function matchKey(key, heading, headingStates) {
+  const normalized = normalize(key);
+  if (!normalized) return null;
+  if (normalized === heading) return 'exact';
+
+  const keyState = stateOf(key);
+  if (keyState) return headingStates.has(keyState) ? 'state' : null;
+
+  // "Birmingham, AL" / "Birmingham AL"
+  const cityKey = key.match(/^(.+?),?\s+([A-Za-z]{2})$/);
+  const cityState = cityKey && STATES[cityKey[2].toUpperCase()] ? cityKey[2].toUpperCase() : null;
+  if (cityState) {
+    const stateAgrees = headingStates.size === 0 || headingStates.has(cityState);
+    return containsWords(heading, normalize(cityKey[1])) && stateAgrees ? 'city' : null;
+  }
+
+  return containsWords(stem(heading), stem(normalized)) ? 'words' : null;
+}
+
+/**
+ * Abbreviation of a key that is a US state ("AL", "Alabama"), or null
+ */
+function stateOf(key) {
+  const trimmed = key.trim();
+  if (/^[A-Za-z]{2}$/.test(trimmed) && STATES[trimmed.toUpperCase()]) return trimmed.toUpperCase();
+  const normalized = normalize(trimmed);
+  return STATE_NAMES.find(({ name }) => name === normalized)?.abbr || null;
+}
+
+/**
+ * States a heading names, written out or as an upper-case abbreviation
+ * (lower-case "in", "or", "me" are words, not states, and the "Kansas" of
+ * "Kansas City" is a city name)
+ */
+function statesIn(text) {
+  const found = new Set();
+  let rest = ` ${normalize(text)} `;
+  for (const { abbr, name } of STATE_NAMES) {
+    const pattern = new RegExp(` ${name} (?!city )`);
+    if (pattern.test(rest)) {
+      found.add(abbr);
+      rest = rest.replace(pattern, ' ');
+    }
+  }
+  for (const token of text.match(/\b[A-Z]{2}\b/g) || []) {
+    if (STATES[token]) found.add(token);
+  }
+  return found;
+}
+
+function normalize(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Plurals shouldn't stop a match ("veterans" under "Veteran Benefits")
+function stem(normalized) {
+  return normalized.split(' ').map(word => word.replace(/s$/, '')).join(' ');
+}
+
+function containsWords(text, words) {
+  return words !== '' && ` ${text} `.includes(` ${words} `);
+}
@@ -0,0 +1,113 @@
+/**
+ * Link policy for converter output
+ *
+ * Link URLs come from authors (hyperlinks, `link` and `linkReference`
+ * entries), so every href the converters write goes through a policy:
+ *
+ *   - only allow-listed schemes are kept (http, https, mailto, tel by
+ *     default); javascript:, data:, vbscript: and anything else is dropped
+ *   - links to other sites get rel="noopener noreferrer" and open in a new tab
+ *   - sponsored provider links (by host, or flagged on the `link` entry) get
+ *     rel="sponsored nofollow"
+ *
+ * Relative URLs, fragments and query strings are always allowed.
+ */
+
+export const DEFAULT_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// Hosts that are this site: links to them are internal
+export const DEFAULT_SITE_HOSTS = ['memorycare.com', 'memorycare.local'];
+
+/**
+ * The URL, trimmed, or null when its scheme isn't allowed
+ * @param {string} url - Author-supplied URL
+ * @param {string[]} schemes - Allowed schemes, lower case
+ * @returns {string|null}
+ */
+export function sanitizeUrl(url, schemes = DEFAULT_SCHEMES) {
+  if (typeof url !== 'string') return null;
+  const trimmed = url.trim();
+  // Browsers skip whitespace and control characters in a scheme ("java\tscript:")
+  const compact = trimmed.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return trimmed;
+  return schemes.includes(scheme[1].toLowerCase()) ? trimmed : null;
+}
+
+/**
+ * Host of an absolute or protocol-relative http(s) URL, or null for
+ * relative and non-web URLs
+ */
+export function urlHost(url) {
+  if (!/^(https?:)?\/\//i.test(url)) return null;
+  try {
+    return new URL(url, 'https://relative.invalid').hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function hostMatches(host, hosts) {
+  return hosts.some(h => host === h || host.endsWith(`.${h}`));
+}
+
+/**
+ * Create a link policy
+ * @param {Object} options
+ * @param {string[]} options.schemes - Allowed URL schemes (default: http, https, mailto, tel)
+ * @param {string[]} options.siteHosts - Hosts (and their subdomains) that are this site
+ * @param {string[]} options.sponsoredHosts - Provider hosts whose links are sponsored
+ * @param {boolean} options.newTab - Open external links in a new tab (default true)
+ */
+export function createLinkPolicy(options = {}) {
+  const {
+    schemes = DEFAULT_SCHEMES,
+    siteHosts = DEFAULT_SITE_HOSTS,
+    sponsoredHosts = [],
+    newTab = true,
+  } = options;
+  const allowed = schemes.map(s => s.toLowerCase());
+  const site = siteHosts.map(h => h.toLowerCase());
+  const sponsors = sponsoredHosts.map(h => h.toLowerCase());
+
+  const policy = {
+    /**
+     * The URL to write, or null when it must not be linked
+     */
+    href(url) {
+      return sanitizeUrl(url, allowed);
+    },
+
+    /**
+     * True for http(s) links to a host that isn't this site
+     */
+    isExternal(url) {
+      const host = urlHost(url);
+      return host !== null && !hostMatches(host, site);
+    },
+
+    /**
+     * href, target and rel of a link (target and rel are null when not needed)
+     * @param {string} url - Author-supplied URL
+     * @param {Object} flags - { sponsored: true } for links the entry marks as sponsored
+     * @returns {{ href: string, target: string|null, rel: string|null }|null} null when the URL is blocked
+     */
+    link(url, flags = {}) {
+      const href = policy.href(url);
+      if (href === null) return null;
+
+      const rel = [];
+      let target = null;
+      if (policy.isExternal(href)) {
+        rel.push('noopener', 'noreferrer');
+        if (newTab) target = '_blank';
+      }
+      const host = urlHost(href);
+      if (flags.sponsored || (host && hostMatches(host, sponsors))) rel.push('sponsored', 'nofollow');
+
+      return { href, target, rel: rel.length > 0 ? rel.join(' ') : null };
+    },
+  };
+
+  return policy;
+}
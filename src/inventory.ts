@@ -3,67 +3,87 @@ import contentfulManagement from "contentful-management";
 import fs from "node:fs/promises";
 import path from "node:path";
 
-type ContentTypeRow = {
-  contentTypeId: string;
-  contentTypeName: string;
-  entries: number;
-  fields: number;
-};
-
-type FieldRow = {
-  contentTypeId: string;
-  contentTypeName: string;
-  fieldId: string;
-  fieldName: string;
-  type: string;
-  required: boolean;
-  localized: boolean;
-  itemsType: string;
-  linkType: string;
-  validations: string;
-};
-
-type RefRow = {
-  contentTypeId: string;
-  contentTypeName: string;
-  fieldId: string;
-  fieldName: string;
-  linkType: string; // Entry | Asset
-  allowedContentTypes: string; // pipe-separated
-  isArray: boolean;
-};
-
-type EnumRow = {
-  contentTypeId: string;
-  contentTypeName: string;
-  fieldId: string;
-  fieldName: string;
-  values: string; // pipe-separated
-};
-
-function csvEscape(v: unknown): string {
-  const s = String(v ?? "");
-  return /[",\n]/.test(s) ? `"${s.replaceAll(`"`, `""`)}"` : s;
-}
-
-function toCSV<T extends Record<string, unknown>>(rows: T[], headers: string[]) {
-  const lines = [headers.join(",")];
-  for (const r of rows) {
-    lines.push(headers.map((h) => csvEscape((r as any)[h])).join(","));
-  }
-  return lines.join("\n") + "\n";
-}
+import type {
+  ContentTypeRow,
+  EnumRow,
+  FieldRow,
+  InventorySnapshot,
+  LocaleRow,
+  RefRow,
+} from "./inventory/types.js";
+import {
+  countDiffChanges,
+  diffSnapshots,
+  listSnapshots,
+  loadSnapshot,
+  printDiffSummary,
+  saveSnapshot,
+  type InventoryDiff,
+} from "./inventory/snapshot.js";
+import { toCSV } from "./inventory/csv.js";
+import { sleep } from "./inventory/api.js";
+import { exportEntryInventory, loadSpaceUsers } from "./inventory/entries.js";
+import { analyzeGraph, buildReferenceGraph, writeGraphFiles } from "./inventory/graph.js";
+import { findOrphans, writeOrphanReport } from "./inventory/orphans.js";
+import { writeModelDocs } from "./inventory/docs.js";
+import {
+  buildLintReport,
+  lintContentModel,
+  lintFails,
+  lintRequiredFields,
+  writeLintReport,
+  SEVERITIES,
+  type LintReport,
+  type LintSeverity,
+} from "./inventory/lint.js";
+import { createExportSource, loadSpaceExport } from "./inventory/export-file.js";
+import {
+  measureFieldUsage,
+  USAGE_HEADERS,
+  type FieldUsageRow,
+} from "./inventory/usage.js";
+import {
+  discoverLocales,
+  measureLocaleFill,
+  type LocaleFillRow,
+} from "./inventory/locales.js";
 
 const token = process.env.CONTENTFUL_MANAGEMENT_TOKEN!;
 const spaceId = process.env.CONTENTFUL_SPACE_ID!;
 const envId = process.env.CONTENTFUL_ENVIRONMENT_ID || "master";
 
-if (!token || !spaceId) {
-  console.error("Falta CONTENTFUL_MANAGEMENT_TOKEN o CONTENTFUL_SPACE_ID en .env");
+// --diff            compare the two latest snapshots in out/snapshots (no API calls)
+// --against=<file>  snapshot to compare against instead of the previous one
+// --deep            also walk every entry into out/entries.csv + out/entries.jsonl
+// --graph           export the entry/asset reference graph to out/graph (GraphML, DOT, JSON)
+// --orphans         report components no page uses and assets nothing links to
+// --locales         measure per-locale fill rate of every localized field
+// --usage           field usage stats over every entry (--usage-sample=N: first N per content type)
+// --lint            flag risky model patterns (out/inventory_lint.json); --fail-on=error|warning|info exits 1
+// --from-export=<file>  read a contentful-space-export JSON file instead of the API (no credentials)
+const args = process.argv.slice(2);
+const DIFF_ONLY = args.includes("--diff");
+const DEEP = args.includes("--deep");
+const GRAPH = args.includes("--graph");
+const ORPHANS = args.includes("--orphans");
+const LOCALES = args.includes("--locales");
+const USAGE_SAMPLE =
+  parseInt(args.find((a) => a.startsWith("--usage-sample="))?.split("=")[1] || "", 10) || 0;
+const USAGE = args.includes("--usage") || USAGE_SAMPLE > 0;
+const AGAINST = args.find((a) => a.startsWith("--against="))?.split("=")[1] || "";
+const FAIL_ON = (args.find((a) => a.startsWith("--fail-on="))?.split("=")[1] || "") as LintSeverity | "";
+const LINT = args.includes("--lint") || !!FAIL_ON;
+const FROM_EXPORT = args.find((a) => a.startsWith("--from-export="))?.split("=")[1] || "";
+
+if (FAIL_ON && !SEVERITIES.includes(FAIL_ON)) {
+  console.error(`--fail-on debe ser uno de: ${SEVERITIES.join(", ")}`);
   process.exit(1);
 }
 
-const sleep = (ms: number) => new Promise((r) => setTimeout(r, ms));
+if (!DIFF_ONLY && !FROM_EXPORT && (!token || !spaceId)) {
+  console.error("Falta CONTENTFUL_MANAGEMENT_TOKEN o CONTENTFUL_SPACE_ID en .env");
+  process.exit(1);
+}
 
 function generateHTMLReport(
   combined: {
@@ -73,11 +93,41 @@ function generateHTMLReport(
     assetsTotal: number;
     summary: ContentTypeRow[];
     fields: FieldRow[];
+    locales?: LocaleRow[];
   },
   referenceRows: RefRow[],
-  enumRows: EnumRow[]
+  enumRows: EnumRow[],
+  extras: {
+    diff?: InventoryDiff | null;
+    localeFill?: LocaleFillRow[];
+    usage?: FieldUsageRow[];
+    lint?: LintReport | null;
+  } = {}
 ): string {
-  const { spaceId, environmentId, generatedAt, assetsTotal, summary, fields } = combined;
+  const { spaceId, environmentId, generatedAt, assetsTotal, summary, fields, locales = [] } = combined;
+  const { diff = null, localeFill = [], usage = [], lint = null } = extras;
+  const usageByField = new Map(usage.map((u) => [`${u.contentTypeId}::${u.fieldId}`, u]));
+
+  // Usage cell for the fields table (only when usage stats were collected)
+  const renderUsage = (field: FieldRow): string => {
+    const u = usageByField.get(`${field.contentTypeId}::${field.fieldId}`);
+    if (!u) return '<span class="no-usage">—</span>';
+    const parts = [
+      `<strong>${Math.round(u.fillRate * 100)}%</strong> (${u.filled.toLocaleString()}/${u.scanned.toLocaleString()})`,
+      `${u.distinct.toLocaleString()} distinct`,
+    ];
+    if (u.minLength !== "") parts.push(`length ${u.minLength}–${u.maxLength}`);
+    if (u.arraySizes) parts.push(`sizes ${escapeHtml(u.arraySizes)}`);
+    if (u.topValues) {
+      parts.push(
+        `top: ${u.topValues
+          .split("|")
+          .map((v) => `<span class="code">${escapeHtml(v)}</span>`)
+          .join(" ")}`
+      );
+    }
+    return `<div class="${u.filled === 0 ? "usage unused" : "usage"}">${parts.join("<br>")}</div>`;
+  };
 
   // HTML escape function to prevent XSS
   const escapeHtml = (text: string): string => {
@@ -117,6 +167,15 @@ function generateHTMLReport(
     return acc;
   }, {} as Record<string, RefRow[]>);
 
+  // Group locale fill rates by content type
+  const localeFillByContentType = localeFill.reduce((acc, row) => {
+    if (!acc[row.contentTypeId]) {
+      acc[row.contentTypeId] = [];
+    }
+    acc[row.contentTypeId].push(row);
+    return acc;
+  }, {} as Record<string, LocaleFillRow[]>);
+
   // Group enums by content type
   const enumsByContentType = enumRows.reduce((acc, enumRow) => {
     if (!acc[enumRow.contentTypeId]) {
@@ -126,6 +185,166 @@ function generateHTMLReport(
     return acc;
   }, {} as Record<string, EnumRow[]>);
 
+  // Link type of a field, including arrays of links (only recorded in the references)
+  const refByField = new Map(referenceRows.map((r) => [`${r.contentTypeId}::${r.fieldId}`, r]));
+  const fieldLinkType = (field: FieldRow): string =>
+    field.linkType || refByField.get(`${field.contentTypeId}::${field.fieldId}`)?.linkType || "";
+
+  const knownContentTypes = new Set(summary.map((ct) => ct.contentTypeId));
+  const fieldTypes = [...new Set(fields.map((f) => f.type))].sort();
+  const linkTypes = [...new Set(fields.map(fieldLinkType).filter(Boolean))].sort();
+
+  // Allowed targets of a reference, linked to the target content type's section
+  const renderTargets = (allowed: string): string => {
+    if (!allowed) return "<em>Any</em>";
+    return allowed
+      .split("|")
+      .map((t) =>
+        knownContentTypes.has(t)
+          ? `<a href="#ct-${sanitizeId(t)}" class="ct-link" data-target="${sanitizeId(t)}">${escapeHtml(t)}</a>`
+          : `<span class="code">${escapeHtml(t)}</span>`
+      )
+      .join(", ");
+  };
+
+  const formatDelta = (n: number): string => (n > 0 ? `+${n.toLocaleString()}` : n.toLocaleString());
+
+  // "Changes since last snapshot" section
+  const renderChangesSection = (): string => {
+    if (!diff) {
+      return '<div class="no-data">No previous snapshot to compare against</div>';
+    }
+    if (countDiffChanges(diff) === 0 && diff.assetsTotal.delta === 0) {
+      return `<div class="no-data">No changes since ${escapeHtml(new Date(diff.from).toLocaleString())}</div>`;
+    }
+
+    const changeRows: string[] = [];
+    const pushRow = (kind: string, badge: string, subject: string, detail: string) => {
+      changeRows.push(`
+                  <tr>
+                    <td><span class="badge ${badge}">${kind}</span></td>
+                    <td>${subject}</td>
+                    <td>${detail}</td>
+                  </tr>`);
+    };
+    const ctLabel = (id: string) => `<span class="code">${escapeHtml(id)}</span>`;
+    const fieldLabel = (ctId: string, fieldId: string) =>
+      `<span class="code">${escapeHtml(ctId)}.${escapeHtml(fieldId)}</span>`;
+
+    for (const ct of diff.contentTypes.added) {
+      pushRow("Added", "added", ctLabel(ct.contentTypeId), `Content type "${escapeHtml(ct.contentTypeName)}"`);
+    }
+    for (const ct of diff.contentTypes.removed) {
+      pushRow("Removed", "removed", ctLabel(ct.contentTypeId), `Content type "${escapeHtml(ct.contentTypeName)}"`);
+    }
+    for (const r of diff.contentTypes.renamed) {
+      pushRow("Renamed", "renamed", ctLabel(r.contentTypeId), `${escapeHtml(r.from)} → ${escapeHtml(r.to)}`);
+    }
+    for (const f of diff.fields.added) {
+      pushRow("Added", "added", fieldLabel(f.contentTypeId, f.fieldId), `Field "${escapeHtml(f.fieldName)}" (${escapeHtml(f.type)})`);
+    }
+    for (const f of diff.fields.removed) {
+      pushRow("Removed", "removed", fieldLabel(f.contentTypeId, f.fieldId), `Field "${escapeHtml(f.fieldName)}" (${escapeHtml(f.type)})`);
+    }
+    for (const r of diff.fields.renamed) {
+      pushRow("Renamed", "renamed", fieldLabel(r.contentTypeId, r.fieldId || ""), `${escapeHtml(r.from)} → ${escapeHtml(r.to)}`);
+    }
+    for (const v of diff.fields.validationsChanged) {
+      pushRow(
+        v.items ? "Item validations" : "Validations",
+        "validations",
+        fieldLabel(v.contentTypeId, v.fieldId),
+        `<span class="code">${escapeHtml(v.from || "none")}</span> → <span class="code">${escapeHtml(v.to || "none")}</span>`
+      );
+    }
+    for (const e of diff.enums) {
+      const added = e.added.map((v) => `<span class="code">+${escapeHtml(v)}</span>`).join(" ");
+      const removed = e.removed.map((v) => `<span class="code">-${escapeHtml(v)}</span>`).join(" ");
+      pushRow(e.items ? "Item enum" : "Enum", "validations", fieldLabel(e.contentTypeId, e.fieldId), `${added} ${removed}`);
+    }
+    for (const c of diff.entryCounts) {
+      pushRow(
+        "Entries",
+        c.delta > 0 ? "added" : "removed",
+        ctLabel(c.contentTypeId),
+        `${c.from.toLocaleString()} → ${c.to.toLocaleString()} (${formatDelta(c.delta)})`
+      );
+    }
+    if (diff.assetsTotal.delta !== 0) {
+      pushRow(
+        "Assets",
+        diff.assetsTotal.delta > 0 ? "added" : "removed",
+        "All assets",
+        `${diff.assetsTotal.from.toLocaleString()} → ${diff.assetsTotal.to.toLocaleString()} (${formatDelta(diff.assetsTotal.delta)})`
+      );
+    }
+
+    return `
+            <div class="meta-line">Compared with snapshot from ${escapeHtml(new Date(diff.from).toLocaleString())}</div>
+            <div class="fields-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Change</th>
+                    <th>Subject</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>${changeRows.join("")}
+                </tbody>
+              </table>
+            </div>`;
+  };
+
+  // "Model Lint" section: severity summary + findings
+  const renderLintSection = (): string => {
+    if (!lint) return "";
+    const body =
+      lint.findings.length === 0
+        ? '<div class="no-data">No model issues found</div>'
+        : `
+            <div class="fields-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Severity</th>
+                    <th>Rule</th>
+                    <th>Subject</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>${lint.findings
+                  .map(
+                    (f) => `
+                  <tr>
+                    <td><span class="badge ${f.severity}">${f.severity}</span></td>
+                    <td><span class="code">${escapeHtml(f.rule)}</span></td>
+                    <td>${
+                      knownContentTypes.has(f.contentTypeId)
+                        ? `<a href="#ct-${sanitizeId(f.contentTypeId)}" class="ct-link" data-target="${sanitizeId(f.contentTypeId)}">${escapeHtml(f.contentTypeId)}</a>`
+                        : `<span class="code">${escapeHtml(f.contentTypeId)}</span>`
+                    }${f.fieldId ? `<span class="code">.${escapeHtml(f.fieldId)}</span>` : ""}</td>
+                    <td>${escapeHtml(f.message)}</td>
+                  </tr>`
+                  )
+                  .join("")}
+                </tbody>
+              </table>
+            </div>`;
+
+    return `
+    <div class="changes">
+      <h2>Model Lint</h2>
+      <div class="changes-body">
+        <div class="lint-summary">
+          ${SEVERITIES.map(
+            (s) => `<span class="badge ${s}">${lint.counts[s]} ${s}${lint.counts[s] === 1 ? "" : "s"}</span>`
+          ).join(" ")}
+        </div>${body}
+      </div>
+    </div>`;
+  };
+
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -193,6 +412,12 @@ function generateHTMLReport(
       margin-bottom: 0.5rem;
     }
 
+    .stat-card .meta-line {
+      color: #748B91;
+      font-size: 0.8rem;
+      margin-top: 0.5rem;
+    }
+
     .stat-card .value {
       font-size: 2.5rem;
       font-weight: bold;
@@ -348,6 +573,75 @@ function generateHTMLReport(
       color: white;
     }
 
+    .badge.added {
+      background: #C1D1CF;
+      color: #171F22;
+    }
+
+    .badge.removed {
+      background: #171F22;
+      color: white;
+    }
+
+    .badge.renamed {
+      background: #748B91;
+      color: white;
+    }
+
+    .badge.validations {
+      background: #DDE5E4;
+      color: #171F22;
+    }
+
+    .badge.error {
+      background: #b00020;
+      color: white;
+    }
+
+    .badge.warning {
+      background: #f2c14e;
+      color: #171F22;
+    }
+
+    .badge.info {
+      background: #C1D1CF;
+      color: #171F22;
+    }
+
+    .lint-summary {
+      margin-bottom: 1rem;
+    }
+
+    .lint-summary .badge {
+      font-size: 0.875rem;
+      margin-right: 0.5rem;
+    }
+
+    .changes {
+      background: white;
+      border-radius: 8px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+      overflow: hidden;
+      margin-bottom: 2rem;
+    }
+
+    .changes h2 {
+      background: #666B64;
+      color: white;
+      padding: 1.5rem;
+      font-size: 1.5rem;
+    }
+
+    .changes .changes-body {
+      padding: 1.5rem;
+    }
+
+    .changes .meta-line {
+      color: #748B91;
+      font-size: 0.875rem;
+      margin-bottom: 0.75rem;
+    }
+
     .code {
       font-family: 'Courier New', monospace;
       background: #f5f5f5;
@@ -356,6 +650,19 @@ function generateHTMLReport(
       font-size: 0.875rem;
     }
 
+    .usage {
+      font-size: 0.8rem;
+      line-height: 1.5;
+    }
+
+    .usage.unused strong {
+      color: #b00020;
+    }
+
+    .no-usage {
+      color: #748B91;
+    }
+
     .section-title {
       color: #666B64;
       font-size: 1rem;
@@ -371,6 +678,73 @@ function generateHTMLReport(
       text-align: center;
     }
 
+    .toolbar {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.75rem 1.25rem;
+      align-items: center;
+      padding: 1rem 1.5rem;
+      background: #f9f9f9;
+      border-bottom: 1px solid #e0e0e0;
+      font-size: 0.875rem;
+    }
+
+    .toolbar input[type="search"] {
+      flex: 1 1 240px;
+      padding: 0.5rem 0.75rem;
+      border: 1px solid #C1D1CF;
+      border-radius: 4px;
+      font-size: 0.95rem;
+    }
+
+    .toolbar select,
+    .toolbar button {
+      padding: 0.4rem 0.6rem;
+      border: 1px solid #C1D1CF;
+      border-radius: 4px;
+      background: white;
+      font-size: 0.875rem;
+    }
+
+    .toolbar button {
+      cursor: pointer;
+      color: #171F22;
+    }
+
+    .toolbar button:hover {
+      background: #C1D1CF;
+    }
+
+    .toolbar label {
+      color: #666B64;
+      white-space: nowrap;
+    }
+
+    .toolbar .result-count {
+      margin-left: auto;
+      color: #748B91;
+    }
+
+    .ct-link {
+      color: #171F22;
+      font-family: 'Courier New', monospace;
+      text-decoration: underline;
+      text-decoration-color: #748B91;
+    }
+
+    .ct-link:hover {
+      color: #748B91;
+    }
+
+    .content-type-item.highlight .content-type-header {
+      background: #C1D1CF;
+      transition: background 0.6s;
+    }
+
+    .is-hidden {
+      display: none !important;
+    }
+
     .toggle-icon {
       font-size: 1.5rem;
       color: #748B91;
@@ -423,16 +797,67 @@ function generateHTMLReport(
         <h3>Total Fields</h3>
         <div class="value">${fields.length}</div>
       </div>
+      ${
+        locales.length > 0
+          ? `
+      <div class="stat-card">
+        <h3>Locales</h3>
+        <div class="value">${locales.length}</div>
+        <div class="meta-line">${locales
+          .map((l) => `<span class="code">${escapeHtml(l.code)}</span>${l.default ? " (default)" : l.fallbackCode ? ` → ${escapeHtml(l.fallbackCode)}` : ""}`)
+          .join(" ")}</div>
+      </div>`
+          : ""
+      }
     </div>
 
+    <div class="changes">
+      <h2>Changes since last snapshot</h2>
+      <div class="changes-body">
+        ${renderChangesSection()}
+      </div>
+    </div>
+${renderLintSection()}
+
     <div class="content-types">
       <h2>Content Types</h2>
+      <div class="toolbar" role="search">
+        <input type="search" id="filter-search" placeholder="Search content types and fields…" aria-label="Search content types and fields">
+        <label>Type
+          <select id="filter-type">
+            <option value="">All</option>
+            ${fieldTypes.map((t) => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join("")}
+          </select>
+        </label>
+        <label>Link
+          <select id="filter-link">
+            <option value="">All</option>
+            ${linkTypes.map((t) => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join("")}
+          </select>
+        </label>
+        <label><input type="checkbox" id="filter-required"> Required</label>
+        <label><input type="checkbox" id="filter-localized"> Localized</label>
+        <label>Sort
+          <select id="sort-order">
+            <option value="entries-desc">Entries ↓</option>
+            <option value="entries-asc">Entries ↑</option>
+            <option value="name-asc">Name A–Z</option>
+          </select>
+        </label>
+        <button type="button" id="export-csv">Export CSV</button>
+        <span class="result-count" id="result-count" aria-live="polite"></span>
+      </div>
+      <div class="no-data is-hidden" id="no-results">No content types or fields match the current filters</div>
+      <div id="content-type-list">
       ${summary
         .map(
           (ct) => {
             const sanitizedId = sanitizeId(ct.contentTypeId);
             return `
-        <div class="content-type-item" id="ct-${sanitizedId}">
+        <div class="content-type-item" id="ct-${sanitizedId}"
+             data-name="${escapeHtml(ct.contentTypeName)}"
+             data-ct="${escapeHtml(ct.contentTypeId)}"
+             data-entries="${ct.entries ?? 0}">
           <div class="content-type-header" 
                data-ct-id="${sanitizedId}"
                role="button"
@@ -468,13 +893,21 @@ function generateHTMLReport(
                     <th>ID</th>
                     <th>Type</th>
                     <th>Attributes</th>
+                    ${usage.length > 0 ? "<th>Usage</th>" : ""}
                   </tr>
                 </thead>
                 <tbody>
                   ${fieldsByContentType[ct.contentTypeId]
                     .map(
                       (field) => `
-                    <tr>
+                    <tr class="field-row"
+                        data-field-id="${escapeHtml(field.fieldId)}"
+                        data-field-name="${escapeHtml(field.fieldName)}"
+                        data-type="${escapeHtml(field.type)}"
+                        data-items-type="${escapeHtml(field.itemsType)}"
+                        data-link-type="${escapeHtml(fieldLinkType(field))}"
+                        data-required="${field.required}"
+                        data-localized="${field.localized}">
                       <td><strong>${escapeHtml(field.fieldName)}</strong></td>
                       <td><span class="code">${escapeHtml(field.fieldId)}</span></td>
                       <td>
@@ -486,6 +919,7 @@ function generateHTMLReport(
                         ${field.required ? '<span class="badge required">Required</span>' : ""}
                         ${field.localized ? '<span class="badge localized">Localized</span>' : ""}
                       </td>
+                      ${usage.length > 0 ? `<td>${renderUsage(field)}</td>` : ""}
                     </tr>
                   `
                     )
@@ -518,7 +952,7 @@ function generateHTMLReport(
                     <tr>
                       <td><strong>${escapeHtml(ref.fieldName)}</strong> <span class="code">${escapeHtml(ref.fieldId)}</span></td>
                       <td><span class="code">${escapeHtml(ref.linkType)}</span></td>
-                      <td>${ref.allowedContentTypes ? escapeHtml(ref.allowedContentTypes) : '<em>Any</em>'}</td>
+                      <td>${renderTargets(ref.allowedContentTypes)}</td>
                       <td>${ref.isArray ? '<span class="badge array">Array</span>' : '<span class="badge">Single</span>'}</td>
                     </tr>
                   `
@@ -560,12 +994,47 @@ function generateHTMLReport(
             `
                 : ""
             }
+
+            ${
+              localeFillByContentType[ct.contentTypeId]?.length > 0
+                ? `
+            <div class="section-title">Locale Fill Rate</div>
+            <div class="fields-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Field Name</th>
+                    <th>Locale</th>
+                    <th>Filled</th>
+                    <th>Fill Rate</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${localeFillByContentType[ct.contentTypeId]
+                    .map(
+                      (row) => `
+                    <tr>
+                      <td><strong>${escapeHtml(row.fieldName)}</strong> <span class="code">${escapeHtml(row.fieldId)}</span></td>
+                      <td><span class="code">${escapeHtml(row.locale)}</span></td>
+                      <td>${row.filled.toLocaleString()} / ${row.entries.toLocaleString()}</td>
+                      <td>${Math.round(row.fillRate * 100)}%</td>
+                    </tr>
+                  `
+                    )
+                    .join("")}
+                </tbody>
+              </table>
+            </div>
+            `
+                : ""
+            }
           </div>
         </div>
       `;
           }
         )
         .join("")}
+      </div>
     </div>
   </div>
 
@@ -599,26 +1068,199 @@ function generateHTMLReport(
           }
         });
       });
+
+      const list = document.getElementById('content-type-list');
+      const items = Array.from(document.querySelectorAll('.content-type-item'));
+      const search = document.getElementById('filter-search');
+      const typeFilter = document.getElementById('filter-type');
+      const linkFilter = document.getElementById('filter-link');
+      const requiredFilter = document.getElementById('filter-required');
+      const localizedFilter = document.getElementById('filter-localized');
+      const sortOrder = document.getElementById('sort-order');
+
+      function setExpanded(item, expanded) {
+        item.classList.toggle('expanded', expanded);
+        const header = item.querySelector('.content-type-header');
+        if (header) header.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+      }
+
+      // Show matching content types and, inside them, only the matching fields
+      function applyFilters() {
+        const query = search.value.trim().toLowerCase();
+        const type = typeFilter.value;
+        const linkType = linkFilter.value;
+        const fieldFiltersActive = !!(type || linkType || requiredFilter.checked || localizedFilter.checked);
+        let visibleTypes = 0;
+        let visibleFields = 0;
+
+        items.forEach(function(item) {
+          const ctMatches = !query ||
+            item.dataset.name.toLowerCase().includes(query) ||
+            item.dataset.ct.toLowerCase().includes(query);
+          let matchingFields = 0;
+
+          item.querySelectorAll('.field-row').forEach(function(row) {
+            const textMatches = ctMatches ||
+              row.dataset.fieldName.toLowerCase().includes(query) ||
+              row.dataset.fieldId.toLowerCase().includes(query);
+            const visible = textMatches &&
+              (!type || row.dataset.type === type || row.dataset.itemsType === type) &&
+              (!linkType || row.dataset.linkType === linkType) &&
+              (!requiredFilter.checked || row.dataset.required === 'true') &&
+              (!localizedFilter.checked || row.dataset.localized === 'true');
+            row.classList.toggle('is-hidden', !visible);
+            if (visible) matchingFields++;
+          });
+
+          const visible = fieldFiltersActive ? matchingFields > 0 : ctMatches || matchingFields > 0;
+          item.classList.toggle('is-hidden', !visible);
+          if (visible) {
+            visibleTypes++;
+            visibleFields += matchingFields;
+          }
+          // Open sections whose fields matched so the results are visible
+          if (query || fieldFiltersActive) setExpanded(item, visible && matchingFields > 0);
+        });
+
+        document.getElementById('no-results').classList.toggle('is-hidden', visibleTypes > 0);
+        document.getElementById('result-count').textContent =
+          visibleTypes + ' content types, ' + visibleFields + ' fields';
+      }
+
+      function applySort() {
+        const [key, direction] = sortOrder.value.split('-');
+        const sign = direction === 'asc' ? 1 : -1;
+        items
+          .slice()
+          .sort(function(a, b) {
+            if (key === 'name') return sign * a.dataset.name.localeCompare(b.dataset.name);
+            return sign * (Number(a.dataset.entries) - Number(b.dataset.entries));
+          })
+          .forEach(function(item) { list.appendChild(item); });
+      }
+
+      function csvCell(value) {
+        const text = String(value == null ? '' : value);
+        return /[",\\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+      }
+
+      // Download the fields of the visible content types, as currently filtered
+      function exportCsv() {
+        const lines = [['contentTypeId', 'contentTypeName', 'entries', 'fieldId', 'fieldName', 'type', 'itemsType', 'linkType', 'required', 'localized'].join(',')];
+        list.querySelectorAll('.content-type-item:not(.is-hidden)').forEach(function(item) {
+          item.querySelectorAll('.field-row:not(.is-hidden)').forEach(function(row) {
+            lines.push([
+              item.dataset.ct, item.dataset.name, item.dataset.entries,
+              row.dataset.fieldId, row.dataset.fieldName, row.dataset.type, row.dataset.itemsType,
+              row.dataset.linkType, row.dataset.required, row.dataset.localized
+            ].map(csvCell).join(','));
+          });
+        });
+        const blob = new Blob([lines.join('\\n') + '\\n'], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'inventory_fields_filtered.csv';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoking right away can cancel the download before it starts
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+      }
+
+      // Reference targets jump to (and open) the target content type
+      document.querySelectorAll('.ct-link').forEach(function(link) {
+        link.addEventListener('click', function(event) {
+          const target = document.getElementById('ct-' + this.getAttribute('data-target'));
+          if (!target) return;
+          event.preventDefault();
+          target.classList.remove('is-hidden');
+          setExpanded(target, true);
+          target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+          target.classList.add('highlight');
+          setTimeout(function() { target.classList.remove('highlight'); }, 1500);
+          history.replaceState(null, '', '#ct-' + this.getAttribute('data-target'));
+        });
+      });
+
+      [search, typeFilter, linkFilter, requiredFilter, localizedFilter].forEach(function(control) {
+        control.addEventListener('input', applyFilters);
+        control.addEventListener('change', applyFilters);
+      });
+      sortOrder.addEventListener('change', applySort);
+      document.getElementById('export-csv').addEventListener('click', exportCsv);
+
+      applySort();
+      applyFilters();
     });
   </script>
 </body>
 </html>`;
 }
 
-async function main() {
-  const client = contentfulManagement.createClient({ accessToken: token });
+/**
+ * Diff mode: compare two stored snapshots without calling the API
+ */
+async function runSnapshotDiff() {
+  const outDir = path.join(process.cwd(), "out");
+  const snapshots = await listSnapshots(path.join(outDir, "snapshots"));
+  const currentPath = snapshots[snapshots.length - 1];
+  const previousPath = AGAINST || snapshots[snapshots.length - 2];
+
+  if (!currentPath || !previousPath) {
+    console.error("Se necesitan al menos dos snapshots en out/snapshots (o --against=<archivo>)");
+    process.exit(1);
+  }
+
+  const current = await loadSnapshot(currentPath);
+  const diff = diffSnapshots(await loadSnapshot(previousPath), current);
+  printDiffSummary(diff);
 
+  await fs.writeFile(
+    path.join(outDir, "inventory_diff.json"),
+    JSON.stringify(diff, null, 2),
+    "utf8",
+  );
+  const html = generateHTMLReport(current, current.references, current.enums, { diff });
+  await fs.writeFile(path.join(outDir, "inventory.html"), html, "utf8");
+
+  console.log("out/inventory_diff.json");
+  console.log("out/inventory.html");
+}
+
+/**
+ * Live API, or an export file on disk when --from-export is given
+ */
+async function connect(): Promise<{ space: any; env: any; spaceId: string; environmentId: string }> {
+  if (FROM_EXPORT) {
+    console.log(`Leyendo export offline: ${FROM_EXPORT}`);
+    return createExportSource(await loadSpaceExport(FROM_EXPORT));
+  }
+
+  const client = contentfulManagement.createClient({ accessToken: token });
   const space = await client.getSpace(spaceId);
   const env = await space.getEnvironment(envId);
+  return { space, env, spaceId, environmentId: envId };
+}
+
+async function main() {
+  if (DIFF_ONLY) {
+    await runSnapshotDiff();
+    return;
+  }
+
+  const { space, env, spaceId, environmentId } = await connect();
 
   // 1) Content Types (modelo)
   const ctRes = await env.getContentTypes({ limit: 1000 });
-  const contentTypes = ctRes.items;
+  const contentTypes: any[] = ctRes.items;
 
   // 2) Conteo de assets (rápido: usando total)
   const assetsRes = await env.getAssets({ limit: 1 });
   const assetsTotal = assetsRes.total;
 
+  // 2b) Locales del environment (con su cadena de fallback)
+  const locales = await discoverLocales(env);
+
   const summaryRows: ContentTypeRow[] = [];
   const fieldRows: FieldRow[] = [];
   const referenceRows: RefRow[] = [];
@@ -644,6 +1286,9 @@ async function main() {
         validations: (f.validations || [])
           .map((v: any) => JSON.stringify(v))
           .join(" | "),
+        itemsValidations: ((f as any).items?.validations || [])
+          .map((v: any) => JSON.stringify(v))
+          .join(" | "),
       });
 
       // enum validations ("in")
@@ -730,18 +1375,42 @@ async function main() {
     "entries",
     "fields",
   ]);
-  const fieldsCsv = toCSV(fieldRows, [
-    "contentTypeId",
-    "contentTypeName",
-    "fieldId",
-    "fieldName",
-    "type",
-    "required",
-    "localized",
-    "itemsType",
-    "linkType",
-    "validations",
-  ]);
+  // Estadísticas de uso por campo (recorre entries, completo o muestra)
+  let usageRows: FieldUsageRow[] = [];
+  if (USAGE) {
+    console.log(
+      USAGE_SAMPLE
+        ? `Analizando uso de campos (muestra de ${USAGE_SAMPLE} entries por content type)...`
+        : "Analizando uso de campos (todas las entries)...",
+    );
+    usageRows = await measureFieldUsage(env, contentTypes, {
+      defaultLocale: locales.find((l) => l.default)?.code || "en-US",
+      sampleSize: USAGE_SAMPLE,
+    });
+  }
+  const usageByField = new Map(
+    usageRows.map((u) => [`${u.contentTypeId}::${u.fieldId}`, u]),
+  );
+
+  const fieldsCsv = toCSV(
+    fieldRows.map((f) => ({
+      ...f,
+      ...usageByField.get(`${f.contentTypeId}::${f.fieldId}`),
+    })),
+    [
+      "contentTypeId",
+      "contentTypeName",
+      "fieldId",
+      "fieldName",
+      "type",
+      "required",
+      "localized",
+      "itemsType",
+      "linkType",
+      "validations",
+      ...(USAGE ? USAGE_HEADERS : []),
+    ],
+  );
 
   const referencesCsv = toCSV(referenceRows, [
     "contentTypeId",
@@ -784,11 +1453,12 @@ async function main() {
 
   const combined = {
     spaceId,
-    environmentId: envId,
+    environmentId,
     generatedAt: new Date().toISOString(),
     assetsTotal,
     summary: summaryRows,
     fields: fieldRows,
+    locales,
   };
   await fs.writeFile(
     path.join(outDir, "inventory.json"),
@@ -796,10 +1466,120 @@ async function main() {
     "utf8",
   );
 
+  // Fill rate por locale de los campos localizados (recorre entries)
+  let localeFill: LocaleFillRow[] = [];
+  if (LOCALES) {
+    console.log(`Midiendo fill rate por locale (${locales.map((l) => l.code).join(", ")})...`);
+    localeFill = await measureLocaleFill(env, contentTypes, locales);
+    await fs.writeFile(
+      path.join(outDir, "inventory_locales.csv"),
+      toCSV(localeFill, [
+        "contentTypeId",
+        "contentTypeName",
+        "fieldId",
+        "fieldName",
+        "locale",
+        "filled",
+        "entries",
+        "fillRate",
+      ]),
+      "utf8",
+    );
+    console.log("out/inventory_locales.csv");
+  }
+
+  // Lint del modelo (reglas sobre el modelo + campos requeridos vacíos)
+  let lintReport: LintReport | null = null;
+  let lintFiles: string[] = [];
+  if (LINT) {
+    console.log("Revisando el modelo (lint)...");
+    const defaultLocale = locales.find((l) => l.default)?.code || "en-US";
+    lintReport = buildLintReport([
+      ...lintContentModel(contentTypes),
+      ...(await lintRequiredFields(env, contentTypes, defaultLocale)),
+    ]);
+    lintFiles = await writeLintReport(outDir, lintReport);
+    console.log(
+      `  ${lintReport.counts.error} errores, ${lintReport.counts.warning} advertencias, ${lintReport.counts.info} info`,
+    );
+  }
+
+  // Snapshot de esta corrida + diff contra la anterior
+  const snapshotDir = path.join(outDir, "snapshots");
+  const snapshot: InventorySnapshot = {
+    ...combined,
+    references: referenceRows,
+    enums: enumRows,
+  };
+  const existingSnapshots = await listSnapshots(snapshotDir);
+  const previousPath = AGAINST || existingSnapshots[existingSnapshots.length - 1];
+  let diff: InventoryDiff | null = null;
+  if (previousPath) {
+    diff = diffSnapshots(await loadSnapshot(previousPath), snapshot);
+    await fs.writeFile(
+      path.join(outDir, "inventory_diff.json"),
+      JSON.stringify(diff, null, 2),
+      "utf8",
+    );
+    printDiffSummary(diff);
+  }
+  const snapshotPath = await saveSnapshot(snapshotDir, snapshot);
+
   // Generate HTML report
-  const html = generateHTMLReport(combined, referenceRows, enumRows);
+  const html = generateHTMLReport(combined, referenceRows, enumRows, {
+    diff,
+    localeFill,
+    usage: usageRows,
+    lint: lintReport,
+  });
   await fs.writeFile(path.join(outDir, "inventory.html"), html, "utf8");
 
+  // Documentación del modelo: Markdown + JSON Schema por content type
+  const docsFiles = await writeModelDocs(outDir, snapshot);
+
+  // --- Modo deep: inventario por entry ---
+  if (DEEP) {
+    console.log("Recorriendo todas las entries (modo deep)...");
+    const defaultLocale =
+      locales.find((l) => l.default)?.code || locales[0]?.code || "en-US";
+    const users = await loadSpaceUsers(space);
+    await exportEntryInventory(env, contentTypes, outDir, {
+      locales: locales.map((l) => l.code),
+      defaultLocale,
+      users,
+    });
+    console.log("out/entries.csv");
+    console.log("out/entries.jsonl");
+  }
+
+  // --- Grafo de referencias (campos Link + embeds en rich text) ---
+  if (GRAPH || ORPHANS) {
+    console.log("Construyendo grafo de referencias...");
+    const graph = await buildReferenceGraph(env, contentTypes);
+
+    if (GRAPH) {
+      const analysis = analyzeGraph(graph);
+      const files = await writeGraphFiles(outDir, graph, analysis);
+      console.log(
+        `  ${graph.nodes.length} nodos, ${graph.edges.length} referencias, ` +
+          `${analysis.shared.length} componentes compartidos, ` +
+          `${analysis.orphanAssets.length} assets huérfanos, ${analysis.cycles.length} ciclos`,
+      );
+      files.forEach((f) => console.log(f));
+    }
+
+    // --- Contenido huérfano (no migrar a WordPress) ---
+    if (ORPHANS) {
+      const report = findOrphans(graph, { spaceId, environmentId });
+      const files = await writeOrphanReport(outDir, report);
+      console.log("Huérfanos:");
+      for (const [type, count] of Object.entries(report.counts)) {
+        console.log(`  ${type}: ${count}`);
+      }
+      files.forEach((f) => console.log(f));
+    }
+  }
+
   // --- Listar páginas (entries) con título, slug y contenido (componentes) ---
   // Detectar content type de página (por nombre o id)
   const pageContentType = contentTypes.find(
@@ -815,16 +1595,16 @@ async function main() {
     const pageCtId = pageContentType.sys.id;
     // Detectar campos relevantes
     const titleField = pageContentType.fields.find(
-      (f) =>
+      (f: any) =>
         f.id.toLowerCase().includes("title") ||
         f.name.toLowerCase().includes("título") ||
         f.name.toLowerCase().includes("titulo"),
     );
-    const slugField = pageContentType.fields.find((f) =>
+    const slugField = pageContentType.fields.find((f: any) =>
       f.id.toLowerCase().includes("slug"),
     );
     // Buscar campo de componentes (content, components, contenido, etc)
-    const contentField = pageContentType.fields.find((f) =>
+    const contentField = pageContentType.fields.find((f: any) =>
       ["content", "components", "contenido", "cuerpo"].some(
         (k) =>
           f.id.toLowerCase().includes(k) || f.name.toLowerCase().includes(k),
@@ -1152,7 +1932,17 @@ async function main() {
   console.log("out/inventory_enums.csv");
   console.log("out/inventory.json");
   console.log("out/inventory.html");
+  docsFiles.forEach((f) => console.log(f));
+  if (diff) console.log("out/inventory_diff.json");
+  lintFiles.forEach((f) => console.log(f));
+  console.log(path.relative(process.cwd(), snapshotPath));
   console.log("Assets total:", assetsTotal);
+
+  // CI: salir con código 1 si hay hallazgos de la severidad pedida o mayor
+  if (lintReport && FAIL_ON && lintFails(lintReport, FAIL_ON)) {
+    console.error(`❌ Lint: hay hallazgos de severidad "${FAIL_ON}" o mayor (ver out/inventory_lint.json)`);
+    process.exitCode = 1;
+  }
 }
 
 main().catch((err) => {
@@ -0,0 +1,83 @@
+export const sleep = (ms: number) => new Promise((r) => setTimeout(r, ms));
+
+// The management API never returns more than 1000 items per page
+export const MAX_PAGE_SIZE = 1000;
+
+const MAX_RETRIES = 5;
+
+/**
+ * contentful-management throws an Error whose message is the JSON error
+ * payload ({ status, statusText, message, ... }); pull the status out of it.
+ */
+function parseApiError(error: any): { status: number; message: string } {
+  try {
+    const data = JSON.parse(error?.message);
+    return { status: Number(data?.status) || 0, message: String(data?.message || "") };
+  } catch {
+    return { status: 0, message: String(error?.message || error) };
+  }
+}
+
+function isRateLimitError(error: any): boolean {
+  return error?.name === "RateLimitExceeded" || parseApiError(error).status === 429;
+}
+
+// Pages with large rich-text bodies can exceed the API's response size limit
+function isResponseTooBigError(error: any): boolean {
+  return /response size too big/i.test(parseApiError(error).message);
+}
+
+/**
+ * Run an API call, backing off and retrying on rate-limit errors.
+ * The SDK already retries 429s a few times; this covers the case where it
+ * gives up during long full-space walks.
+ */
+export async function withRetry<T>(fn: () => Promise<T>, label = "request"): Promise<T> {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!isRateLimitError(error) || attempt >= MAX_RETRIES) throw error;
+      const wait = 2000 * attempt;
+      console.warn(`⚠️  Rate limit en ${label}, reintentando en ${wait}ms (${attempt}/${MAX_RETRIES})`);
+      await sleep(wait);
+    }
+  }
+}
+
+/**
+ * Iterate every item of a paginated collection (getEntries, getAssets, ...).
+ * Starts at the API's 1000-item page size and halves it whenever a page is
+ * rejected for being too large.
+ */
+export async function* iterateCollection(
+  fetchPage: (query: Record<string, unknown>) => Promise<{ items: any[]; total: number }>,
+  query: Record<string, unknown> = {},
+  options: { pageSize?: number; delayMs?: number; label?: string } = {},
+): AsyncGenerator<any, void, undefined> {
+  const { delayMs = 150, label = "collection" } = options;
+  let limit = Math.min(options.pageSize || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+  let skip = 0;
+
+  while (true) {
+    let page: { items: any[]; total: number };
+    try {
+      page = await withRetry(() => fetchPage({ ...query, skip, limit }), label);
+    } catch (error) {
+      if (isResponseTooBigError(error) && limit > 1) {
+        limit = Math.max(1, Math.floor(limit / 2));
+        continue;
+      }
+      throw error;
+    }
+
+    for (const item of page.items) {
+      yield item;
+    }
+    skip += page.items.length;
+    if (page.items.length === 0 || skip >= page.total) break;
+
+    // pequeño throttle para evitar rate limit
+    await sleep(delayMs);
+  }
+}
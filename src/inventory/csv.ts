@@ -0,0 +1,16 @@
+export function csvEscape(v: unknown): string {
+  const s = String(v ?? "");
+  return /[",\n]/.test(s) ? `"${s.replaceAll(`"`, `""`)}"` : s;
+}
+
+export function toCSVLine(row: Record<string, unknown>, headers: string[]): string {
+  return headers.map((h) => csvEscape(row[h])).join(",");
+}
+
+export function toCSV<T extends Record<string, unknown>>(rows: T[], headers: string[]) {
+  const lines = [headers.join(",")];
+  for (const r of rows) {
+    lines.push(toCSVLine(r, headers));
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,293 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import type { ContentTypeRow, EnumRow, FieldRow, RefRow } from "./types.js";
+
+type ModelRows = {
+  summary: ContentTypeRow[];
+  fields: FieldRow[];
+  references: RefRow[];
+  enums: EnumRow[];
+};
+
+/**
+ * FieldRow.validations holds each validation as JSON joined with " | "
+ */
+export function parseValidations(validations: string): any[] {
+  if (!validations) return [];
+  const parsed: any[] = [];
+  let pending = "";
+  for (const part of validations.split(" | ")) {
+    // A regexp validation may itself contain " | ": keep joining until it parses
+    pending = pending ? `${pending} | ${part}` : part;
+    try {
+      parsed.push(JSON.parse(pending));
+      pending = "";
+    } catch {
+      // incomplete, keep accumulating
+    }
+  }
+  return parsed;
+}
+
+const mdEscape = (s: string) => String(s ?? "").replace(/\|/g, "\\|").replace(/\n/g, " ");
+
+function describeValidation(v: any): string {
+  if (v.unique) return "unique";
+  if (v.size) return `size ${v.size.min ?? 0}–${v.size.max ?? "∞"}`;
+  if (v.range) return `range ${v.range.min ?? "-∞"}–${v.range.max ?? "∞"}`;
+  if (v.regexp) return `pattern \`${v.regexp.pattern}\``;
+  if (v.in) return `one of ${v.in.length} values`;
+  if (v.linkContentType) return `links to ${v.linkContentType.join(", ")}`;
+  if (v.linkMimetypeGroup) return `asset type ${[].concat(v.linkMimetypeGroup).join(", ")}`;
+  if (v.enabledNodeTypes) return `${v.enabledNodeTypes.length} node types allowed`;
+  if (v.enabledMarks) return `marks: ${v.enabledMarks.join(", ")}`;
+  if (v.dateRange) return "date range";
+  return Object.keys(v).join(", ");
+}
+
+/**
+ * Allowed values of an Array field's items ("in" validation on items), if any
+ */
+function itemEnumValues(f: FieldRow): string[] {
+  const enumValidation = parseValidations(f.itemsValidations || "").find((v) => Array.isArray(v?.in));
+  return enumValidation?.in?.length ? enumValidation.in.map(String) : [];
+}
+
+function fieldTypeLabel(f: FieldRow): string {
+  if (f.type === "Array") return `Array<${f.itemsType}>`;
+  if (f.type === "Link") return `Link (${f.linkType})`;
+  return f.type;
+}
+
+/**
+ * One Markdown page per content type (fields, validations, enums, link targets)
+ */
+export function generateContentTypeMarkdown(ct: ContentTypeRow, rows: ModelRows): string {
+  const fields = rows.fields.filter((f) => f.contentTypeId === ct.contentTypeId);
+  const refs = rows.references.filter((r) => r.contentTypeId === ct.contentTypeId);
+  const enums = rows.enums
+    .filter((e) => e.contentTypeId === ct.contentTypeId)
+    .map((e) => ({ title: `${e.fieldName} (\`${e.fieldId}\`)`, values: e.values.split("|") }));
+  for (const f of fields) {
+    const values = itemEnumValues(f);
+    if (values.length > 0) enums.push({ title: `${f.fieldName} (\`${f.fieldId}\`) items`, values });
+  }
+  const knownTypes = new Set(rows.summary.map((s) => s.contentTypeId));
+
+  const lines = [
+    `# ${ct.contentTypeName}`,
+    "",
+    `- **ID:** \`${ct.contentTypeId}\``,
+    `- **Entries:** ${ct.entries.toLocaleString()}`,
+    `- **Fields:** ${ct.fields}`,
+    `- **JSON Schema:** [${ct.contentTypeId}.schema.json](../schemas/${ct.contentTypeId}.schema.json)`,
+    "",
+    "## Fields",
+    "",
+  ];
+
+  if (fields.length === 0) {
+    lines.push("_No fields defined._", "");
+  } else {
+    lines.push(
+      "| Field | ID | Type | Required | Localized | Validations |",
+      "| --- | --- | --- | --- | --- | --- |",
+    );
+    for (const f of fields) {
+      const validations = [
+        ...parseValidations(f.validations).map(describeValidation),
+        ...parseValidations(f.itemsValidations || "").map((v) => `items: ${describeValidation(v)}`),
+      ].join("; ");
+      lines.push(
+        `| ${mdEscape(f.fieldName)} | \`${f.fieldId}\` | ${mdEscape(fieldTypeLabel(f))} | ${f.required ? "✔" : ""} | ${f.localized ? "✔" : ""} | ${mdEscape(validations)} |`,
+      );
+    }
+    lines.push("");
+  }
+
+  if (refs.length > 0) {
+    lines.push("## References", "", "| Field | Link type | Allowed targets | Cardinality |", "| --- | --- | --- | --- |");
+    for (const r of refs) {
+      const targets = r.allowedContentTypes
+        ? r.allowedContentTypes
+            .split("|")
+            .map((t) => (knownTypes.has(t) ? `[${t}](${t}.md)` : `\`${t}\``))
+            .join(", ")
+        : "_Any_";
+      lines.push(`| ${mdEscape(r.fieldName)} (\`${r.fieldId}\`) | ${r.linkType} | ${targets} | ${r.isArray ? "Many" : "One"} |`);
+    }
+    lines.push("");
+  }
+
+  if (enums.length > 0) {
+    lines.push("## Enumerations", "");
+    for (const e of enums) {
+      lines.push(`### ${e.title}`, "");
+      for (const v of e.values) lines.push(`- \`${v}\``);
+      lines.push("");
+    }
+  }
+
+  return lines.join("\n");
+}
+
+function applyValidations(schema: Record<string, any>, validations: any[], isArray: boolean) {
+  for (const v of validations) {
+    if (v.size) {
+      const [minKey, maxKey] = isArray ? ["minItems", "maxItems"] : ["minLength", "maxLength"];
+      if (v.size.min !== undefined && v.size.min !== null) schema[minKey] = v.size.min;
+      if (v.size.max !== undefined && v.size.max !== null) schema[maxKey] = v.size.max;
+    }
+    if (v.range) {
+      if (v.range.min !== undefined && v.range.min !== null) schema.minimum = v.range.min;
+      if (v.range.max !== undefined && v.range.max !== null) schema.maximum = v.range.max;
+    }
+    if (v.regexp?.pattern) schema.pattern = v.regexp.pattern;
+    if (Array.isArray(v.in)) schema.enum = v.in;
+  }
+}
+
+function linkSchema(linkType: string, allowed: string): Record<string, any> {
+  const schema: Record<string, any> = {
+    type: "object",
+    required: ["sys"],
+    properties: {
+      sys: {
+        type: "object",
+        required: ["type", "linkType", "id"],
+        properties: {
+          type: { const: "Link" },
+          linkType: { const: linkType },
+          id: { type: "string" },
+        },
+      },
+    },
+  };
+  if (allowed) schema["x-contentful-linkContentType"] = allowed.split("|");
+  return schema;
+}
+
+function scalarSchema(type: string): Record<string, any> {
+  switch (type) {
+    case "Symbol":
+    case "Text":
+      return { type: "string" };
+    case "Integer":
+      return { type: "integer" };
+    case "Number":
+      return { type: "number" };
+    case "Boolean":
+      return { type: "boolean" };
+    case "Date":
+      return { type: "string", format: "date-time" };
+    case "Location":
+      return {
+        type: "object",
+        required: ["lat", "lon"],
+        properties: { lat: { type: "number" }, lon: { type: "number" } },
+      };
+    case "RichText":
+      return {
+        type: "object",
+        required: ["nodeType", "content"],
+        properties: { nodeType: { const: "document" }, content: { type: "array" } },
+      };
+    default:
+      // Object (JSON) fields and anything new are left open
+      return {};
+  }
+}
+
+/**
+ * JSON Schema (draft 2020-12) for the fields of one entry in a single locale,
+ * i.e. the shape the front end receives from the Delivery API.
+ */
+export function generateJsonSchema(ct: ContentTypeRow, rows: ModelRows): Record<string, any> {
+  const fields = rows.fields.filter((f) => f.contentTypeId === ct.contentTypeId);
+  const refs = new Map(
+    rows.references
+      .filter((r) => r.contentTypeId === ct.contentTypeId)
+      .map((r) => [r.fieldId, r]),
+  );
+  const enums = new Map(
+    rows.enums
+      .filter((e) => e.contentTypeId === ct.contentTypeId)
+      .map((e) => [e.fieldId, e]),
+  );
+
+  const properties: Record<string, any> = {};
+  for (const f of fields) {
+    const validations = parseValidations(f.validations);
+    const ref = refs.get(f.fieldId);
+    let schema: Record<string, any>;
+
+    if (f.type === "Link") {
+      schema = linkSchema(f.linkType, ref?.allowedContentTypes || "");
+    } else if (f.type === "Array") {
+      const items =
+        f.itemsType === "Link"
+          ? linkSchema(ref?.linkType || "Entry", ref?.allowedContentTypes || "")
+          : scalarSchema(f.itemsType);
+      applyValidations(items, parseValidations(f.itemsValidations || ""), false);
+      schema = { type: "array", items };
+      applyValidations(schema, validations, true);
+    } else {
+      schema = scalarSchema(f.type);
+      applyValidations(schema, validations, false);
+    }
+
+    const enumRow = enums.get(f.fieldId);
+    if (enumRow && !schema.enum) schema.enum = enumRow.values.split("|");
+
+    properties[f.fieldId] = { title: f.fieldName, ...schema };
+  }
+
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    $id: `${ct.contentTypeId}.schema.json`,
+    title: ct.contentTypeName,
+    type: "object",
+    properties,
+    required: fields.filter((f) => f.required).map((f) => f.fieldId),
+    additionalProperties: false,
+  };
+}
+
+/**
+ * Write out/docs/<contentType>.md and out/schemas/<contentType>.schema.json
+ * for every content type, plus an index page
+ */
+export async function writeModelDocs(outDir: string, rows: ModelRows): Promise<string[]> {
+  const docsDir = path.join(outDir, "docs");
+  const schemasDir = path.join(outDir, "schemas");
+  await fs.mkdir(docsDir, { recursive: true });
+  await fs.mkdir(schemasDir, { recursive: true });
+
+  const sorted = [...rows.summary].sort((a, b) => a.contentTypeName.localeCompare(b.contentTypeName));
+  for (const ct of sorted) {
+    await fs.writeFile(
+      path.join(docsDir, `${ct.contentTypeId}.md`),
+      generateContentTypeMarkdown(ct, rows),
+      "utf8",
+    );
+    await fs.writeFile(
+      path.join(schemasDir, `${ct.contentTypeId}.schema.json`),
+      JSON.stringify(generateJsonSchema(ct, rows), null, 2),
+      "utf8",
+    );
+  }
+
+  const index = [
+    "# Content Model",
+    "",
+    "| Content type | ID | Entries | Fields |",
+    "| --- | --- | --- | --- |",
+    ...sorted.map(
+      (ct) => `| [${mdEscape(ct.contentTypeName)}](${ct.contentTypeId}.md) | \`${ct.contentTypeId}\` | ${ct.entries.toLocaleString()} | ${ct.fields} |`,
+    ),
+    "",
+  ].join("\n");
+  await fs.writeFile(path.join(docsDir, "README.md"), index, "utf8");
+
+  return ["out/docs/", "out/schemas/"];
+}
@@ -0,0 +1,185 @@
+import { createWriteStream, type WriteStream } from "node:fs";
+import path from "node:path";
+import { iterateCollection } from "./api.js";
+import { csvEscape, toCSVLine } from "./csv.js";
+
+export type EntryStatus = "published" | "draft" | "archived" | "changed";
+
+export type EntryRow = {
+  id: string;
+  contentTypeId: string;
+  slug: string;
+  title: string;
+  status: EntryStatus;
+  createdAt: string;
+  updatedAt: string;
+  publishedAt: string;
+  author: string; // last editor
+  localesFilled: string; // pipe-separated
+  localeCoverage: number; // 0..1 over all space locales
+};
+
+export const ENTRY_HEADERS = [
+  "id",
+  "contentTypeId",
+  "slug",
+  "title",
+  "status",
+  "createdAt",
+  "updatedAt",
+  "publishedAt",
+  "author",
+  "localesFilled",
+  "localeCoverage",
+];
+
+/**
+ * Derive the web-app status of an entry from its sys versions
+ */
+export function entryStatus(sys: any): EntryStatus {
+  if (sys.archivedVersion) return "archived";
+  if (!sys.publishedVersion) return "draft";
+  // A published entry is at publishedVersion + 1; anything above means unpublished edits
+  if (sys.version > sys.publishedVersion + 1) return "changed";
+  return "published";
+}
+
+/**
+ * Locales that have a value in at least one field of the entry
+ */
+export function filledLocales(fields: Record<string, Record<string, unknown>>): string[] {
+  const locales = new Set<string>();
+  for (const value of Object.values(fields || {})) {
+    for (const [locale, v] of Object.entries(value || {})) {
+      if (v !== null && v !== undefined && v !== "") locales.add(locale);
+    }
+  }
+  return [...locales].sort();
+}
+
+function firstLocaleValue(field: Record<string, unknown> | undefined, locale: string): unknown {
+  if (!field) return "";
+  return field[locale] ?? field[Object.keys(field)[0]] ?? "";
+}
+
+function openStream(file: string): WriteStream {
+  const stream = createWriteStream(file, "utf8");
+  // writeLine/closeStream report the error (stream.errored); without a listener
+  // here an error between writes would crash the process instead
+  stream.on("error", () => {});
+  return stream;
+}
+
+function writeLine(stream: WriteStream, line: string): Promise<void> {
+  // Respect back-pressure so a full-space walk never buffers everything in memory
+  return new Promise((resolve, reject) => {
+    if (stream.errored) return reject(stream.errored);
+    if (stream.write(line)) return resolve();
+    const onDrain = () => {
+      stream.off("error", onError);
+      resolve();
+    };
+    const onError = (error: Error) => {
+      stream.off("drain", onDrain);
+      reject(error);
+    };
+    stream.once("drain", onDrain);
+    stream.once("error", onError);
+  });
+}
+
+function closeStream(stream: WriteStream): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (stream.errored) return reject(stream.errored);
+    stream.end((error?: Error | null) => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Deep mode: walk every entry of every content type and stream one row per
+ * entry to out/entries.csv and out/entries.jsonl.
+ *
+ * @param env - Contentful environment
+ * @param contentTypes - Content types from env.getContentTypes()
+ * @param outDir - Output directory
+ * @param options.locales - Locale codes of the space (for coverage)
+ * @param options.defaultLocale - Locale used to read title/slug
+ * @param options.users - Map of user ID → display name, for the author column
+ * @returns Number of entries written per content type
+ */
+export async function exportEntryInventory(
+  env: any,
+  contentTypes: any[],
+  outDir: string,
+  options: {
+    locales: string[];
+    defaultLocale: string;
+    users?: Record<string, string>;
+  },
+): Promise<Record<string, number>> {
+  const { locales, defaultLocale, users = {} } = options;
+  const csv = openStream(path.join(outDir, "entries.csv"));
+  const jsonl = openStream(path.join(outDir, "entries.jsonl"));
+  await writeLine(csv, ENTRY_HEADERS.map(csvEscape).join(",") + "\n");
+
+  const counts: Record<string, number> = {};
+
+  for (const ct of contentTypes) {
+    const ctId = ct.sys.id;
+    const displayField = ct.displayField || "";
+    const hasSlug = (ct.fields || []).some((f: any) => f.id === "slug");
+    counts[ctId] = 0;
+
+    for await (const entry of iterateCollection(
+      (q) => env.getEntries(q),
+      { content_type: ctId },
+      { label: `entries ${ctId}` },
+    )) {
+      const filled = filledLocales(entry.fields);
+      const authorId = entry.sys.updatedBy?.sys?.id || entry.sys.createdBy?.sys?.id || "";
+      const row: EntryRow = {
+        id: entry.sys.id,
+        contentTypeId: ctId,
+        slug: hasSlug ? String(firstLocaleValue(entry.fields.slug, defaultLocale)) : "",
+        title: displayField ? String(firstLocaleValue(entry.fields[displayField], defaultLocale)) : "",
+        status: entryStatus(entry.sys),
+        createdAt: entry.sys.createdAt || "",
+        updatedAt: entry.sys.updatedAt || "",
+        publishedAt: entry.sys.publishedAt || "",
+        author: users[authorId] || authorId,
+        localesFilled: filled.join("|"),
+        localeCoverage: locales.length
+          ? Number((filled.filter((l) => locales.includes(l)).length / locales.length).toFixed(2))
+          : 0,
+      };
+
+      await writeLine(csv, toCSVLine(row, ENTRY_HEADERS) + "\n");
+      await writeLine(jsonl, JSON.stringify(row) + "\n");
+      counts[ctId]++;
+    }
+
+    console.log(`  ${ctId}: ${counts[ctId]} entries`);
+  }
+
+  await closeStream(csv);
+  await closeStream(jsonl);
+  return counts;
+}
+
+/**
+ * Map of space user ID → "First Last" (falls back to email). Needs a token
+ * allowed to read space users; returns an empty map otherwise.
+ */
+export async function loadSpaceUsers(space: any): Promise<Record<string, string>> {
+  const users: Record<string, string> = {};
+  try {
+    const res = await space.getSpaceUsers({ limit: 1000 });
+    for (const u of res.items) {
+      const name = [u.firstName, u.lastName].filter(Boolean).join(" ");
+      users[u.sys.id] = name || u.email || u.sys.id;
+    }
+  } catch (error: any) {
+    console.warn(`⚠️  No se pudieron leer los usuarios del space: ${error?.message || error}`);
+  }
+  return users;
+}
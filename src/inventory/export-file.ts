@@ -0,0 +1,103 @@
+import fs from "node:fs/promises";
+
+/**
+ * Shape of a `contentful-space-export` JSON file (only the parts the
+ * inventory reads)
+ */
+export type SpaceExport = {
+  contentTypes?: any[];
+  entries?: any[];
+  assets?: any[];
+  locales?: any[];
+};
+
+export type ExportSource = {
+  spaceId: string;
+  environmentId: string;
+  space: any;
+  env: any;
+};
+
+type Collection = { items: any[]; total: number; skip: number; limit: number };
+
+function paginate(items: any[], query: Record<string, any>): Collection {
+  const skip = Number(query.skip) || 0;
+  const limit = Number(query.limit) || 100;
+  return { items: items.slice(skip, skip + limit), total: items.length, skip, limit };
+}
+
+/**
+ * Apply the subset of Contentful query parameters the inventory uses:
+ * content_type, sys.id, sys.id[in] and fields.<id> equality.
+ */
+function matchesQuery(item: any, query: Record<string, any>): boolean {
+  for (const [key, value] of Object.entries(query)) {
+    if (key === "skip" || key === "limit" || key === "order" || key === "include") continue;
+
+    if (key === "content_type") {
+      if (item.sys?.contentType?.sys?.id !== value) return false;
+    } else if (key === "sys.id") {
+      if (item.sys?.id !== value) return false;
+    } else if (key === "sys.id[in]") {
+      const ids = Array.isArray(value) ? value : String(value).split(",");
+      if (!ids.includes(item.sys?.id)) return false;
+    } else if (key.startsWith("fields.")) {
+      const field = item.fields?.[key.slice("fields.".length)] || {};
+      if (!Object.values(field).some((v) => v === value)) return false;
+    } else {
+      throw new Error(`Parámetro de consulta no soportado en modo offline: ${key}`);
+    }
+  }
+  return true;
+}
+
+export async function loadSpaceExport(file: string): Promise<SpaceExport> {
+  const data = JSON.parse(await fs.readFile(file, "utf8"));
+  if (!Array.isArray(data?.contentTypes)) {
+    throw new Error(`${file} no parece un export de contentful-space-export (falta "contentTypes")`);
+  }
+  return data;
+}
+
+/**
+ * Wrap an export in objects with the same methods as the management SDK's
+ * Space and Environment, so the live pipeline runs unchanged against a file.
+ */
+export function createExportSource(data: SpaceExport): ExportSource {
+  const contentTypes = data.contentTypes || [];
+  const entries = data.entries || [];
+  const assets = data.assets || [];
+  const locales = data.locales?.length
+    ? data.locales
+    : [{ code: "en-US", name: "English (United States)", default: true, fallbackCode: null, optional: false }];
+
+  // Exports don't record which space they came from; the items' sys does
+  const sample = entries[0] || assets[0] || contentTypes[0];
+
+  const env = {
+    getContentTypes: async (query: Record<string, any> = {}) => paginate(contentTypes, query),
+    getEntries: async (query: Record<string, any> = {}) =>
+      paginate(
+        entries.filter((e) => matchesQuery(e, query)),
+        query,
+      ),
+    getAssets: async (query: Record<string, any> = {}) =>
+      paginate(
+        assets.filter((a) => matchesQuery(a, query)),
+        query,
+      ),
+    getLocales: async () => paginate(locales, { limit: locales.length }),
+  };
+
+  const space = {
+    // User names aren't part of an export
+    getSpaceUsers: async () => ({ items: [], total: 0, skip: 0, limit: 0 }),
+  };
+
+  return {
+    spaceId: sample?.sys?.space?.sys?.id || "export",
+    environmentId: sample?.sys?.environment?.sys?.id || "master",
+    space,
+    env,
+  };
+}
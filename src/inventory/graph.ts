@@ -0,0 +1,323 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { iterateCollection } from "./api.js";
+
+export type GraphNode = {
+  id: string;
+  kind: "entry" | "asset";
+  contentType: string; // content type ID for entries, MIME type for assets
+  title: string;
+  updatedAt: string;
+};
+
+export type GraphEdge = {
+  from: string;
+  to: string;
+  field: string;
+  via: "field" | "richText";
+  nodeType: string; // rich-text node type, or "Link" for field links
+};
+
+export type ReferenceGraph = {
+  nodes: GraphNode[];
+  edges: GraphEdge[];
+};
+
+export type SharedComponent = {
+  id: string;
+  contentType: string;
+  title: string;
+  pages: string[];
+};
+
+export type GraphAnalysis = {
+  shared: SharedComponent[];
+  orphanAssets: GraphNode[];
+  cycles: { nodes: string[]; pages: string[] }[];
+};
+
+const isLink = (v: any): boolean => v?.sys?.type === "Link" && !!v.sys.id;
+
+/**
+ * Collect links from a rich-text document (embedded entries/assets and
+ * entry/asset hyperlinks), same walk as findEntryRefs in the importers
+ */
+function collectRichTextLinks(node: any, field: string, from: string, edges: GraphEdge[]) {
+  if (!node) return;
+  const target = node.data?.target;
+  if (isLink(target) && (target.sys.linkType === "Entry" || target.sys.linkType === "Asset")) {
+    edges.push({ from, to: target.sys.id, field, via: "richText", nodeType: node.nodeType });
+  }
+  if (Array.isArray(node.content)) {
+    for (const child of node.content) collectRichTextLinks(child, field, from, edges);
+  }
+}
+
+/**
+ * All outgoing references of an entry, across every field and locale
+ */
+export function collectEntryLinks(entry: any): GraphEdge[] {
+  const from = entry.sys.id;
+  const edges: GraphEdge[] = [];
+
+  for (const [fieldId, localized] of Object.entries<any>(entry.fields || {})) {
+    for (const value of Object.values<any>(localized || {})) {
+      const values = Array.isArray(value) ? value : [value];
+      for (const v of values) {
+        if (isLink(v)) {
+          edges.push({ from, to: v.sys.id, field: fieldId, via: "field", nodeType: "Link" });
+        } else if (v?.nodeType === "document") {
+          collectRichTextLinks(v, fieldId, from, edges);
+        }
+      }
+    }
+  }
+
+  // The same link can appear in several locales; keep one edge per target/field/kind
+  const seen = new Set<string>();
+  return edges.filter((e) => {
+    const key = `${e.to}|${e.field}|${e.nodeType}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function firstValue(field: Record<string, any> | undefined): any {
+  if (!field) return "";
+  return field[Object.keys(field)[0]] ?? "";
+}
+
+/**
+ * Walk every entry and asset of the environment and build the reference graph
+ */
+export async function buildReferenceGraph(env: any, contentTypes: any[]): Promise<ReferenceGraph> {
+  const displayFields = new Map<string, string>(
+    contentTypes.map((ct) => [ct.sys.id, ct.displayField || ""]),
+  );
+  const nodes: GraphNode[] = [];
+  const edges: GraphEdge[] = [];
+
+  for await (const entry of iterateCollection((q) => env.getEntries(q), {}, { label: "entries" })) {
+    const ctId = entry.sys.contentType.sys.id;
+    const displayField = displayFields.get(ctId);
+    nodes.push({
+      id: entry.sys.id,
+      kind: "entry",
+      contentType: ctId,
+      title: displayField ? String(firstValue(entry.fields[displayField])) : "",
+      updatedAt: entry.sys.updatedAt || "",
+    });
+    edges.push(...collectEntryLinks(entry));
+  }
+
+  for await (const asset of iterateCollection((q) => env.getAssets(q), {}, { label: "assets" })) {
+    const file = firstValue(asset.fields.file);
+    nodes.push({
+      id: asset.sys.id,
+      kind: "asset",
+      contentType: file?.contentType || "",
+      title: String(firstValue(asset.fields.title) || file?.fileName || ""),
+      updatedAt: asset.sys.updatedAt || "",
+    });
+  }
+
+  return { nodes, edges };
+}
+
+/**
+ * Strongly connected components (Tarjan), iterative to survive deep chains
+ */
+function stronglyConnected(ids: string[], adjacency: Map<string, string[]>): string[][] {
+  const index = new Map<string, number>();
+  const low = new Map<string, number>();
+  const onStack = new Set<string>();
+  const stack: string[] = [];
+  const components: string[][] = [];
+  let counter = 0;
+
+  for (const root of ids) {
+    if (index.has(root)) continue;
+    const work: { id: string; next: number }[] = [{ id: root, next: 0 }];
+    index.set(root, counter);
+    low.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const targets = adjacency.get(frame.id) || [];
+
+      if (frame.next < targets.length) {
+        const to = targets[frame.next++];
+        if (!index.has(to)) {
+          index.set(to, counter);
+          low.set(to, counter++);
+          stack.push(to);
+          onStack.add(to);
+          work.push({ id: to, next: 0 });
+        } else if (onStack.has(to)) {
+          low.set(frame.id, Math.min(low.get(frame.id)!, index.get(to)!));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].id;
+        low.set(parent, Math.min(low.get(parent)!, low.get(frame.id)!));
+      }
+      if (low.get(frame.id) === index.get(frame.id)) {
+        const component: string[] = [];
+        let id: string;
+        do {
+          id = stack.pop()!;
+          onStack.delete(id);
+          component.push(id);
+        } while (id !== frame.id);
+        components.push(component);
+      }
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Derive shared components, orphaned assets and reference cycles.
+ *
+ * A component counts as used by a page when the page reaches it through
+ * non-page entries (page → richText → table is still the page's table).
+ */
+export function analyzeGraph(graph: ReferenceGraph, pageContentType = "page"): GraphAnalysis {
+  const byId = new Map(graph.nodes.map((n) => [n.id, n]));
+  const adjacency = new Map<string, string[]>();
+  const inDegree = new Map<string, number>();
+
+  for (const e of graph.edges) {
+    if (!byId.has(e.to)) continue; // broken link (deleted target)
+    if (!adjacency.has(e.from)) adjacency.set(e.from, []);
+    adjacency.get(e.from)!.push(e.to);
+    inDegree.set(e.to, (inDegree.get(e.to) || 0) + 1);
+  }
+
+  const isPage = (id: string) => byId.get(id)?.contentType === pageContentType;
+  const pagesUsing = new Map<string, Set<string>>();
+
+  for (const page of graph.nodes.filter((n) => isPage(n.id))) {
+    const visited = new Set<string>([page.id]);
+    const queue = [...(adjacency.get(page.id) || [])];
+    while (queue.length > 0) {
+      const id = queue.shift()!;
+      if (visited.has(id) || isPage(id)) continue;
+      visited.add(id);
+      if (!pagesUsing.has(id)) pagesUsing.set(id, new Set());
+      pagesUsing.get(id)!.add(page.id);
+      queue.push(...(adjacency.get(id) || []));
+    }
+  }
+
+  const shared: SharedComponent[] = [...pagesUsing.entries()]
+    .filter(([, pages]) => pages.size > 1)
+    .map(([id, pages]) => ({
+      id,
+      contentType: byId.get(id)!.contentType,
+      title: byId.get(id)!.title,
+      pages: [...pages].sort(),
+    }))
+    .sort((a, b) => b.pages.length - a.pages.length);
+
+  const orphanAssets = graph.nodes.filter((n) => n.kind === "asset" && !inDegree.get(n.id));
+
+  const cycles = stronglyConnected(
+    graph.nodes.map((n) => n.id),
+    adjacency,
+  )
+    .filter((c) => c.length > 1 || (adjacency.get(c[0]) || []).includes(c[0]))
+    .map((c) => ({ nodes: c.sort(), pages: c.filter(isPage).sort() }))
+    .filter((c) => c.pages.length > 0);
+
+  return { shared, orphanAssets, cycles };
+}
+
+// ─── Exporters ───────────────────────────────────────────────────────
+
+function xmlEscape(s: string): string {
+  return s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+export function toGraphML(graph: ReferenceGraph): string {
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<graphml xmlns="http://graphml.graphdrawing.org/xmlns">`,
+    `  <key id="kind" for="node" attr.name="kind" attr.type="string"/>`,
+    `  <key id="contentType" for="node" attr.name="contentType" attr.type="string"/>`,
+    `  <key id="title" for="node" attr.name="title" attr.type="string"/>`,
+    `  <key id="field" for="edge" attr.name="field" attr.type="string"/>`,
+    `  <key id="via" for="edge" attr.name="via" attr.type="string"/>`,
+    `  <key id="nodeType" for="edge" attr.name="nodeType" attr.type="string"/>`,
+    `  <graph id="contentful" edgedefault="directed">`,
+  ];
+  for (const n of graph.nodes) {
+    lines.push(
+      `    <node id="${xmlEscape(n.id)}">` +
+        `<data key="kind">${n.kind}</data>` +
+        `<data key="contentType">${xmlEscape(n.contentType)}</data>` +
+        `<data key="title">${xmlEscape(n.title)}</data></node>`,
+    );
+  }
+  graph.edges.forEach((e, i) => {
+    lines.push(
+      `    <edge id="e${i}" source="${xmlEscape(e.from)}" target="${xmlEscape(e.to)}">` +
+        `<data key="field">${xmlEscape(e.field)}</data>` +
+        `<data key="via">${e.via}</data>` +
+        `<data key="nodeType">${xmlEscape(e.nodeType)}</data></edge>`,
+    );
+  });
+  lines.push(`  </graph>`, `</graphml>`);
+  return lines.join("\n") + "\n";
+}
+
+export function toDOT(graph: ReferenceGraph): string {
+  // Escape backslashes and quotes, then turn line breaks into DOT's \n
+  const q = (s: string) => `"${s.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+  const lines = [`digraph contentful {`, `  rankdir=LR;`, `  node [fontname="Helvetica", fontsize=10];`];
+  for (const n of graph.nodes) {
+    const label = `${n.contentType}\n${n.title || n.id}`.slice(0, 120);
+    const shape = n.kind === "asset" ? "note" : "box";
+    lines.push(`  ${q(n.id)} [label=${q(label)}, shape=${shape}];`);
+  }
+  for (const e of graph.edges) {
+    const style = e.via === "richText" ? "dashed" : "solid";
+    lines.push(`  ${q(e.from)} -> ${q(e.to)} [label=${q(e.field)}, style=${style}];`);
+  }
+  lines.push(`}`);
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Write graph.json, graph.graphml and graph.dot into outDir/graph
+ */
+export async function writeGraphFiles(
+  outDir: string,
+  graph: ReferenceGraph,
+  analysis: GraphAnalysis,
+): Promise<string[]> {
+  const graphDir = path.join(outDir, "graph");
+  await fs.mkdir(graphDir, { recursive: true });
+
+  const files = {
+    "graph.json": JSON.stringify({ ...graph, ...analysis }, null, 2),
+    "graph.graphml": toGraphML(graph),
+    "graph.dot": toDOT(graph),
+  };
+  for (const [name, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(graphDir, name), content, "utf8");
+  }
+  return Object.keys(files).map((name) => path.join("out", "graph", name));
+}
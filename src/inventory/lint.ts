@@ -0,0 +1,164 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { iterateCollection } from "./api.js";
+
+export type LintSeverity = "error" | "warning" | "info";
+
+export type LintFinding = {
+  rule: string;
+  severity: LintSeverity;
+  contentTypeId: string;
+  fieldId: string;
+  message: string;
+};
+
+export type LintReport = {
+  generatedAt: string;
+  counts: Record<LintSeverity, number>;
+  findings: LintFinding[];
+};
+
+export const SEVERITIES: LintSeverity[] = ["error", "warning", "info"];
+
+// Field IDs/names that hold a URL segment and must not collide between entries
+const SLUG_LIKE = /slug|permalink|url-?path|urlpath/i;
+
+const isEmpty = (v: unknown) =>
+  v === undefined || v === null || v === "" || (Array.isArray(v) && v.length === 0);
+
+const hasValidation = (validations: any[] | undefined, key: string) =>
+  (validations || []).some((v) => v && v[key] !== undefined);
+
+/**
+ * Rules that only need the content model
+ */
+export function lintContentModel(contentTypes: any[]): LintFinding[] {
+  const findings: LintFinding[] = [];
+
+  for (const ct of contentTypes) {
+    const ctId = ct.sys.id;
+    const fields = ct.fields || [];
+
+    if (!ct.displayField) {
+      findings.push({
+        rule: "missing-display-field",
+        severity: "warning",
+        contentTypeId: ctId,
+        fieldId: "",
+        message: "Content type has no display field; entries show as \"Untitled\" in the web app",
+      });
+    }
+
+    for (const f of fields) {
+      if (f.disabled || f.omitted) continue;
+
+      const isEntryLink = f.type === "Link" && f.linkType === "Entry";
+      const isEntryLinkArray = f.type === "Array" && f.items?.type === "Link" && f.items?.linkType === "Entry";
+      if (
+        (isEntryLink && !hasValidation(f.validations, "linkContentType")) ||
+        (isEntryLinkArray && !hasValidation(f.items?.validations, "linkContentType"))
+      ) {
+        findings.push({
+          rule: "link-without-content-type",
+          severity: "warning",
+          contentTypeId: ctId,
+          fieldId: f.id,
+          message: "Entry reference accepts any content type (no linkContentType validation)",
+        });
+      }
+
+      if (f.type === "Symbol" && (SLUG_LIKE.test(f.id) || SLUG_LIKE.test(f.name || "")) && !hasValidation(f.validations, "unique")) {
+        findings.push({
+          rule: "slug-not-unique",
+          severity: "error",
+          contentTypeId: ctId,
+          fieldId: f.id,
+          message: "Slug-like field has no unique validation; two entries can end up with the same URL",
+        });
+      }
+
+      if (f.type === "RichText" && !hasValidation(f.validations, "enabledNodeTypes")) {
+        findings.push({
+          rule: "rich-text-unrestricted",
+          severity: "info",
+          contentTypeId: ctId,
+          fieldId: f.id,
+          message: "Rich text allows every node type (no enabledNodeTypes restriction)",
+        });
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Required fields left empty in existing entries (drafts created before the
+ * field became required, or entries imported through the API)
+ */
+export async function lintRequiredFields(
+  env: any,
+  contentTypes: any[],
+  defaultLocale: string,
+): Promise<LintFinding[]> {
+  const findings: LintFinding[] = [];
+
+  for (const ct of contentTypes) {
+    const required = (ct.fields || []).filter((f: any) => f.required && !f.disabled && !f.omitted);
+    if (required.length === 0) continue;
+
+    const empty = new Map<string, string[]>(required.map((f: any) => [f.id, []]));
+    let scanned = 0;
+    for await (const entry of iterateCollection(
+      (q) => env.getEntries(q),
+      { content_type: ct.sys.id },
+      { label: `lint ${ct.sys.id}` },
+    )) {
+      scanned++;
+      for (const f of required) {
+        if (isEmpty(entry.fields?.[f.id]?.[defaultLocale])) empty.get(f.id)!.push(entry.sys.id);
+      }
+    }
+
+    for (const f of required) {
+      const ids = empty.get(f.id)!;
+      if (ids.length === 0) continue;
+      const sample = ids.slice(0, 5).join(", ");
+      findings.push({
+        rule: "required-field-empty",
+        severity: "error",
+        contentTypeId: ct.sys.id,
+        fieldId: f.id,
+        message: `Required field is empty in ${ids.length} of ${scanned} entries (e.g. ${sample}${ids.length > 5 ? ", …" : ""})`,
+      });
+    }
+  }
+
+  return findings;
+}
+
+export function buildLintReport(findings: LintFinding[]): LintReport {
+  const order = (s: LintSeverity) => SEVERITIES.indexOf(s);
+  const sorted = [...findings].sort(
+    (a, b) =>
+      order(a.severity) - order(b.severity) ||
+      a.contentTypeId.localeCompare(b.contentTypeId) ||
+      a.fieldId.localeCompare(b.fieldId),
+  );
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const f of sorted) counts[f.severity]++;
+  return { generatedAt: new Date().toISOString(), counts, findings: sorted };
+}
+
+/**
+ * True when the report has findings at or above `failOn`
+ */
+export function lintFails(report: LintReport, failOn: LintSeverity): boolean {
+  const threshold = SEVERITIES.indexOf(failOn);
+  return report.findings.some((f) => SEVERITIES.indexOf(f.severity) <= threshold);
+}
+
+export async function writeLintReport(outDir: string, report: LintReport): Promise<string[]> {
+  await fs.writeFile(path.join(outDir, "inventory_lint.json"), JSON.stringify(report, null, 2), "utf8");
+  return ["out/inventory_lint.json"];
+}
@@ -0,0 +1,81 @@
+import { iterateCollection } from "./api.js";
+import type { LocaleRow } from "./types.js";
+
+export type LocaleFillRow = {
+  contentTypeId: string;
+  contentTypeName: string;
+  fieldId: string;
+  fieldName: string;
+  locale: string;
+  filled: number;
+  entries: number;
+  fillRate: number; // 0..1
+};
+
+export async function discoverLocales(env: any): Promise<LocaleRow[]> {
+  const res = await env.getLocales();
+  return res.items.map((l: any) => ({
+    code: l.code,
+    name: l.name,
+    default: !!l.default,
+    fallbackCode: l.fallbackCode || "",
+    optional: !!l.optional,
+  }));
+}
+
+const hasValue = (v: unknown) =>
+  v !== undefined && v !== null && v !== "" && !(Array.isArray(v) && v.length === 0);
+
+/**
+ * For every localized field, count how many entries have a value in each locale.
+ * Only content types with at least one localized field are walked.
+ */
+export async function measureLocaleFill(
+  env: any,
+  contentTypes: any[],
+  locales: LocaleRow[],
+): Promise<LocaleFillRow[]> {
+  const rows: LocaleFillRow[] = [];
+
+  for (const ct of contentTypes) {
+    const localizedFields = (ct.fields || []).filter((f: any) => f.localized);
+    if (localizedFields.length === 0) continue;
+
+    const filled: Record<string, Record<string, number>> = {};
+    for (const f of localizedFields) {
+      filled[f.id] = Object.fromEntries(locales.map((l) => [l.code, 0]));
+    }
+
+    let entries = 0;
+    for await (const entry of iterateCollection(
+      (q) => env.getEntries(q),
+      { content_type: ct.sys.id },
+      { label: `locales ${ct.sys.id}` },
+    )) {
+      entries++;
+      for (const f of localizedFields) {
+        const value = entry.fields?.[f.id] || {};
+        for (const l of locales) {
+          if (hasValue(value[l.code])) filled[f.id][l.code]++;
+        }
+      }
+    }
+
+    for (const f of localizedFields) {
+      for (const l of locales) {
+        rows.push({
+          contentTypeId: ct.sys.id,
+          contentTypeName: ct.name,
+          fieldId: f.id,
+          fieldName: f.name,
+          locale: l.code,
+          filled: filled[f.id][l.code],
+          entries,
+          fillRate: entries ? Number((filled[f.id][l.code] / entries).toFixed(3)) : 0,
+        });
+      }
+    }
+  }
+
+  return rows;
+}
@@ -0,0 +1,126 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { toCSV } from "./csv.js";
+import type { ReferenceGraph } from "./graph.js";
+
+// Page components that only make sense when a page embeds them
+export const COMPONENT_CONTENT_TYPES = [
+  "dataVisualizationTables",
+  "dataVisualizationCharts",
+  "dataVisualizationCards",
+  "link",
+  "linkReference",
+  "richText",
+];
+
+export type OrphanRow = {
+  id: string;
+  kind: "entry" | "asset";
+  contentType: string;
+  title: string;
+  updatedAt: string;
+  contentfulUrl: string;
+};
+
+export type OrphanReport = {
+  spaceId: string;
+  environmentId: string;
+  generatedAt: string;
+  counts: Record<string, number>;
+  entries: OrphanRow[];
+  assets: OrphanRow[];
+};
+
+/**
+ * Web-app URL of an entry or asset (same format analyze-components.js uses,
+ * with the environment segment for non-master environments)
+ */
+export function contentfulUrl(
+  spaceId: string,
+  environmentId: string,
+  kind: "entry" | "asset",
+  id: string,
+): string {
+  const env = environmentId && environmentId !== "master" ? `/environments/${environmentId}` : "";
+  return `https://app.contentful.com/spaces/${spaceId}${env}/${kind === "asset" ? "assets" : "entries"}/${id}`;
+}
+
+/**
+ * Find component entries no page reaches (directly or through other entries)
+ * and assets that nothing links to.
+ */
+export function findOrphans(
+  graph: ReferenceGraph,
+  options: {
+    spaceId: string;
+    environmentId: string;
+    pageContentType?: string;
+    componentTypes?: string[];
+  },
+): OrphanReport {
+  const {
+    spaceId,
+    environmentId,
+    pageContentType = "page",
+    componentTypes = COMPONENT_CONTENT_TYPES,
+  } = options;
+
+  const adjacency = new Map<string, string[]>();
+  const linked = new Set<string>();
+  for (const e of graph.edges) {
+    if (!adjacency.has(e.from)) adjacency.set(e.from, []);
+    adjacency.get(e.from)!.push(e.to);
+    linked.add(e.to);
+  }
+
+  // Everything reachable from any page
+  const reachable = new Set<string>();
+  const queue = graph.nodes.filter((n) => n.contentType === pageContentType).map((n) => n.id);
+  while (queue.length > 0) {
+    const id = queue.pop()!;
+    for (const to of adjacency.get(id) || []) {
+      if (reachable.has(to)) continue;
+      reachable.add(to);
+      queue.push(to);
+    }
+  }
+
+  const toRow = (n: ReferenceGraph["nodes"][number]): OrphanRow => ({
+    id: n.id,
+    kind: n.kind,
+    contentType: n.contentType,
+    title: n.title,
+    updatedAt: n.updatedAt,
+    contentfulUrl: contentfulUrl(spaceId, environmentId, n.kind, n.id),
+  });
+
+  const entries = graph.nodes
+    .filter((n) => n.kind === "entry" && componentTypes.includes(n.contentType) && !reachable.has(n.id))
+    .map(toRow);
+  const assets = graph.nodes.filter((n) => n.kind === "asset" && !linked.has(n.id)).map(toRow);
+
+  const counts: Record<string, number> = { assets: assets.length };
+  for (const ct of componentTypes) {
+    counts[ct] = entries.filter((e) => e.contentType === ct).length;
+  }
+
+  return {
+    spaceId,
+    environmentId,
+    generatedAt: new Date().toISOString(),
+    counts,
+    entries,
+    assets,
+  };
+}
+
+export async function writeOrphanReport(outDir: string, report: OrphanReport): Promise<string[]> {
+  const headers = ["id", "kind", "contentType", "title", "updatedAt", "contentfulUrl"];
+  await fs.writeFile(
+    path.join(outDir, "orphans.csv"),
+    toCSV([...report.entries, ...report.assets], headers),
+    "utf8",
+  );
+  await fs.writeFile(path.join(outDir, "orphans.json"), JSON.stringify(report, null, 2), "utf8");
+  return ["out/orphans.csv", "out/orphans.json"];
+}
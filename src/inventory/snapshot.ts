@@ -0,0 +1,323 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import type {
+  ContentTypeRow,
+  EnumRow,
+  FieldRow,
+  InventorySnapshot,
+} from "./types.js";
+import { parseValidations } from "./docs.js";
+
+const SNAPSHOT_PREFIX = "inventory-";
+
+export type RenamedRow = {
+  contentTypeId: string;
+  fieldId?: string;
+  from: string;
+  to: string;
+};
+
+export type ValidationChange = {
+  contentTypeId: string;
+  contentTypeName: string;
+  fieldId: string;
+  fieldName: string;
+  items: boolean; // true for the validations of an Array field's items
+  from: string;
+  to: string;
+};
+
+export type EnumChange = {
+  contentTypeId: string;
+  contentTypeName: string;
+  fieldId: string;
+  fieldName: string;
+  items: boolean; // true for the allowed values of an Array field's items
+  added: string[];
+  removed: string[];
+};
+
+export type EntryCountChange = {
+  contentTypeId: string;
+  contentTypeName: string;
+  from: number;
+  to: number;
+  delta: number;
+};
+
+export type InventoryDiff = {
+  from: string; // generatedAt of the older snapshot
+  to: string; // generatedAt of the newer snapshot
+  contentTypes: {
+    added: ContentTypeRow[];
+    removed: ContentTypeRow[];
+    renamed: RenamedRow[];
+  };
+  fields: {
+    added: FieldRow[];
+    removed: FieldRow[];
+    renamed: RenamedRow[];
+    validationsChanged: ValidationChange[];
+  };
+  enums: EnumChange[];
+  entryCounts: EntryCountChange[];
+  assetsTotal: { from: number; to: number; delta: number };
+};
+
+/**
+ * Snapshot file name for a run, e.g. inventory-2026-10-19T08-30-00-000Z.json
+ * (sortable, so the newest snapshot is always last)
+ */
+function snapshotFileName(generatedAt: string): string {
+  return `${SNAPSHOT_PREFIX}${generatedAt.replace(/[:.]/g, "-")}.json`;
+}
+
+export async function saveSnapshot(
+  snapshotDir: string,
+  snapshot: InventorySnapshot,
+): Promise<string> {
+  await fs.mkdir(snapshotDir, { recursive: true });
+  const filePath = path.join(snapshotDir, snapshotFileName(snapshot.generatedAt));
+  await fs.writeFile(filePath, JSON.stringify(snapshot, null, 2), "utf8");
+  return filePath;
+}
+
+/**
+ * List snapshot files oldest → newest
+ */
+export async function listSnapshots(snapshotDir: string): Promise<string[]> {
+  let files: string[] = [];
+  try {
+    files = await fs.readdir(snapshotDir);
+  } catch {
+    return [];
+  }
+  return files
+    .filter((f) => f.startsWith(SNAPSHOT_PREFIX) && f.endsWith(".json"))
+    .sort()
+    .map((f) => path.join(snapshotDir, f));
+}
+
+export async function loadSnapshot(filePath: string): Promise<InventorySnapshot> {
+  const raw = JSON.parse(await fs.readFile(filePath, "utf8"));
+  // Snapshots written before references/enums were stored only have summary + fields
+  return { references: [], enums: [], ...raw };
+}
+
+const fieldKey = (r: { contentTypeId: string; fieldId: string }) =>
+  `${r.contentTypeId}::${r.fieldId}`;
+
+type EnumValues = { row: EnumRow; items: boolean; values: string[] };
+
+/**
+ * Allowed values of every field: the enum rows, plus the "in" validation of
+ * Array field items (keyed with an ":items" suffix). Item enums are left out
+ * when `withItems` is false, for snapshots that didn't record item validations
+ */
+function enumValues(snapshot: InventorySnapshot, withItems: boolean): Map<string, EnumValues> {
+  const values = new Map<string, EnumValues>(
+    snapshot.enums.map((e) => [fieldKey(e), { row: e, items: false, values: e.values.split("|") }]),
+  );
+  if (!withItems) return values;
+  for (const f of snapshot.fields) {
+    const enumValidation = parseValidations(f.itemsValidations || "").find((v) => Array.isArray(v?.in));
+    if (!enumValidation?.in?.length) continue;
+    const row = {
+      contentTypeId: f.contentTypeId,
+      contentTypeName: f.contentTypeName,
+      fieldId: f.fieldId,
+      fieldName: f.fieldName,
+      values: enumValidation.in.join("|"),
+    };
+    values.set(`${fieldKey(f)}:items`, { row, items: true, values: enumValidation.in.map(String) });
+  }
+  return values;
+}
+
+/**
+ * Compare two inventory snapshots.
+ *
+ * Content types are matched by ID, so a changed name is reported as a rename.
+ * Fields are matched by content type + field ID; a removed and an added field
+ * in the same content type with the same name and type are treated as a field
+ * whose ID was renamed rather than as two unrelated changes.
+ */
+export function diffSnapshots(
+  previous: InventorySnapshot,
+  current: InventorySnapshot,
+): InventoryDiff {
+  // --- content types
+  const prevCts = new Map(previous.summary.map((ct) => [ct.contentTypeId, ct]));
+  const currCts = new Map(current.summary.map((ct) => [ct.contentTypeId, ct]));
+
+  const ctAdded = current.summary.filter((ct) => !prevCts.has(ct.contentTypeId));
+  const ctRemoved = previous.summary.filter((ct) => !currCts.has(ct.contentTypeId));
+  const ctRenamed: RenamedRow[] = [];
+  const entryCounts: EntryCountChange[] = [];
+
+  for (const ct of current.summary) {
+    const before = prevCts.get(ct.contentTypeId);
+    if (!before) continue;
+    if (before.contentTypeName !== ct.contentTypeName) {
+      ctRenamed.push({
+        contentTypeId: ct.contentTypeId,
+        from: before.contentTypeName,
+        to: ct.contentTypeName,
+      });
+    }
+    if (before.entries !== ct.entries) {
+      entryCounts.push({
+        contentTypeId: ct.contentTypeId,
+        contentTypeName: ct.contentTypeName,
+        from: before.entries,
+        to: ct.entries,
+        delta: ct.entries - before.entries,
+      });
+    }
+  }
+  entryCounts.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  // --- fields
+  const prevFields = new Map(previous.fields.map((f) => [fieldKey(f), f]));
+  const currFields = new Map(current.fields.map((f) => [fieldKey(f), f]));
+
+  let fieldAdded = current.fields.filter((f) => !prevFields.has(fieldKey(f)));
+  let fieldRemoved = previous.fields.filter((f) => !currFields.has(fieldKey(f)));
+  const fieldRenamed: RenamedRow[] = [];
+  const validationsChanged: ValidationChange[] = [];
+
+  for (const f of current.fields) {
+    const before = prevFields.get(fieldKey(f));
+    if (!before) continue;
+    if (before.fieldName !== f.fieldName) {
+      fieldRenamed.push({
+        contentTypeId: f.contentTypeId,
+        fieldId: f.fieldId,
+        from: before.fieldName,
+        to: f.fieldName,
+      });
+    }
+    if (before.validations !== f.validations) {
+      validationsChanged.push({
+        contentTypeId: f.contentTypeId,
+        contentTypeName: f.contentTypeName,
+        fieldId: f.fieldId,
+        fieldName: f.fieldName,
+        items: false,
+        from: before.validations,
+        to: f.validations,
+      });
+    }
+    // Snapshots taken before item validations were recorded have none to compare
+    if (
+      before.itemsValidations !== undefined &&
+      f.itemsValidations !== undefined &&
+      before.itemsValidations !== f.itemsValidations
+    ) {
+      validationsChanged.push({
+        contentTypeId: f.contentTypeId,
+        contentTypeName: f.contentTypeName,
+        fieldId: f.fieldId,
+        fieldName: f.fieldName,
+        items: true,
+        from: before.itemsValidations,
+        to: f.itemsValidations,
+      });
+    }
+  }
+
+  // Field ID renames: same content type, same display name and type
+  for (const added of [...fieldAdded]) {
+    const match = fieldRemoved.find(
+      (removed) =>
+        removed.contentTypeId === added.contentTypeId &&
+        removed.fieldName === added.fieldName &&
+        removed.type === added.type,
+    );
+    if (match) {
+      fieldRenamed.push({
+        contentTypeId: added.contentTypeId,
+        fieldId: added.fieldId,
+        from: match.fieldId,
+        to: added.fieldId,
+      });
+      fieldAdded = fieldAdded.filter((f) => f !== added);
+      fieldRemoved = fieldRemoved.filter((f) => f !== match);
+    }
+  }
+
+  // --- enums
+  // Item enums are only compared when both snapshots recorded item validations
+  const recordsItems = (s: InventorySnapshot) => s.fields.some((f) => f.itemsValidations !== undefined);
+  const withItems = recordsItems(previous) && recordsItems(current);
+  const prevEnums = enumValues(previous, withItems);
+  const currEnums = enumValues(current, withItems);
+  const enumChanges: EnumChange[] = [];
+
+  for (const key of new Set([...prevEnums.keys(), ...currEnums.keys()])) {
+    const before = prevEnums.get(key);
+    const after = currEnums.get(key);
+    const beforeValues = before?.values || [];
+    const afterValues = after?.values || [];
+    const added = afterValues.filter((v) => !beforeValues.includes(v));
+    const removed = beforeValues.filter((v) => !afterValues.includes(v));
+    if (added.length === 0 && removed.length === 0) continue;
+
+    const { row, items } = (after || before)!;
+    enumChanges.push({
+      contentTypeId: row.contentTypeId,
+      contentTypeName: row.contentTypeName,
+      fieldId: row.fieldId,
+      fieldName: row.fieldName,
+      items,
+      added,
+      removed,
+    });
+  }
+
+  return {
+    from: previous.generatedAt,
+    to: current.generatedAt,
+    contentTypes: { added: ctAdded, removed: ctRemoved, renamed: ctRenamed },
+    fields: {
+      added: fieldAdded,
+      removed: fieldRemoved,
+      renamed: fieldRenamed,
+      validationsChanged,
+    },
+    enums: enumChanges,
+    entryCounts,
+    assetsTotal: {
+      from: previous.assetsTotal,
+      to: current.assetsTotal,
+      delta: current.assetsTotal - previous.assetsTotal,
+    },
+  };
+}
+
+export function countDiffChanges(diff: InventoryDiff): number {
+  return (
+    diff.contentTypes.added.length +
+    diff.contentTypes.removed.length +
+    diff.contentTypes.renamed.length +
+    diff.fields.added.length +
+    diff.fields.removed.length +
+    diff.fields.renamed.length +
+    diff.fields.validationsChanged.length +
+    diff.enums.length +
+    diff.entryCounts.length
+  );
+}
+
+export function printDiffSummary(diff: InventoryDiff): void {
+  console.log(`Cambios desde ${diff.from}:`);
+  console.log(
+    `  Content types: +${diff.contentTypes.added.length} -${diff.contentTypes.removed.length} ~${diff.contentTypes.renamed.length} renombrados`,
+  );
+  console.log(
+    `  Fields: +${diff.fields.added.length} -${diff.fields.removed.length} ~${diff.fields.renamed.length} renombrados, ${diff.fields.validationsChanged.length} validaciones cambiadas`,
+  );
+  console.log(`  Enums cambiados: ${diff.enums.length}`);
+  console.log(`  Content types con cambios en entries: ${diff.entryCounts.length}`);
+  console.log(`  Assets: ${diff.assetsTotal.from} → ${diff.assetsTotal.to}`);
+}
@@ -0,0 +1,63 @@
+export type ContentTypeRow = {
+  contentTypeId: string;
+  contentTypeName: string;
+  entries: number;
+  fields: number;
+};
+
+export type FieldRow = {
+  contentTypeId: string;
+  contentTypeName: string;
+  fieldId: string;
+  fieldName: string;
+  type: string;
+  required: boolean;
+  localized: boolean;
+  itemsType: string;
+  linkType: string;
+  validations: string;
+  // Validations of an Array field's items (e.g. linkContentType of a
+  // references list); missing in snapshots taken before it was recorded
+  itemsValidations?: string;
+};
+
+export type RefRow = {
+  contentTypeId: string;
+  contentTypeName: string;
+  fieldId: string;
+  fieldName: string;
+  linkType: string; // Entry | Asset
+  allowedContentTypes: string; // pipe-separated
+  isArray: boolean;
+};
+
+export type EnumRow = {
+  contentTypeId: string;
+  contentTypeName: string;
+  fieldId: string;
+  fieldName: string;
+  values: string; // pipe-separated
+};
+
+export type LocaleRow = {
+  code: string;
+  name: string;
+  default: boolean;
+  fallbackCode: string;
+  optional: boolean;
+};
+
+/**
+ * Everything a single inventory run produces, as persisted under out/snapshots/
+ */
+export type InventorySnapshot = {
+  spaceId: string;
+  environmentId: string;
+  generatedAt: string;
+  assetsTotal: number;
+  summary: ContentTypeRow[];
+  fields: FieldRow[];
+  references: RefRow[];
+  enums: EnumRow[];
+  locales?: LocaleRow[];
+};
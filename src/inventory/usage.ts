@@ -0,0 +1,166 @@
+import { iterateCollection } from "./api.js";
+
+export type FieldUsageRow = {
+  contentTypeId: string;
+  fieldId: string;
+  scanned: number; // entries looked at (all of them, or the sample)
+  filled: number;
+  fillRate: number; // 0..1
+  distinct: number;
+  topValues: string; // "value (count)" pipe-separated, Symbol fields only
+  minLength: number | "";
+  maxLength: number | "";
+  arraySizes: string; // "bucket:count" pipe-separated, Array fields only
+};
+
+export const USAGE_HEADERS = [
+  "scanned",
+  "filled",
+  "fillRate",
+  "distinct",
+  "topValues",
+  "minLength",
+  "maxLength",
+  "arraySizes",
+];
+
+const TOP_VALUES = 5;
+// Long texts are only compared on their first characters when counting distinct values
+const DISTINCT_KEY_LENGTH = 200;
+
+type FieldAccumulator = {
+  filled: number;
+  values: Map<string, number>;
+  minLength: number;
+  maxLength: number;
+  arraySizes: Map<string, number>;
+};
+
+const isEmpty = (v: unknown) =>
+  v === undefined || v === null || v === "" || (Array.isArray(v) && v.length === 0);
+
+function arrayBucket(size: number): string {
+  if (size <= 1) return String(size);
+  if (size <= 5) return "2-5";
+  if (size <= 10) return "6-10";
+  return "11+";
+}
+
+/**
+ * Comparable key for a field value: link ID for links, text for everything else
+ */
+function valueKey(v: any): string {
+  if (v?.sys?.id) return v.sys.id;
+  if (typeof v === "object") return JSON.stringify(v).slice(0, DISTINCT_KEY_LENGTH);
+  return String(v).slice(0, DISTINCT_KEY_LENGTH);
+}
+
+function richTextLength(node: any): number {
+  if (!node) return 0;
+  if (typeof node.value === "string") return node.value.length;
+  return (node.content || []).reduce((sum: number, child: any) => sum + richTextLength(child), 0);
+}
+
+function accumulate(acc: FieldAccumulator, field: any, value: any) {
+  if (isEmpty(value)) {
+    if (field.type === "Array") {
+      acc.arraySizes.set("0", (acc.arraySizes.get("0") || 0) + 1);
+    }
+    return;
+  }
+  acc.filled++;
+
+  if (field.type === "Array") {
+    const bucket = arrayBucket(value.length);
+    acc.arraySizes.set(bucket, (acc.arraySizes.get(bucket) || 0) + 1);
+    for (const item of value) {
+      const key = valueKey(item);
+      acc.values.set(key, (acc.values.get(key) || 0) + 1);
+    }
+    return;
+  }
+
+  if (field.type !== "RichText") {
+    const key = valueKey(value);
+    acc.values.set(key, (acc.values.get(key) || 0) + 1);
+  }
+
+  let length = -1;
+  if (field.type === "Symbol" || field.type === "Text") length = String(value).length;
+  if (field.type === "RichText") length = richTextLength(value);
+  if (length >= 0) {
+    acc.minLength = Math.min(acc.minLength, length);
+    acc.maxLength = Math.max(acc.maxLength, length);
+  }
+}
+
+/**
+ * Scan entries (all of them, or the first `sampleSize` per content type) and
+ * compute usage statistics for every field, reading the default locale.
+ */
+export async function measureFieldUsage(
+  env: any,
+  contentTypes: any[],
+  options: { defaultLocale: string; sampleSize?: number },
+): Promise<FieldUsageRow[]> {
+  const { defaultLocale, sampleSize = 0 } = options;
+  const rows: FieldUsageRow[] = [];
+
+  for (const ct of contentTypes) {
+    const fields = ct.fields || [];
+    const accs = new Map<string, FieldAccumulator>(
+      fields.map((f: any) => [
+        f.id,
+        { filled: 0, values: new Map(), minLength: Infinity, maxLength: 0, arraySizes: new Map() },
+      ]),
+    );
+
+    let scanned = 0;
+    for await (const entry of iterateCollection(
+      (q) => env.getEntries(q),
+      { content_type: ct.sys.id },
+      { label: `usage ${ct.sys.id}`, pageSize: sampleSize || undefined },
+    )) {
+      for (const f of fields) {
+        const localizedValue = entry.fields?.[f.id] || {};
+        const value = localizedValue[defaultLocale] ?? localizedValue[Object.keys(localizedValue)[0]];
+        accumulate(accs.get(f.id)!, f, value);
+      }
+      scanned++;
+      if (sampleSize && scanned >= sampleSize) break;
+    }
+
+    for (const f of fields) {
+      const acc = accs.get(f.id)!;
+      const isSymbol = f.type === "Symbol" || (f.type === "Array" && f.items?.type === "Symbol");
+      const topValues = isSymbol
+        ? [...acc.values.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TOP_VALUES)
+            .map(([value, count]) => `${value} (${count})`)
+            .join("|")
+        : "";
+      const hasLength = acc.minLength !== Infinity;
+
+      rows.push({
+        contentTypeId: ct.sys.id,
+        fieldId: f.id,
+        scanned,
+        filled: acc.filled,
+        fillRate: scanned ? Number((acc.filled / scanned).toFixed(3)) : 0,
+        distinct: acc.values.size,
+        topValues,
+        minLength: hasLength ? acc.minLength : "",
+        maxLength: hasLength ? acc.maxLength : "",
+        arraySizes: [...acc.arraySizes.entries()]
+          .sort((a, b) => a[0].localeCompare(b[0], undefined, { numeric: true }))
+          .map(([bucket, count]) => `${bucket}:${count}`)
+          .join("|"),
+      });
+    }
+
+    console.log(`  ${ct.sys.id}: ${scanned} entries analizadas`);
+  }
+
+  return rows;
+}
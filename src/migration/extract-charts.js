@@ -8,6 +8,9 @@
  * and saving as JSON files for the WordPress plugin to render.
  * 
  * Usage: node src/migration/extract-charts.js
+ *   Options:
+ *     --locale=es     Extract titles/labels in another locale (written to a locale subfolder)
+ *     --fallback=a,b  Locales to fall back to when a field is empty (default: Contentful's fallback chain)
  */
 
 import 'dotenv/config';
@@ -15,6 +18,7 @@ import pkg from 'contentful-management';
 const { createClient } = pkg;
 import fs from 'fs';
 import path from 'path';
+import { DEFAULT_LOCALE, localized, loadLocaleChain, localeSuffix, parseLocaleArgs } from '../contentful/locales.js';
 
 const client = createClient({
   accessToken: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
@@ -23,6 +27,14 @@ const client = createClient({
 const spaceId = process.env.CONTENTFUL_SPACE_ID || '61iwodu7d9u0';
 const envId = process.env.CONTENTFUL_ENVIRONMENT_ID || 'master';
 
+const { locale: LOCALE, fallbacks: FALLBACKS } = parseLocaleArgs(process.argv.slice(2));
+// Non-default locales are written to e.g. out/charts/es/ so they don't overwrite en-US data
+const LOCALE_DIR = localeSuffix(LOCALE) ? [LOCALE] : [];
+
+// Locale lookup chain, resolved from Contentful once connected
+let localeChain = [LOCALE || DEFAULT_LOCALE];
+const loc = (field) => localized(field, localeChain);
+
 async function main() {
   console.log('📊 Extract Charts & Cards Data from Contentful');
   console.log('='.repeat(60));
@@ -30,10 +42,13 @@ async function main() {
   const space = await client.getSpace(spaceId);
   const environment = await space.getEnvironment(envId);
 
-  const chartsDir = path.join(process.cwd(), 'out', 'charts');
-  const cardsDir = path.join(process.cwd(), 'out', 'cards');
-  const wpChartsDir = '/Users/santiagoramirez/Local Sites/memorycarecom/app/public/wp-content/contentful-charts';
-  const wpCardsDir = '/Users/santiagoramirez/Local Sites/memorycarecom/app/public/wp-content/contentful-cards';
+  ({ chain: localeChain } = await loadLocaleChain(environment, LOCALE, FALLBACKS));
+  console.log(`🌐 Locale chain: ${localeChain.join(' → ')}`);
+
+  const chartsDir = path.join(process.cwd(), 'out', 'charts', ...LOCALE_DIR);
+  const cardsDir = path.join(process.cwd(), 'out', 'cards', ...LOCALE_DIR);
+  const wpChartsDir = path.join('/Users/santiagoramirez/Local Sites/memorycarecom/app/public/wp-content/contentful-charts', ...LOCALE_DIR);
+  const wpCardsDir = path.join('/Users/santiagoramirez/Local Sites/memorycarecom/app/public/wp-content/contentful-cards', ...LOCALE_DIR);
 
   for (const dir of [chartsDir, cardsDir, wpChartsDir, wpCardsDir]) {
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
@@ -58,8 +73,8 @@ async function main() {
   for (const chart of allCharts) {
     const id = chart.sys.id;
     const fields = chart.fields;
-    const title = fields.title?.['en-US'] || '';
-    const sourceRef = fields.source?.['en-US'];
+    const title = loc(fields.title) || '';
+    const sourceRef = loc(fields.source);
 
     try {
       // Resolve data source
@@ -71,18 +86,18 @@ async function main() {
         if (sourceCt === 'dataSourceTable') {
           sourceData = {
             type: 'table',
-            title: source.fields.title?.['en-US'] || '',
-            dataTable: source.fields.dataTable?.['en-US'] || null,
-            dataNotes: source.fields.dataNotes?.['en-US'] || null,
+            title: loc(source.fields.title) || '',
+            dataTable: loc(source.fields.dataTable) || null,
+            dataNotes: loc(source.fields.dataNotes) || null,
           };
         } else if (sourceCt === 'dataSourceSpreadsheet') {
           // Resolve the spreadsheet asset
-          const assetRef = source.fields.source?.['en-US'];
+          const assetRef = loc(source.fields.source);
           let assetUrl = '';
           if (assetRef?.sys?.id) {
             try {
               const asset = await environment.getAsset(assetRef.sys.id);
-              assetUrl = asset.fields.file?.['en-US']?.url || '';
+              assetUrl = loc(asset.fields.file)?.url || '';
               if (assetUrl.startsWith('//')) assetUrl = `https:${assetUrl}`;
             } catch (e) {
               console.warn(`      ⚠️  Could not resolve asset: ${e.message}`);
@@ -90,7 +105,7 @@ async function main() {
           }
           sourceData = {
             type: 'spreadsheet',
-            title: source.fields.title?.['en-US'] || '',
+            title: loc(source.fields.title) || '',
             url: assetUrl,
           };
         }
@@ -99,17 +114,17 @@ async function main() {
       const chartData = {
         id,
         title,
-        visualizationType: fields.visualizationType?.['en-US'] || 'Bar Chart',
-        layout: fields.layout?.['en-US'] || 'vertical',
-        theme: fields.theme?.['en-US'] || 'Standard',
-        groupMode: fields.groupMode?.['en-US'] || 'grouped',
-        barPadding: fields.barPadding?.['en-US'] || 0.1,
-        showLegend: fields.showLegend?.['en-US'] ?? true,
-        legendLocation: fields.legendLocation?.['en-US'] || 'bottom',
-        xAxisLabel: fields.xAxisLabel?.['en-US'] || '',
-        yAxisLabel: fields.yAxisLabel?.['en-US'] || '',
-        labelPrefix: fields.labelPrefix?.['en-US'] || '',
-        filters: fields.filters?.['en-US'] || null,
+        visualizationType: loc(fields.visualizationType) || 'Bar Chart',
+        layout: loc(fields.layout) || 'vertical',
+        theme: loc(fields.theme) || 'Standard',
+        groupMode: loc(fields.groupMode) || 'grouped',
+        barPadding: loc(fields.barPadding) || 0.1,
+        showLegend: loc(fields.showLegend) ?? true,
+        legendLocation: loc(fields.legendLocation) || 'bottom',
+        xAxisLabel: loc(fields.xAxisLabel) || '',
+        yAxisLabel: loc(fields.yAxisLabel) || '',
+        labelPrefix: loc(fields.labelPrefix) || '',
+        filters: loc(fields.filters) || null,
         source: sourceData,
       };
 
@@ -137,8 +152,8 @@ async function main() {
   for (const card of allCards.items) {
     const id = card.sys.id;
     const fields = card.fields;
-    const title = fields.title?.['en-US'] || '';
-    const sourceRef = fields.source?.['en-US'];
+    const title = loc(fields.title) || '';
+    const sourceRef = loc(fields.source);
 
     try {
       let sourceData = null;
@@ -149,16 +164,16 @@ async function main() {
         if (sourceCt === 'dataSourceTable') {
           sourceData = {
             type: 'table',
-            title: source.fields.title?.['en-US'] || '',
-            dataTable: source.fields.dataTable?.['en-US'] || null,
+            title: loc(source.fields.title) || '',
+            dataTable: loc(source.fields.dataTable) || null,
           };
         } else if (sourceCt === 'dataSourceSpreadsheet') {
-          const assetRef = source.fields.source?.['en-US'];
+          const assetRef = loc(source.fields.source);
           let assetUrl = '';
           if (assetRef?.sys?.id) {
             try {
               const asset = await environment.getAsset(assetRef.sys.id);
-              assetUrl = asset.fields.file?.['en-US']?.url || '';
+              assetUrl = loc(asset.fields.file)?.url || '';
               if (assetUrl.startsWith('//')) assetUrl = `https:${assetUrl}`;
             } catch (e) {
               console.warn(`      ⚠️  Could not resolve asset: ${e.message}`);
@@ -166,7 +181,7 @@ async function main() {
           }
           sourceData = {
             type: 'spreadsheet',
-            title: source.fields.title?.['en-US'] || '',
+            title: loc(source.fields.title) || '',
             url: assetUrl,
           };
         }
@@ -175,10 +190,10 @@ async function main() {
       const cardData = {
         id,
         title,
-        type: fields.type?.['en-US'] || 'Summary',
-        arrangement: fields.arrangement?.['en-US'] || 'Stacked',
-        theme: fields.theme?.['en-US'] || 'Standard',
-        filters: fields.filters?.['en-US'] || null,
+        type: loc(fields.type) || 'Summary',
+        arrangement: loc(fields.arrangement) || 'Stacked',
+        theme: loc(fields.theme) || 'Standard',
+        filters: loc(fields.filters) || null,
         source: sourceData,
       };
 
@@ -197,8 +212,8 @@ async function main() {
   // ─── Also re-extract all tables (some may be new for city pages) ──
 
   console.log('\n📋 Re-extracting tables (ensuring all are covered)...');
-  const tablesDir = path.join(process.cwd(), 'out', 'tables');
-  const wpTablesDir = '/Users/santiagoramirez/Local Sites/memorycarecom/app/public/wp-content/contentful-tables';
+  const tablesDir = path.join(process.cwd(), 'out', 'tables', ...LOCALE_DIR);
+  const wpTablesDir = path.join('/Users/santiagoramirez/Local Sites/memorycarecom/app/public/wp-content/contentful-tables', ...LOCALE_DIR);
   if (!fs.existsSync(tablesDir)) fs.mkdirSync(tablesDir, { recursive: true });
   if (!fs.existsSync(wpTablesDir)) fs.mkdirSync(wpTablesDir, { recursive: true });
 
@@ -227,8 +242,8 @@ async function main() {
     }
 
     const fields = table.fields;
-    const title = fields.title?.['en-US'] || '';
-    const sourceRef = fields.source?.['en-US'];
+    const title = loc(fields.title) || '';
+    const sourceRef = loc(fields.source);
 
     try {
       let sourceData = null;
@@ -239,23 +254,23 @@ async function main() {
         if (sourceCt === 'dataSourceTable') {
           sourceData = {
             type: 'table',
-            title: source.fields.title?.['en-US'] || '',
-            dataTable: source.fields.dataTable?.['en-US'] || null,
-            dataNotes: source.fields.dataNotes?.['en-US'] || null,
+            title: loc(source.fields.title) || '',
+            dataTable: loc(source.fields.dataTable) || null,
+            dataNotes: loc(source.fields.dataNotes) || null,
           };
         } else if (sourceCt === 'dataSourceSpreadsheet') {
-          const assetRef = source.fields.source?.['en-US'];
+          const assetRef = loc(source.fields.source);
           let assetUrl = '';
           if (assetRef?.sys?.id) {
             try {
               const asset = await environment.getAsset(assetRef.sys.id);
-              assetUrl = asset.fields.file?.['en-US']?.url || '';
+              assetUrl = loc(asset.fields.file)?.url || '';
               if (assetUrl.startsWith('//')) assetUrl = `https:${assetUrl}`;
             } catch (e) { /* skip */ }
           }
           sourceData = {
             type: 'spreadsheet',
-            title: source.fields.title?.['en-US'] || '',
+            title: loc(source.fields.title) || '',
             url: assetUrl,
           };
         }
@@ -264,11 +279,11 @@ async function main() {
       const tableData = {
         id,
         title,
-        type: fields.type?.['en-US'] || 'Plain',
-        style: fields.style?.['en-US'] || 'Equal Width',
-        theme: fields.theme?.['en-US'] || 'Standard',
-        fullWidth: fields.fullWidth?.['en-US'] ?? true,
-        filters: fields.filters?.['en-US'] || null,
+        type: loc(fields.type) || 'Plain',
+        style: loc(fields.style) || 'Equal Width',
+        theme: loc(fields.theme) || 'Standard',
+        fullWidth: loc(fields.fullWidth) ?? true,
+        filters: loc(fields.filters) || null,
         source: sourceData,
       };
 
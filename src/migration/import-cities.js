@@ -15,6 +15,16 @@
  *     --limit=N     Process only first N cities
  *     --offset=N    Skip first N cities
  *     --state=XX    Only import cities for a specific state (e.g. --state=CA)
+ *     --locale=es   Import the cities in another locale (needs import-states.js --locale=es first)
+ *     --fallback=a,b  Locales to fall back to when a field is empty (default: Contentful's fallback chain)
+ *     --strict      Don't publish pages with conversion errors (unresolved entries/assets)
+ *     --blocks      Write Gutenberg block markup instead of classic HTML
+ *     --table-captions  Caption tables with the heading right before them
+ *     --responsive-tables  Wrap tables in a horizontal scroll container
+ *     --fixed-tables  Fixed column widths (wp:table hasFixedLayout)
+ *     --sponsored-hosts=a.com,b.com  Provider hosts whose links get rel="sponsored nofollow"
+ *     --reference-depth=N  Levels of nested references to resolve below the embedded entries (default: all)
+ *     --cache       Keep fetched Contentful entries and assets in temp/contentful-cache/ for later runs
  */
 
 import 'dotenv/config';
@@ -24,7 +34,12 @@ import fetch from 'node-fetch';
 import https from 'https';
 import fs from 'fs';
 import path from 'path';
-import { richTextToHtml } from '../contentful/rich-text-to-html.js';
+import { createIssueReport, hasIssues } from '../contentful/diagnostics.js';
+import {
+  parseConversionArgs, createPageConverter, headingOutline, reportUnresolvedLinks, reportReferenceStats,
+} from '../contentful/page-conversion.js';
+import { createLinkResolver } from './link-resolver.js';
+import { DEFAULT_LOCALE, localized, loadLocaleChain, localeSuffix, parseLocaleArgs } from '../contentful/locales.js';
 
 // ─── Configuration ───────────────────────────────────────────────────
 
@@ -49,13 +64,35 @@ const DRY_RUN = args.includes('--dry-run');
 const LIMIT = parseInt(args.find(a => a.startsWith('--limit='))?.split('=')[1]) || 0;
 const OFFSET = parseInt(args.find(a => a.startsWith('--offset='))?.split('=')[1]) || 0;
 const STATE_FILTER = args.find(a => a.startsWith('--state='))?.split('=')[1]?.toUpperCase() || '';
+const { locale: LOCALE, fallbacks: FALLBACKS } = parseLocaleArgs(args);
+const STRICT = args.includes('--strict');
+
+// --blocks, table options, --sponsored-hosts, --reference-depth, --cache (see page-conversion.js)
+const CONVERSION = parseConversionArgs(args, { wpBaseUrl: WP_BASE_URL });
+
+// Non-default locales get their own posts, previews and mapping files
+const LOCALE_SUFFIX = localeSuffix(LOCALE);
+const SLUG_SUFFIX = LOCALE_SUFFIX ? `-${LOCALE.toLowerCase()}` : '';
+
+// Locale lookup chain, resolved from Contentful once connected
+let localeChain = [LOCALE || DEFAULT_LOCALE];
+const loc = (field) => localized(field, localeChain);
+
+// Entry ID → WordPress permalink for entry hyperlinks, set up once connected
+let linkResolver = null;
+
+// Rich text → HTML with embedded entries and assets fetched once per run, set up once connected
+let converter = null;
+
+// Conversion diagnostics of every page in this run
+const issueReport = createIssueReport();
 
 // ─── Load State Mapping ─────────────────────────────────────────────
 
-const stateMapPath = path.join(process.cwd(), 'out', 'communities', 'state-contentful-to-wp-map.json');
+const stateMapPath = path.join(process.cwd(), 'out', 'communities', `state-contentful-to-wp-map${LOCALE_SUFFIX}.json`);
 if (!fs.existsSync(stateMapPath)) {
   console.error('❌ State mapping file not found:', stateMapPath);
-  console.error('   Run import-states.js first to generate this file.');
+  console.error(`   Run import-states.js${LOCALE ? ` --locale=${LOCALE}` : ''} first to generate this file.`);
   process.exit(1);
 }
 
@@ -95,9 +132,8 @@ async function findExistingCommunity(slug) {
   return null;
 }
 
-async function createOrUpdateCommunity(postData) {
-  const existing = await findExistingCommunity(postData.slug);
-
+// existing: the post with this slug (findExistingCommunity), if any
+async function createOrUpdateCommunity(postData, existing) {
   if (existing) {
     console.log(`   📝 Already exists (ID: ${existing.id}), updating...`);
     const res = await wpFetch(`/community/${existing.id}`, {
@@ -129,155 +165,6 @@ async function createOrUpdateCommunity(postData) {
   return { id: created.id, action: 'created', url: created.link };
 }
 
-// ─── Contentful Content Resolution ──────────────────────────────────
-
-function findEntryRefs(node, ids) {
-  if (!node) return;
-  if (node.data?.target?.sys?.linkType === 'Entry') {
-    ids.add(node.data.target.sys.id);
-  }
-  if (node.content) {
-    node.content.forEach(child => findEntryRefs(child, ids));
-  }
-}
-
-function findAssetRefs(node, ids) {
-  if (!node) return;
-  if (node.data?.target?.sys?.linkType === 'Asset') {
-    ids.add(node.data.target.sys.id);
-  }
-  if (node.content) {
-    node.content.forEach(child => findAssetRefs(child, ids));
-  }
-}
-
-async function resolveEmbeddedEntries(document, environment) {
-  const entries = {};
-  const entryIds = new Set();
-  findEntryRefs(document, entryIds);
-
-  // Batch-fetch entries in parallel (groups of 10)
-  const idArray = [...entryIds];
-  const BATCH_SIZE = 10;
-
-  for (let i = 0; i < idArray.length; i += BATCH_SIZE) {
-    const batch = idArray.slice(i, i + BATCH_SIZE);
-    const results = await Promise.allSettled(
-      batch.map(async (entryId) => {
-        try {
-          const entry = await environment.getEntry(entryId);
-          const ct = entry.sys.contentType.sys.id;
-          const fields = entry.fields;
-
-          entries[entryId] = {
-            contentType: ct,
-            title: fields.title?.['en-US'] || fields.name?.['en-US'] || '',
-            fields,
-          };
-
-          if (ct === 'link') {
-            entries[entryId].url = fields.url?.['en-US'] || fields.href?.['en-US'] || '';
-            entries[entryId].title = fields.text?.['en-US'] || fields.title?.['en-US'] || fields.label?.['en-US'] || '';
-          }
-
-          // Resolve nested linked entries (e.g., linkReference → link entries)
-          if (ct === 'linkReference') {
-            const links = fields.links?.['en-US'] || [];
-            for (const linkRef of links) {
-              const linkedId = linkRef?.sys?.id;
-              if (linkedId && !entries[linkedId]) {
-                try {
-                  const linkedEntry = await environment.getEntry(linkedId);
-                  const linkedCt = linkedEntry.sys.contentType.sys.id;
-                  entries[linkedId] = {
-                    contentType: linkedCt,
-                    title: linkedEntry.fields.title?.['en-US'] || linkedEntry.fields.linkText?.['en-US'] || '',
-                    url: linkedEntry.fields.url?.['en-US'] || '',
-                    fields: linkedEntry.fields,
-                  };
-                } catch (e) {
-                  // silently skip
-                }
-              }
-            }
-          }
-
-          // Resolve richText embedded body references
-          if (ct === 'richText') {
-            const nestedBody = fields.body?.['en-US'];
-            if (nestedBody?.nodeType === 'document') {
-              const nestedIds = new Set();
-              findEntryRefs(nestedBody, nestedIds);
-              for (const nid of nestedIds) {
-                if (!entries[nid]) {
-                  try {
-                    const ne = await environment.getEntry(nid);
-                    entries[nid] = {
-                      contentType: ne.sys.contentType.sys.id,
-                      title: ne.fields.title?.['en-US'] || ne.fields.name?.['en-US'] || '',
-                      fields: ne.fields,
-                    };
-                  } catch (_) { /* skip */ }
-                }
-              }
-            }
-          }
-        } catch (error) {
-          entries[entryId] = { contentType: 'unknown', title: '', error: error.message };
-        }
-      })
-    );
-  }
-
-  return entries;
-}
-
-async function resolveEmbeddedAssets(document, environment) {
-  const assets = {};
-  const assetIds = new Set();
-  findAssetRefs(document, assetIds);
-
-  const idArray = [...assetIds];
-  const BATCH_SIZE = 10;
-
-  for (let i = 0; i < idArray.length; i += BATCH_SIZE) {
-    const batch = idArray.slice(i, i + BATCH_SIZE);
-    await Promise.allSettled(
-      batch.map(async (assetId) => {
-        try {
-          const asset = await environment.getAsset(assetId);
-          const file = asset.fields.file?.['en-US'];
-          assets[assetId] = {
-            title: asset.fields.title?.['en-US'] || '',
-            description: asset.fields.description?.['en-US'] || '',
-            fileName: file?.fileName || '',
-            contentType: file?.contentType || '',
-            url: file?.url || '',
-            width: file?.details?.image?.width,
-            height: file?.details?.image?.height,
-          };
-        } catch (error) {
-          assets[assetId] = { title: '', url: '', error: error.message };
-        }
-      })
-    );
-  }
-
-  return assets;
-}
-
-async function convertRichText(document, environment) {
-  if (!document || document.nodeType !== 'document') return { html: '', entryCount: 0, assetCount: 0 };
-
-  const [entries, assets] = await Promise.all([
-    resolveEmbeddedEntries(document, environment),
-    resolveEmbeddedAssets(document, environment),
-  ]);
-
-  const html = richTextToHtml(document, { assets, entries });
-  return { html, entryCount: Object.keys(entries).length, assetCount: Object.keys(assets).length };
-}
-
 // ─── Slug Helpers ────────────────────────────────────────────────────
 
 /**
@@ -315,9 +202,9 @@ function extractStateAbbrFromCity(slug, title) {
  * Resolve the parent state WP post ID for a city entry
  */
 function resolveParentState(entry) {
-  const parentPageRef = entry.fields.parentPage?.['en-US'];
-  const slug = entry.fields.slug?.['en-US'] || '';
-  const title = entry.fields.title?.['en-US'] || '';
+  const parentPageRef = loc(entry.fields.parentPage);
+  const slug = loc(entry.fields.slug) || '';
+  const title = loc(entry.fields.title) || '';
   const citySlug = extractCitySlug(slug);
 
   // Method 1: parentPage link → state map
@@ -364,6 +251,7 @@ async function main() {
   if (LIMIT) console.log(`📏 Limit: ${LIMIT} cities`);
   if (OFFSET) console.log(`⏭️  Offset: starting at city #${OFFSET + 1}`);
   if (STATE_FILTER) console.log(`🗺️  State filter: ${STATE_FILTER} only`);
+  if (LOCALE) console.log(`🌐 Locale: ${LOCALE}`);
 
   // Validate environment
   if (!WP_BASE_URL || !WP_USERNAME || !WP_PASSWORD) {
@@ -376,12 +264,40 @@ async function main() {
     process.exit(1);
   }
 
+  if (CONVERSION.error) {
+    console.error(`❌ ${CONVERSION.error}`);
+    process.exit(1);
+  }
+
   // Connect to Contentful
   console.log('\n📡 Connecting to Contentful...');
   const space = await contentfulClient.getSpace(spaceId);
   const environment = await space.getEnvironment(envId);
   console.log('   ✅ Connected');
 
+  ({ chain: localeChain } = await loadLocaleChain(environment, LOCALE, FALLBACKS));
+  console.log(`   🌐 Locale chain: ${localeChain.join(' → ')}`);
+
+
+  // Permalinks for entry hyperlinks: WordPress first, then the mapping files
+  linkResolver = createLinkResolver({ locale: localeChain[0], localeSuffix: LOCALE_SUFFIX });
+  try {
+    await linkResolver.loadFromWordPress(wpFetch);
+  } catch (error) {
+    console.warn(`   ⚠️  Could not load permalinks from WordPress: ${error.message}`);
+  }
+  linkResolver.loadCommunityMaps();
+  linkResolver.loadGuideResults();
+  console.log(`   🔗 Link resolver: ${linkResolver.size} known permalinks`);
+
+  // Embedded entries and assets; --cache keeps them for the next run
+  converter = createPageConverter(environment, {
+    ...CONVERSION,
+    localeChain,
+    linkResolver,
+    cacheKey: `${spaceId}-${envId}`,
+  });
+
   // Fetch all city pages
   console.log('\n📥 Fetching city pages from Contentful...');
   const allCityPages = [];
@@ -404,8 +320,8 @@ async function main() {
 
   // Sort by slug for predictable order
   allCityPages.sort((a, b) => {
-    const slugA = a.fields.slug?.['en-US'] || '';
-    const slugB = b.fields.slug?.['en-US'] || '';
+    const slugA = loc(a.fields.slug) || '';
+    const slugB = loc(b.fields.slug) || '';
     return slugA.localeCompare(slugB);
   });
 
@@ -434,7 +350,7 @@ async function main() {
   const seenSlugs = new Set();
   const deduped = [];
   for (const entry of cityPages) {
-    let citySlug = extractCitySlug(entry.fields.slug?.['en-US'] || '');
+    let citySlug = extractCitySlug(loc(entry.fields.slug) || '') + SLUG_SUFFIX;
     if (seenSlugs.has(citySlug)) {
       citySlug = `${citySlug}-2`;
       console.log(`   ⚠️  Duplicate slug detected, using: ${citySlug}`);
@@ -442,11 +358,15 @@ async function main() {
     seenSlugs.add(citySlug);
     entry._wpSlug = citySlug;
     deduped.push(entry);
+
+    // Cities linking to each other resolve before their posts exist
+    const parentSlug = resolveParentState(entry).stateName;
+    linkResolver.add(entry.sys.id, linkResolver.communityUrl(parentSlug && parentSlug + SLUG_SUFFIX, citySlug), 'this-run');
   }
   cityPages = deduped;
 
   // Setup output directory
-  const outputDir = path.join(process.cwd(), 'out', 'communities', 'cities');
+  const outputDir = path.join(process.cwd(), 'out', 'communities', 'cities', ...(LOCALE_SUFFIX ? [LOCALE] : []));
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
@@ -458,16 +378,16 @@ async function main() {
   for (let i = 0; i < cityPages.length; i++) {
     const entry = cityPages[i];
     const fields = entry.fields;
-    const contentfulSlug = fields.slug?.['en-US'] || '';
-    const title = fields.title?.['en-US'] || '';
-    const description = fields.description?.['en-US'] || '';
+    const contentfulSlug = loc(fields.slug) || '';
+    const title = loc(fields.title) || '';
+    const description = loc(fields.description) || '';
     const citySlug = entry._wpSlug;
-    const linkText = fields.linkText?.['en-US'] || '';
-    const heroTextContrast = fields.heroTextContrast?.['en-US'] || false;
-    const noindex = fields.noindex?.['en-US'] || false;
-    const nofollow = fields.nofollow?.['en-US'] || false;
-    const contentBucket = fields.contentBucket?.['en-US'] || '';
-    const sitemapGroup = fields.sitemapGroup?.['en-US'] || '';
+    const linkText = loc(fields.linkText) || '';
+    const heroTextContrast = loc(fields.heroTextContrast) || false;
+    const noindex = loc(fields.noindex) || false;
+    const nofollow = loc(fields.nofollow) || false;
+    const contentBucket = loc(fields.contentBucket) || '';
+    const sitemapGroup = loc(fields.sitemapGroup) || '';
 
     // Resolve parent state
     const parentState = resolveParentState(entry);
@@ -485,14 +405,21 @@ async function main() {
     if (i > 0) console.log(`   ⏱️  ETA: ${eta}`);
 
     try {
-      const body = fields.body?.['en-US'];
-      const heroContent = fields.heroContent?.['en-US'];
+      const body = loc(fields.body);
+      const heroContent = loc(fields.heroContent);
+
+      // Hero and body share one heading outline, so their IDs don't collide
+      // (a dry run doesn't look at WordPress, so its previews get fresh IDs)
+      const existing = DRY_RUN ? null : await findExistingCommunity(citySlug);
+      const headings = { anchors: headingOutline(existing), outline: [] };
 
       // Convert hero content
+      const diagnostics = [];
       let heroHtml = '';
       if (heroContent && heroContent.nodeType === 'document') {
-        const result = await convertRichText(heroContent, environment);
+        const result = await converter.convert(heroContent, citySlug, 'heroContent', headings);
         heroHtml = result.html;
+        diagnostics.push(...result.diagnostics);
       }
 
       // Convert body content
@@ -501,8 +428,9 @@ async function main() {
       let assetCount = 0;
 
       if (body && body.nodeType === 'document') {
-        const result = await convertRichText(body, environment);
+        const result = await converter.convert(body, citySlug, 'body', headings);
         bodyHtml = result.html;
+        diagnostics.push(...result.diagnostics);
         entryCount = result.entryCount;
         assetCount = result.assetCount;
         console.log(`   📊 Resolved: ${entryCount} entries, ${assetCount} assets`);
@@ -513,7 +441,10 @@ async function main() {
       // Combine content
       let fullContent = '';
       if (heroHtml) {
-        fullContent += `<!-- Hero Content -->\n${heroHtml}\n\n<!-- Main Content -->\n`;
+        // Plain comments would become Classic blocks in block markup
+        fullContent += CONVERSION.format === 'blocks'
+          ? `${heroHtml}\n\n`
+          : `<!-- Hero Content -->\n${heroHtml}\n\n<!-- Main Content -->\n`;
       }
       fullContent += bodyHtml;
 
@@ -521,6 +452,15 @@ async function main() {
       const htmlFilePath = path.join(outputDir, `${citySlug}.html`);
       fs.writeFileSync(htmlFilePath, fullContent);
 
+      issueReport.add(citySlug, diagnostics);
+      const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+      if (diagnostics.length > 0) {
+        console.log(`   ⚠️  Conversion issues: ${errorCount} errors, ${diagnostics.length - errorCount} warnings/info`);
+      }
+      if (STRICT && hasIssues(diagnostics, 'error')) {
+        throw new Error(`Not published: ${errorCount} conversion errors (--strict)`);
+      }
+
       if (DRY_RUN) {
         console.log(`   🔍 [DRY RUN] Would create: ${title} under ${parentState.stateShort}`);
         results.push({
@@ -548,6 +488,8 @@ async function main() {
         excerpt: description,
         meta: {
           contentful_id: entry.sys.id,
+          contentful_locale: localeChain[0],
+          heading_outline: JSON.stringify(headings.outline),
           listing_type: 'city',
           state_short: parentState.stateShort,
           state_long: parentState.stateName,
@@ -562,7 +504,7 @@ async function main() {
         },
       };
 
-      const result = await createOrUpdateCommunity(postData);
+      const result = await createOrUpdateCommunity(postData, existing);
       console.log(`   ✅ ${result.action}: ID ${result.id}`);
 
       results.push({
@@ -572,6 +514,7 @@ async function main() {
         contentfulId: entry.sys.id,
         wpPostId: result.id,
         wpParentId: parentState.wpParentId,
+        url: result.url,
         action: result.action,
         success: true,
         embeddedEntries: entryCount,
@@ -634,7 +577,7 @@ async function main() {
   }
 
   // Save results
-  const resultsPath = path.join(process.cwd(), 'out', 'communities', 'city-import-results.json');
+  const resultsPath = path.join(process.cwd(), 'out', 'communities', `city-import-results${LOCALE_SUFFIX}.json`);
   fs.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
   console.log(`\n💾 Results saved to: ${resultsPath}`);
 
@@ -648,14 +591,22 @@ async function main() {
         citySlug: r.citySlug,
         stateShort: r.stateShort,
         title: r.title,
+        url: r.url,
       };
     }
   }
 
-  const mapPath = path.join(process.cwd(), 'out', 'communities', 'city-contentful-to-wp-map.json');
+  const mapPath = path.join(process.cwd(), 'out', 'communities', `city-contentful-to-wp-map${LOCALE_SUFFIX}.json`);
   fs.writeFileSync(mapPath, JSON.stringify(cityMap, null, 2));
   console.log(`📋 City mapping saved to: ${mapPath}`);
 
+  reportReferenceStats(converter.references);
+  reportUnresolvedLinks(linkResolver, path.join('communities', `city-unresolved-links${LOCALE_SUFFIX}.json`));
+
+  issueReport.print();
+  const issuesPath = issueReport.write(path.join(process.cwd(), 'out', 'communities', `city-conversion-issues${LOCALE_SUFFIX}.json`));
+  console.log(`   Report: ${issuesPath}\n`);
+
   console.log('\n✨ City import complete!');
 }
 
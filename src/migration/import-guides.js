@@ -8,6 +8,14 @@
  * WordPress posts with the "guides" category.
  * 
  * Usage: node src/migration/import-guides.js
+ *   Options:
+ *     --blocks        Write Gutenberg block markup instead of classic HTML
+ *     --table-captions  Caption tables with the heading right before them
+ *     --responsive-tables  Wrap tables in a horizontal scroll container
+ *     --fixed-tables  Fixed column widths (wp:table hasFixedLayout)
+ *     --sponsored-hosts=a.com,b.com  Provider hosts whose links get rel="sponsored nofollow"
+ *     --reference-depth=N  Levels of nested references to resolve below the embedded entries (default: all)
+ *     --cache         Keep fetched Contentful entries and assets in temp/contentful-cache/ for later runs
  */
 
 import 'dotenv/config';
@@ -17,7 +25,11 @@ import fetch from 'node-fetch';
 import https from 'https';
 import fs from 'fs';
 import path from 'path';
-import { richTextToHtml } from '../contentful/rich-text-to-html.js';
+import { createIssueReport } from '../contentful/diagnostics.js';
+import {
+  parseConversionArgs, createPageConverter, headingOutline, reportUnresolvedLinks, reportReferenceStats,
+} from '../contentful/page-conversion.js';
+import { createLinkResolver } from './link-resolver.js';
 
 // ─── Configuration ───────────────────────────────────────────────────
 
@@ -37,6 +49,9 @@ const wpAuth = Buffer.from(`${WP_USERNAME}:${WP_PASSWORD}`).toString('base64');
 
 const CATEGORY_NAME = 'Guides';
 
+// --blocks, table options, --sponsored-hosts, --reference-depth, --cache (see page-conversion.js)
+const CONVERSION = parseConversionArgs(process.argv.slice(2), { wpBaseUrl: WP_BASE_URL });
+
 // Target guide posts
 const TARGET_SLUGS = [
   'diabetes-care-guide-for-seniors',
@@ -115,10 +130,9 @@ async function findExistingPost(slug) {
 
 /**
  * Create or update a WordPress post
+ * @param {Object} existing - The post with this slug (findExistingPost), if any
  */
-async function createOrUpdatePost(postData) {
-  const existing = await findExistingPost(postData.slug);
-
+async function createOrUpdatePost(postData, existing) {
   if (existing) {
     console.log(`   📝 Post already exists (ID: ${existing.id}), updating...`);
     const res = await wpFetch(`/posts/${existing.id}`, {
@@ -150,103 +164,6 @@ async function createOrUpdatePost(postData) {
   return { id: created.id, action: 'created', url: created.link };
 }
 
-// ─── Contentful Content Resolution ──────────────────────────────────
-
-/**
- * Resolve all embedded entries in the rich text content
- */
-async function resolveEmbeddedEntries(document, environment) {
-  const entries = {};
-
-  // Recursively find all embedded entry references
-  const entryIds = new Set();
-  findEntryRefs(document, entryIds);
-
-  for (const entryId of entryIds) {
-    try {
-      const entry = await environment.getEntry(entryId);
-      const ct = entry.sys.contentType.sys.id;
-      const fields = entry.fields;
-
-      entries[entryId] = {
-        contentType: ct,
-        title: fields.title?.['en-US'] || fields.name?.['en-US'] || '',
-        fields,
-      };
-
-      // Resolve link entries
-      if (ct === 'link') {
-        entries[entryId].url = fields.url?.['en-US'] || fields.href?.['en-US'] || '';
-        entries[entryId].title = fields.text?.['en-US'] || fields.title?.['en-US'] || fields.label?.['en-US'] || '';
-      }
-
-    } catch (error) {
-      console.warn(`   ⚠️  Could not resolve entry ${entryId}: ${error.message}`);
-      entries[entryId] = { contentType: 'unknown', title: '', error: error.message };
-    }
-  }
-
-  return entries;
-}
-
-/**
- * Resolve all embedded assets in the rich text content
- */
-async function resolveEmbeddedAssets(document, environment) {
-  const assets = {};
-
-  const assetIds = new Set();
-  findAssetRefs(document, assetIds);
-
-  for (const assetId of assetIds) {
-    try {
-      const asset = await environment.getAsset(assetId);
-      const file = asset.fields.file?.['en-US'];
-
-      assets[assetId] = {
-        title: asset.fields.title?.['en-US'] || '',
-        description: asset.fields.description?.['en-US'] || '',
-        fileName: file?.fileName || '',
-        contentType: file?.contentType || '',
-        url: file?.url || '',
-        width: file?.details?.image?.width,
-        height: file?.details?.image?.height,
-      };
-    } catch (error) {
-      console.warn(`   ⚠️  Could not resolve asset ${assetId}: ${error.message}`);
-      assets[assetId] = { title: '', url: '', error: error.message };
-    }
-  }
-
-  return assets;
-}
-
-/**
- * Recursively find entry references in document
- */
-function findEntryRefs(node, ids) {
-  if (!node) return;
-  if (node.data?.target?.sys?.linkType === 'Entry') {
-    ids.add(node.data.target.sys.id);
-  }
-  if (node.content) {
-    node.content.forEach(child => findEntryRefs(child, ids));
-  }
-}
-
-/**
- * Recursively find asset references in document
- */
-function findAssetRefs(node, ids) {
-  if (!node) return;
-  if (node.data?.target?.sys?.linkType === 'Asset') {
-    ids.add(node.data.target.sys.id);
-  }
-  if (node.content) {
-    node.content.forEach(child => findAssetRefs(child, ids));
-  }
-}
-
 // ─── Main Import Flow ───────────────────────────────────────────────
 
 async function main() {
@@ -265,6 +182,11 @@ async function main() {
     process.exit(1);
   }
 
+  if (CONVERSION.error) {
+    console.error(`❌ ${CONVERSION.error}`);
+    process.exit(1);
+  }
+
   // Step 1: Get or create WordPress category
   const categoryId = await getOrCreateCategory();
 
@@ -274,6 +196,27 @@ async function main() {
   const environment = await space.getEnvironment(envId);
   console.log('   ✅ Connected');
 
+  // Permalinks for entry hyperlinks, including guides imported in this run
+  const linkResolver = createLinkResolver();
+  try {
+    await linkResolver.loadFromWordPress(wpFetch);
+  } catch (error) {
+    console.warn(`   ⚠️  Could not load permalinks from WordPress: ${error.message}`);
+  }
+  linkResolver.loadCommunityMaps();
+  linkResolver.loadGuideResults();
+  linkResolver.addGuides(TARGET_SLUGS);
+  console.log(`   🔗 Link resolver: ${linkResolver.size} known permalinks`);
+
+  // Embedded entries and assets, fetched once for all guides; --cache keeps them for the next run
+  const converter = createPageConverter(environment, {
+    ...CONVERSION,
+    linkResolver,
+    cacheKey: `${spaceId}-${envId}`,
+  });
+
+  const issueReport = createIssueReport();
+
   // Step 3: Fetch and process each guide post
   const results = [];
   const outputDir = path.join(process.cwd(), 'out', 'guides');
@@ -315,43 +258,27 @@ async function main() {
         continue;
       }
 
-      // Resolve embedded entries and assets in body
-      console.log(`   🔗 Resolving embedded content...`);
-      const [bodyEntries, bodyAssets] = await Promise.all([
-        resolveEmbeddedEntries(body, environment),
-        resolveEmbeddedAssets(body, environment),
-      ]);
-
-      // Also resolve hero content if it exists
-      let heroHtml = '';
-      if (heroContent && heroContent.nodeType === 'document') {
-        const [heroEntries, heroAssets] = await Promise.all([
-          resolveEmbeddedEntries(heroContent, environment),
-          resolveEmbeddedAssets(heroContent, environment),
-        ]);
-        heroHtml = richTextToHtml(heroContent, {
-          assets: heroAssets,
-          entries: heroEntries,
-        });
-      }
-
-      const entryCount = Object.keys(bodyEntries).length;
-      const assetCount = Object.keys(bodyAssets).length;
-      console.log(`   📊 Resolved: ${entryCount} entries, ${assetCount} assets`);
+      // Hero and body share one heading outline, so their IDs don't collide
+      const existing = await findExistingPost(slug);
+      const headings = { anchors: headingOutline(existing), outline: [] };
 
-      // Convert body rich text to HTML
+      // Resolve embedded entries and assets and convert to WordPress HTML
       console.log(`   🔄 Converting rich text to WordPress HTML...`);
-      const bodyHtml = richTextToHtml(body, {
-        assets: bodyAssets,
-        entries: bodyEntries,
-      });
+      const heroResult = await converter.convert(heroContent, slug, 'heroContent', headings);
+      const bodyResult = await converter.convert(body, slug, 'body', headings);
+      const { entryCount, assetCount } = bodyResult;
+      console.log(`   📊 Resolved: ${entryCount} entries, ${assetCount} assets`);
+      issueReport.add(slug, [...heroResult.diagnostics, ...bodyResult.diagnostics]);
 
       // Combine hero + body content
       let fullContent = '';
-      if (heroHtml) {
-        fullContent += `<!-- Hero Content -->\n${heroHtml}\n\n<!-- Main Content -->\n`;
+      if (heroResult.html) {
+        // Plain comments would become Classic blocks in block markup
+        fullContent += CONVERSION.format === 'blocks'
+          ? `${heroResult.html}\n\n`
+          : `<!-- Hero Content -->\n${heroResult.html}\n\n<!-- Main Content -->\n`;
       }
-      fullContent += bodyHtml;
+      fullContent += bodyResult.html;
 
       // Save HTML to file for review
       const htmlFilePath = path.join(outputDir, `${slug}.html`);
@@ -370,16 +297,18 @@ async function main() {
         meta: {
           contentful_entry_id: entry.sys.id,
           contentful_content_type: 'page',
+          heading_outline: JSON.stringify(headings.outline),
         },
       };
 
-      const result = await createOrUpdatePost(postData);
+      const result = await createOrUpdatePost(postData, existing);
       console.log(`   ✅ Post ${result.action}: ID ${result.id}`);
       console.log(`   🔗 URL: ${result.url}`);
 
       results.push({
         slug,
         title,
+        contentfulId: entry.sys.id,
         success: true,
         wpPostId: result.id,
         action: result.action,
@@ -421,6 +350,14 @@ async function main() {
   fs.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
   console.log(`\n💾 Results saved to: ${resultsPath}`);
 
+  reportUnresolvedLinks(linkResolver, 'guides-unresolved-links.json');
+  reportReferenceStats(converter.references);
+
+  console.log('');
+  issueReport.print();
+  const issuesPath = issueReport.write(path.join(process.cwd(), 'out', 'guides-conversion-issues.json'));
+  console.log(`   Report: ${issuesPath}`);
+
   console.log(`\n🏷️  Category: "${CATEGORY_NAME}" (ID: ${categoryId})`);
   console.log('✨ Import complete!');
 }
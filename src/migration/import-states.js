@@ -8,6 +8,17 @@
  * "community" CPT posts in WordPress (parent=0).
  * 
  * Usage: node src/migration/import-states.js
+ *   Options:
+ *     --locale=es     Import the states in another locale (WP slugs get a "-es" suffix)
+ *     --fallback=a,b  Locales to fall back to when a field is empty (default: Contentful's fallback chain)
+ *     --strict        Don't publish pages with conversion errors (unresolved entries/assets)
+ *     --blocks        Write Gutenberg block markup instead of classic HTML
+ *     --table-captions  Caption tables with the heading right before them
+ *     --responsive-tables  Wrap tables in a horizontal scroll container
+ *     --fixed-tables  Fixed column widths (wp:table hasFixedLayout)
+ *     --sponsored-hosts=a.com,b.com  Provider hosts whose links get rel="sponsored nofollow"
+ *     --reference-depth=N  Levels of nested references to resolve below the embedded entries (default: all)
+ *     --cache         Keep fetched Contentful entries and assets in temp/contentful-cache/ for later runs
  */
 
 import 'dotenv/config';
@@ -17,7 +28,12 @@ import fetch from 'node-fetch';
 import https from 'https';
 import fs from 'fs';
 import path from 'path';
-import { richTextToHtml } from '../contentful/rich-text-to-html.js';
+import { createIssueReport, hasIssues } from '../contentful/diagnostics.js';
+import {
+  parseConversionArgs, createPageConverter, headingOutline, reportUnresolvedLinks, reportReferenceStats,
+} from '../contentful/page-conversion.js';
+import { createLinkResolver } from './link-resolver.js';
+import { DEFAULT_LOCALE, localized, loadLocaleChain, localeSuffix, parseLocaleArgs } from '../contentful/locales.js';
 
 // ─── Configuration ───────────────────────────────────────────────────
 
@@ -35,6 +51,32 @@ const WP_PASSWORD = process.env.WP_APPLICATION_PASSWORD;
 const agent = new https.Agent({ rejectUnauthorized: false });
 const wpAuth = Buffer.from(`${WP_USERNAME}:${WP_PASSWORD}`).toString('base64');
 
+// ─── CLI Arguments ───────────────────────────────────────────────────
+
+const args = process.argv.slice(2);
+const { locale: LOCALE, fallbacks: FALLBACKS } = parseLocaleArgs(args);
+const STRICT = args.includes('--strict');
+
+// --blocks, table options, --sponsored-hosts, --reference-depth, --cache (see page-conversion.js)
+const CONVERSION = parseConversionArgs(args, { wpBaseUrl: WP_BASE_URL });
+
+// Non-default locales get their own posts, previews and mapping files
+const LOCALE_SUFFIX = localeSuffix(LOCALE);
+const SLUG_SUFFIX = LOCALE_SUFFIX ? `-${LOCALE.toLowerCase()}` : '';
+
+// Locale lookup chain, resolved from Contentful once connected
+let localeChain = [LOCALE || DEFAULT_LOCALE];
+const loc = (field) => localized(field, localeChain);
+
+// Entry ID → WordPress permalink for entry hyperlinks, set up once connected
+let linkResolver = null;
+
+// Rich text → HTML with embedded entries and assets fetched once per run, set up once connected
+let converter = null;
+
+// Conversion diagnostics of every page in this run
+const issueReport = createIssueReport();
+
 // State name → abbreviation map
 const STATE_ABBREVIATIONS = {
   'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR',
@@ -82,10 +124,9 @@ async function findExistingCommunity(slug) {
 
 /**
  * Create or update a WordPress community post
+ * @param {Object} existing - The post with this slug (findExistingCommunity), if any
  */
-async function createOrUpdateCommunity(postData) {
-  const existing = await findExistingCommunity(postData.slug);
-
+async function createOrUpdateCommunity(postData, existing) {
   if (existing) {
     console.log(`   📝 Already exists (ID: ${existing.id}), updating...`);
     const res = await wpFetch(`/community/${existing.id}`, {
@@ -119,133 +160,6 @@ async function createOrUpdateCommunity(postData) {
 
 // ─── Contentful Content Resolution ──────────────────────────────────
 
-/**
- * Recursively find entry references in a document
- */
-function findEntryRefs(node, ids) {
-  if (!node) return;
-  if (node.data?.target?.sys?.linkType === 'Entry') {
-    ids.add(node.data.target.sys.id);
-  }
-  if (node.content) {
-    node.content.forEach(child => findEntryRefs(child, ids));
-  }
-}
-
-/**
- * Recursively find asset references in a document
- */
-function findAssetRefs(node, ids) {
-  if (!node) return;
-  if (node.data?.target?.sys?.linkType === 'Asset') {
-    ids.add(node.data.target.sys.id);
-  }
-  if (node.content) {
-    node.content.forEach(child => findAssetRefs(child, ids));
-  }
-}
-
-/**
- * Resolve all embedded entries referenced in the rich text
- */
-async function resolveEmbeddedEntries(document, environment) {
-  const entries = {};
-  const entryIds = new Set();
-  findEntryRefs(document, entryIds);
-
-  for (const entryId of entryIds) {
-    try {
-      const entry = await environment.getEntry(entryId);
-      const ct = entry.sys.contentType.sys.id;
-      const fields = entry.fields;
-
-      entries[entryId] = {
-        contentType: ct,
-        title: fields.title?.['en-US'] || fields.name?.['en-US'] || '',
-        fields,
-      };
-
-      if (ct === 'link') {
-        entries[entryId].url = fields.url?.['en-US'] || fields.href?.['en-US'] || '';
-        entries[entryId].title = fields.text?.['en-US'] || fields.title?.['en-US'] || fields.label?.['en-US'] || '';
-      }
-
-      // Resolve nested linked entries (e.g., linkReference → link entries)
-      if (ct === 'linkReference') {
-        const links = fields.links?.['en-US'] || [];
-        for (const linkRef of links) {
-          const linkedId = linkRef?.sys?.id;
-          if (linkedId && !entries[linkedId]) {
-            try {
-              const linkedEntry = await environment.getEntry(linkedId);
-              const linkedCt = linkedEntry.sys.contentType.sys.id;
-              entries[linkedId] = {
-                contentType: linkedCt,
-                title: linkedEntry.fields.title?.['en-US'] || linkedEntry.fields.linkText?.['en-US'] || '',
-                url: linkedEntry.fields.url?.['en-US'] || '',
-                fields: linkedEntry.fields,
-              };
-            } catch (e) {
-              console.warn(`   ⚠️  Could not resolve linked entry ${linkedId}: ${e.message}`);
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.warn(`   ⚠️  Could not resolve entry ${entryId}: ${error.message}`);
-      entries[entryId] = { contentType: 'unknown', title: '', error: error.message };
-    }
-  }
-
-  return entries;
-}
-
-/**
- * Resolve all embedded assets referenced in the rich text
- */
-async function resolveEmbeddedAssets(document, environment) {
-  const assets = {};
-  const assetIds = new Set();
-  findAssetRefs(document, assetIds);
-
-  for (const assetId of assetIds) {
-    try {
-      const asset = await environment.getAsset(assetId);
-      const file = asset.fields.file?.['en-US'];
-
-      assets[assetId] = {
-        title: asset.fields.title?.['en-US'] || '',
-        description: asset.fields.description?.['en-US'] || '',
-        fileName: file?.fileName || '',
-        contentType: file?.contentType || '',
-        url: file?.url || '',
-        width: file?.details?.image?.width,
-        height: file?.details?.image?.height,
-      };
-    } catch (error) {
-      console.warn(`   ⚠️  Could not resolve asset ${assetId}: ${error.message}`);
-      assets[assetId] = { title: '', url: '', error: error.message };
-    }
-  }
-
-  return assets;
-}
-
-/**
- * Convert a rich text document to HTML, resolving all references
- */
-async function convertRichText(document, environment) {
-  if (!document || document.nodeType !== 'document') return '';
-
-  const [entries, assets] = await Promise.all([
-    resolveEmbeddedEntries(document, environment),
-    resolveEmbeddedAssets(document, environment),
-  ]);
-
-  const html = richTextToHtml(document, { assets, entries });
-  return { html, entryCount: Object.keys(entries).length, assetCount: Object.keys(assets).length };
-}
-
 /**
  * Extract the state slug from a Contentful slug
  * "memory-care-in-texas" → "texas"
@@ -272,12 +186,40 @@ async function main() {
     process.exit(1);
   }
 
+  if (CONVERSION.error) {
+    console.error(`❌ ${CONVERSION.error}`);
+    process.exit(1);
+  }
+
   // Connect to Contentful
   console.log('\n📡 Connecting to Contentful...');
   const space = await contentfulClient.getSpace(spaceId);
   const environment = await space.getEnvironment(envId);
   console.log('   ✅ Connected');
 
+  ({ chain: localeChain } = await loadLocaleChain(environment, LOCALE, FALLBACKS));
+  console.log(`   🌐 Locale chain: ${localeChain.join(' → ')}`);
+
+
+  // Permalinks for entry hyperlinks: WordPress first, then the mapping files
+  linkResolver = createLinkResolver({ locale: localeChain[0], localeSuffix: LOCALE_SUFFIX });
+  try {
+    await linkResolver.loadFromWordPress(wpFetch);
+  } catch (error) {
+    console.warn(`   ⚠️  Could not load permalinks from WordPress: ${error.message}`);
+  }
+  linkResolver.loadCommunityMaps();
+  linkResolver.loadGuideResults();
+  console.log(`   🔗 Link resolver: ${linkResolver.size} known permalinks`);
+
+  // Embedded entries and assets; --cache keeps them for the next run
+  converter = createPageConverter(environment, {
+    ...CONVERSION,
+    localeChain,
+    linkResolver,
+    cacheKey: `${spaceId}-${envId}`,
+  });
+
   // Fetch all state pages
   console.log('\n📥 Fetching state pages from Contentful...');
   const allStatePages = [];
@@ -300,23 +242,29 @@ async function main() {
 
   // Filter out duplicates (e.g., "memory-care-in-alaska2")
   const statePages = allStatePages.filter(entry => {
-    const slug = entry.fields.slug?.['en-US'] || '';
+    const slug = loc(entry.fields.slug) || '';
     // Skip entries with trailing numbers (duplicates like "alaska2")
     return !slug.match(/\d+$/);
   });
 
   console.log(`   After filtering duplicates: ${statePages.length} state pages`);
 
+  // States linking to each other resolve before their posts exist
+  for (const entry of statePages) {
+    const stateSlug = extractStateSlug(loc(entry.fields.slug) || '');
+    linkResolver.add(entry.sys.id, linkResolver.communityUrl(stateSlug + SLUG_SUFFIX), 'this-run');
+  }
+
   // Sort by slug for predictable order
   statePages.sort((a, b) => {
-    const slugA = a.fields.slug?.['en-US'] || '';
-    const slugB = b.fields.slug?.['en-US'] || '';
+    const slugA = loc(a.fields.slug) || '';
+    const slugB = loc(b.fields.slug) || '';
     return slugA.localeCompare(slugB);
   });
 
   // Process each state
   const results = [];
-  const outputDir = path.join(process.cwd(), 'out', 'communities', 'states');
+  const outputDir = path.join(process.cwd(), 'out', 'communities', 'states', ...(LOCALE_SUFFIX ? [LOCALE] : []));
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
@@ -324,32 +272,39 @@ async function main() {
   for (let i = 0; i < statePages.length; i++) {
     const entry = statePages[i];
     const fields = entry.fields;
-    const contentfulSlug = fields.slug?.['en-US'] || '';
-    const title = fields.title?.['en-US'] || '';
-    const description = fields.description?.['en-US'] || '';
+    const contentfulSlug = loc(fields.slug) || '';
+    const title = loc(fields.title) || '';
+    const description = loc(fields.description) || '';
     const stateSlug = extractStateSlug(contentfulSlug);
     const stateShort = STATE_ABBREVIATIONS[stateSlug] || '';
-    const linkText = fields.linkText?.['en-US'] || '';
-    const heroTextContrast = fields.heroTextContrast?.['en-US'] || false;
-    const noindex = fields.noindex?.['en-US'] || false;
-    const nofollow = fields.nofollow?.['en-US'] || false;
-    const contentBucket = fields.contentBucket?.['en-US'] || '';
-    const sitemapGroup = fields.sitemapGroup?.['en-US'] || '';
+    const linkText = loc(fields.linkText) || '';
+    const heroTextContrast = loc(fields.heroTextContrast) || false;
+    const noindex = loc(fields.noindex) || false;
+    const nofollow = loc(fields.nofollow) || false;
+    const contentBucket = loc(fields.contentBucket) || '';
+    const sitemapGroup = loc(fields.sitemapGroup) || '';
 
     console.log(`\n${'─'.repeat(60)}`);
     console.log(`[${i + 1}/${statePages.length}] 🏛️  ${title} (${stateShort})`);
     console.log(`   Contentful slug: ${contentfulSlug}`);
-    console.log(`   WP slug: ${stateSlug}`);
+    console.log(`   WP slug: ${stateSlug}${SLUG_SUFFIX}`);
 
     try {
-      const body = fields.body?.['en-US'];
-      const heroContent = fields.heroContent?.['en-US'];
+      const body = loc(fields.body);
+      const heroContent = loc(fields.heroContent);
+
+      // Hero and body share one heading outline, so their IDs don't collide
+      const postSlug = stateSlug + SLUG_SUFFIX;
+      const existing = await findExistingCommunity(postSlug);
+      const headings = { anchors: headingOutline(existing), outline: [] };
 
       // Convert hero content
+      const diagnostics = [];
       let heroHtml = '';
       if (heroContent && heroContent.nodeType === 'document') {
-        const result = await convertRichText(heroContent, environment);
+        const result = await converter.convert(heroContent, stateSlug, 'heroContent', headings);
         heroHtml = result.html;
+        diagnostics.push(...result.diagnostics);
       }
 
       // Convert body content
@@ -358,8 +313,9 @@ async function main() {
       let assetCount = 0;
 
       if (body && body.nodeType === 'document') {
-        const result = await convertRichText(body, environment);
+        const result = await converter.convert(body, stateSlug, 'body', headings);
         bodyHtml = result.html;
+        diagnostics.push(...result.diagnostics);
         entryCount = result.entryCount;
         assetCount = result.assetCount;
         console.log(`   📊 Resolved: ${entryCount} entries, ${assetCount} assets`);
@@ -370,7 +326,10 @@ async function main() {
       // Combine content
       let fullContent = '';
       if (heroHtml) {
-        fullContent += `<!-- Hero Content -->\n${heroHtml}\n\n<!-- Main Content -->\n`;
+        // Plain comments would become Classic blocks in block markup
+        fullContent += CONVERSION.format === 'blocks'
+          ? `${heroHtml}\n\n`
+          : `<!-- Hero Content -->\n${heroHtml}\n\n<!-- Main Content -->\n`;
       }
       fullContent += bodyHtml;
 
@@ -378,17 +337,28 @@ async function main() {
       const htmlFilePath = path.join(outputDir, `${stateSlug}.html`);
       fs.writeFileSync(htmlFilePath, fullContent);
 
+      issueReport.add(stateSlug, diagnostics);
+      const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+      if (diagnostics.length > 0) {
+        console.log(`   ⚠️  Conversion issues: ${errorCount} errors, ${diagnostics.length - errorCount} warnings/info`);
+      }
+      if (STRICT && hasIssues(diagnostics, 'error')) {
+        throw new Error(`Not published: ${errorCount} conversion errors (--strict)`);
+      }
+
       // Create WordPress community post
       console.log(`   📤 Sending to WordPress...`);
       const postData = {
         title,
-        slug: stateSlug,
+        slug: stateSlug + SLUG_SUFFIX,
         content: fullContent,
         status: 'publish',
         parent: 0,
         excerpt: description,
         meta: {
           contentful_id: entry.sys.id,
+          contentful_locale: localeChain[0],
+          heading_outline: JSON.stringify(headings.outline),
           listing_type: 'state',
           state_short: stateShort,
           state_long: stateSlug,
@@ -403,7 +373,7 @@ async function main() {
         },
       };
 
-      const result = await createOrUpdateCommunity(postData);
+      const result = await createOrUpdateCommunity(postData, existing);
       console.log(`   ✅ ${result.action}: ID ${result.id}`);
 
       results.push({
@@ -412,6 +382,7 @@ async function main() {
         title,
         contentfulId: entry.sys.id,
         wpPostId: result.id,
+        url: result.url,
         action: result.action,
         success: true,
         embeddedEntries: entryCount,
@@ -452,7 +423,7 @@ async function main() {
   }
 
   // Save results — this mapping is needed for city imports
-  const resultsPath = path.join(process.cwd(), 'out', 'communities', 'state-import-results.json');
+  const resultsPath = path.join(process.cwd(), 'out', 'communities', `state-import-results${LOCALE_SUFFIX}.json`);
   fs.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
   console.log(`\n💾 Results saved to: ${resultsPath}`);
 
@@ -464,14 +435,22 @@ async function main() {
       stateSlug: r.stateSlug,
       stateShort: r.stateShort,
       title: r.title,
+      url: r.url,
     };
   }
 
-  const mapPath = path.join(process.cwd(), 'out', 'communities', 'state-contentful-to-wp-map.json');
+  const mapPath = path.join(process.cwd(), 'out', 'communities', `state-contentful-to-wp-map${LOCALE_SUFFIX}.json`);
   fs.writeFileSync(mapPath, JSON.stringify(stateMap, null, 2));
   console.log(`📋 State mapping saved to: ${mapPath}`);
   console.log(`   (This file is needed for city imports to set parent IDs)\n`);
 
+  reportReferenceStats(converter.references);
+  reportUnresolvedLinks(linkResolver, path.join('communities', `state-unresolved-links${LOCALE_SUFFIX}.json`));
+
+  issueReport.print();
+  const issuesPath = issueReport.write(path.join(process.cwd(), 'out', 'communities', `state-conversion-issues${LOCALE_SUFFIX}.json`));
+  console.log(`   Report: ${issuesPath}\n`);
+
   console.log('✨ State import complete!');
 }
 
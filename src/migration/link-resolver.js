@@ -0,0 +1,220 @@
+/**
+ * Entry Link Resolver: Contentful entry ID → WordPress permalink
+ *
+ * Entry hyperlinks in rich text point at other Contentful pages. Instead of
+ * guessing a URL from the link text, the importers pass `resolver.forPage(slug)`
+ * to richTextToHtml as `resolveEntryUrl`. Permalinks come from, in order:
+ *
+ *   1. WordPress posts carrying the `contentful_id` meta the importers write
+ *      (loadFromWordPress)
+ *   2. The state/city mapping files written by import-states.js and
+ *      import-cities.js (loadCommunityMaps), building /community/<state>/<city>/
+ *   3. Guide pages, by their Contentful slug (addGuides / loadGuideResults)
+ *
+ * Links that can't be resolved are collected with the pages they appear on
+ * and rendered as plain text; writeReport() saves them as JSON under out/.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_LOCALE, localized } from '../contentful/locales.js';
+
+const WP_PAGE_SIZE = 100;
+
+/**
+ * Create a link resolver
+ * @param {Object} options
+ * @param {string} options.locale - Locale being imported; WordPress posts of other locales are ignored
+ * @param {string} options.localeSuffix - Suffix of the mapping files for this locale (from localeSuffix())
+ * @param {string} options.communityBase - Permalink base of the community post type (default "community")
+ * @param {string} options.outDir - Folder with the importers' output (default: out/)
+ */
+export function createLinkResolver(options = {}) {
+  const {
+    locale = DEFAULT_LOCALE,
+    localeSuffix = '',
+    communityBase = 'community',
+    outDir = path.join(process.cwd(), 'out'),
+  } = options;
+
+  // entry ID → { url, source }
+  const permalinks = new Map();
+  // Contentful slug → url, for entries that are only known by slug (guides)
+  const slugPermalinks = new Map();
+  // entry ID → { entryId, contentType, slug, title, pages: Set }
+  const unresolved = new Map();
+
+  const resolver = {
+    /**
+     * Register a permalink; earlier sources win over later ones
+     */
+    add(entryId, url, source) {
+      if (entryId && url && !permalinks.has(entryId)) permalinks.set(entryId, { url, source });
+      return resolver;
+    },
+
+    /**
+     * Permalink of a community post from its slug path (state, or state and city)
+     */
+    communityUrl(...slugs) {
+      return `/${[communityBase, ...slugs.filter(Boolean)].join('/')}/`;
+    },
+
+    /**
+     * Permalinks of every post with `contentful_id` (or the guides'
+     * `contentful_entry_id`) meta
+     * @param {Function} wpFetch - The importer's wpFetch(endpoint) helper
+     * @param {string[]} postTypes - REST endpoints to scan
+     */
+    async loadFromWordPress(wpFetch, postTypes = ['community', 'posts']) {
+      let count = 0;
+      for (const postType of postTypes) {
+        for (let page = 1; ; page++) {
+          const res = await wpFetch(`/${postType}?status=any&per_page=${WP_PAGE_SIZE}&page=${page}&_fields=id,link,meta`);
+          if (!res.ok) {
+            // Past the last page WordPress answers 400 (rest_post_invalid_page_number)
+            if (page === 1) console.warn(`   ⚠️  Could not list /${postType}: HTTP ${res.status}`);
+            break;
+          }
+          const posts = await res.json();
+          for (const post of posts) {
+            const entryId = post.meta?.contentful_id || post.meta?.contentful_entry_id;
+            const postLocale = post.meta?.contentful_locale || DEFAULT_LOCALE;
+            if (entryId && postLocale === locale) {
+              resolver.add(entryId, post.link, `wordpress:${postType}`);
+              count++;
+            }
+          }
+          const totalPages = parseInt(res.headers.get('x-wp-totalpages')) || 1;
+          if (posts.length < WP_PAGE_SIZE || page >= totalPages) break;
+        }
+      }
+      return count;
+    },
+
+    /**
+     * Permalinks from state-contentful-to-wp-map.json and city-contentful-to-wp-map.json
+     */
+    loadCommunityMaps() {
+      const states = readJson(path.join(outDir, 'communities', `state-contentful-to-wp-map${localeSuffix}.json`)) || {};
+      const cities = readJson(path.join(outDir, 'communities', `city-contentful-to-wp-map${localeSuffix}.json`)) || {};
+      const slugSuffix = localeSuffix ? `-${locale.toLowerCase()}` : '';
+
+      const stateByWpId = {};
+      for (const [entryId, state] of Object.entries(states)) {
+        const stateSlug = `${state.stateSlug}${slugSuffix}`;
+        stateByWpId[state.wpPostId] = stateSlug;
+        resolver.add(entryId, state.url || resolver.communityUrl(stateSlug), 'state-map');
+      }
+
+      for (const [entryId, city] of Object.entries(cities)) {
+        // Orphan cities (no parent state) are top-level posts
+        const parentSlug = stateByWpId[city.wpParentId];
+        resolver.add(entryId, city.url || resolver.communityUrl(parentSlug, city.citySlug), 'city-map');
+      }
+
+      return Object.keys(states).length + Object.keys(cities).length;
+    },
+
+    /**
+     * Guides imported to WordPress (out/guides-import-results.json)
+     */
+    loadGuideResults() {
+      const results = readJson(path.join(outDir, 'guides-import-results.json')) || [];
+      const guides = results.filter(r => r.success && r.url);
+      for (const r of guides) {
+        if (r.contentfulId) resolver.add(r.contentfulId, r.url, 'guides');
+        slugPermalinks.set(r.slug, r.url);
+      }
+      return guides.length;
+    },
+
+    /**
+     * Guides that are being imported in this run, linked by slug before
+     * they exist in WordPress
+     */
+    addGuides(slugs) {
+      for (const slug of slugs) {
+        if (!slugPermalinks.has(slug)) slugPermalinks.set(slug, `/${slug}/`);
+      }
+      return resolver;
+    },
+
+    /**
+     * Permalink of an entry, or null
+     * @param {string} entryId - Contentful entry ID
+     * @param {Object} entry - Resolved entry data ({ contentType, fields }) if available
+     */
+    lookup(entryId, entry) {
+      if (permalinks.has(entryId)) return permalinks.get(entryId).url;
+      const slug = localized(entry?.fields?.slug, [locale, DEFAULT_LOCALE]) || entry?.slug;
+      if (slug && slugPermalinks.has(slug)) return slugPermalinks.get(slug);
+      return null;
+    },
+
+    /**
+     * A resolveEntryUrl function for richTextToHtml that records misses
+     * against the page being converted
+     * @param {string} page - Slug of the page being converted
+     */
+    forPage(page) {
+      return (entryId, entry) => {
+        const url = resolver.lookup(entryId, entry);
+        if (!url) recordMiss(entryId, entry, page);
+        return url;
+      };
+    },
+
+    get size() {
+      return permalinks.size + slugPermalinks.size;
+    },
+
+    /**
+     * Unresolved links, most-linked first
+     */
+    unresolvedLinks() {
+      return [...unresolved.values()]
+        .map(miss => ({ ...miss, pages: [...miss.pages].sort() }))
+        .sort((a, b) => b.pages.length - a.pages.length || a.entryId.localeCompare(b.entryId));
+    },
+
+    /**
+     * Save the unresolved links report. It's written even when every link
+     * resolved, so a stale report from an earlier run is replaced
+     * @param {string} name - Report path relative to outDir
+     * @returns {string} Report path
+     */
+    writeReport(name) {
+      const links = resolver.unresolvedLinks();
+      const reportPath = path.join(outDir, name);
+      fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+      fs.writeFileSync(reportPath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        locale,
+        total: links.length,
+        links,
+      }, null, 2));
+      return reportPath;
+    },
+  };
+
+  function recordMiss(entryId, entry, page) {
+    if (!unresolved.has(entryId)) {
+      unresolved.set(entryId, {
+        entryId,
+        contentType: entry?.contentType || 'unknown',
+        slug: localized(entry?.fields?.slug, [locale, DEFAULT_LOCALE]) || '',
+        title: entry?.title || '',
+        pages: new Set(),
+      });
+    }
+    if (page) unresolved.get(entryId).pages.add(page);
+  }
+
+  return resolver;
+}
+
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
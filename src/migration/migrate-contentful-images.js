@@ -242,6 +242,24 @@ async function findExistingMedia(filename) {
   }
 }
 
+/**
+ * ID, dimensions and intermediate sizes of a WordPress media item
+ */
+function mediaInfo(media) {
+  const details = media.media_details || {};
+  return {
+    id: media.id,
+    url: media.source_url,
+    width: details.width,
+    height: details.height,
+    sizes: Object.values(details.sizes || {}).map(size => ({
+      url: size.source_url,
+      width: size.width,
+      height: size.height,
+    })),
+  };
+}
+
 // ─── Main Migration Logic ────────────────────────────────────────────
 
 async function main() {
@@ -373,6 +391,7 @@ async function main() {
   log('═'.repeat(55), c.cyan);
 
   const replacements = {}; // contentful URL → new WP URL
+  const mediaMap = {}; // contentful URL → WP media (ID, dimensions, intermediate sizes)
   let uploaded = 0, skipped = 0, failed = 0;
   const entries = Object.entries(urlMap);
 
@@ -387,6 +406,7 @@ async function main() {
       if (existing) {
         logInfo(`${progress} "${filename}" already in WP media (ID: ${existing.id})`);
         replacements[contentfulUrl] = existing.source_url;
+        mediaMap[contentfulUrl] = mediaInfo(existing);
         // Also map all original URLs with query params
         for (const origUrl of entry.originalUrls) {
           replacements[origUrl] = existing.source_url;
@@ -414,6 +434,7 @@ async function main() {
       const media = await uploadToWordPress(buffer, uploadFilename, mimeType);
 
       replacements[contentfulUrl] = media.source_url;
+      mediaMap[contentfulUrl] = mediaInfo(media);
       // Also map URLs with query params
       for (const origUrl of entry.originalUrls) {
         replacements[origUrl] = media.source_url;
@@ -492,6 +513,13 @@ async function main() {
     fs.mkdirSync('temp', { recursive: true });
     fs.writeFileSync(mapPath, JSON.stringify(replacements, null, 2));
     logInfo(`URL mapping saved to ${mapPath}`);
+
+    // The importers read this to write WordPress URLs and srcsets on the next
+    // import; images from earlier runs (other --post-type values) stay in it
+    const mediaMapPath = path.join('temp', 'contentful-to-wp-media-map.json');
+    const previous = fs.existsSync(mediaMapPath) ? JSON.parse(fs.readFileSync(mediaMapPath, 'utf-8')) : {};
+    fs.writeFileSync(mediaMapPath, JSON.stringify({ ...previous, ...mediaMap }, null, 2));
+    logInfo(`Media mapping saved to ${mediaMapPath} (${Object.keys(mediaMap).length} updated, ${Object.keys(previous).length} before)`);
   }
 
   log('');
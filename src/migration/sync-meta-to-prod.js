@@ -42,6 +42,8 @@ const ONLY_FIELD = args.find(a => a.startsWith('--only='))?.split('=')[1] || '';
 // Meta fields to sync
 const META_FIELDS = [
   'contentful_id',
+  'contentful_locale',
+  'heading_outline',
   'listing_type',
   'state_short',
   'state_long',
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * Table Key Report (dry run)
+ *
+ * Resolves the key of every filtered table embedded in the Contentful pages,
+ * the same way the importers do (see src/contentful/table-keys.js), without
+ * writing anything to WordPress. Use it after re-extract-tables.js to see
+ * which headings don't match a key before importing.
+ *
+ * Usage:
+ *   node src/migration/table-keys-report.js
+ *   node src/migration/table-keys-report.js --page-type=city --verbose
+ *
+ * Options:
+ *   --page-type=<type>  Only pages of this pageType (state, city, ...)
+ *   --locale=es         Read the pages in another locale
+ *   --fallback=a,b      Locales to fall back to when a field is empty
+ *   --verbose           Print every table, not only the ones that didn't resolve
+ *
+ * Writes out/table-keys-report.json.
+ */
+
+import 'dotenv/config';
+import pkg from 'contentful-management';
+const { createClient } = pkg;
+import fs from 'fs';
+import path from 'path';
+import { extractPlainText } from '../contentful/rich-text-to-html.js';
+import { findPrecedingHeading, loadTableKeys, matchTableKey } from '../contentful/table-keys.js';
+import { DEFAULT_LOCALE, localized, loadLocaleChain, parseLocaleArgs } from '../contentful/locales.js';
+
+const contentfulClient = createClient({
+  accessToken: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
+});
+
+const spaceId = process.env.CONTENTFUL_SPACE_ID || '61iwodu7d9u0';
+const envId = process.env.CONTENTFUL_ENVIRONMENT_ID || 'master';
+
+const args = process.argv.slice(2);
+const PAGE_TYPE = args.find(a => a.startsWith('--page-type='))?.split('=')[1] || '';
+const VERBOSE = args.includes('--verbose');
+const { locale: LOCALE, fallbacks: FALLBACKS } = parseLocaleArgs(args);
+
+const RICH_TEXT_FIELDS = ['heroContent', 'body'];
+const REPORT_PATH = path.join(process.cwd(), 'out', 'table-keys-report.json');
+
+// Locale lookup chain, resolved from Contentful once connected
+let localeChain = [LOCALE || DEFAULT_LOCALE];
+const loc = (field) => localized(field, localeChain);
+
+// ─── Helpers ─────────────────────────────────────────────────────────
+
+async function fetchPages(environment) {
+  const pages = [];
+  let skip = 0;
+  const limit = 100;
+
+  while (true) {
+    const batch = await environment.getEntries({
+      content_type: 'page',
+      ...(PAGE_TYPE ? { 'fields.pageType': PAGE_TYPE } : {}),
+      limit,
+      skip,
+    });
+    pages.push(...batch.items);
+    process.stdout.write(`\r   Fetched ${pages.length}/${batch.total}...`);
+    if (pages.length >= batch.total) break;
+    skip += limit;
+  }
+  console.log('');
+  return pages;
+}
+
+/**
+ * Key resolution of every keyed table embedded at the top level of a document
+ */
+function resolveDocumentKeys(document) {
+  const nodes = document.content || [];
+  const tableIds = nodes
+    .filter(node => node.nodeType === 'embedded-entry-block')
+    .map(node => node.data?.target?.sys?.id)
+    .filter(Boolean);
+  const tableKeys = loadTableKeys(tableIds);
+
+  const rows = [];
+  nodes.forEach((node, index) => {
+    const tableId = node.data?.target?.sys?.id;
+    if (node.nodeType !== 'embedded-entry-block' || !tableKeys[tableId]) return;
+
+    const heading = findPrecedingHeading(nodes, index);
+    const headingText = heading ? extractPlainText(heading).trim() : '';
+    if (!headingText) {
+      rows.push({ tableId, heading: '', key: null, status: 'no-heading' });
+      return;
+    }
+
+    const match = matchTableKey(headingText, tableKeys[tableId]);
+    if (match.key) {
+      rows.push({ tableId, heading: headingText, key: match.key, status: match.method });
+    } else {
+      rows.push({
+        tableId,
+        heading: headingText,
+        key: null,
+        status: match.candidates.length > 0 ? 'ambiguous' : 'unmatched',
+        candidates: match.candidates,
+      });
+    }
+  });
+  return rows;
+}
+
+// ─── Main ────────────────────────────────────────────────────────────
+
+async function main() {
+  console.log('🔑 Table Key Report (dry run)');
+  console.log('='.repeat(60));
+
+  if (!fs.existsSync(path.join(process.cwd(), 'out', 'tables'))) {
+    console.log('⚠️  No extracted tables — run re-extract-tables.js first.');
+    return;
+  }
+
+  const space = await contentfulClient.getSpace(spaceId);
+  const environment = await space.getEnvironment(envId);
+  ({ chain: localeChain } = await loadLocaleChain(environment, LOCALE, FALLBACKS));
+  console.log(`🌐 Locale chain: ${localeChain.join(' → ')}`);
+
+  console.log(`\n📥 Fetching ${PAGE_TYPE || 'all'} pages from Contentful...`);
+  const pages = await fetchPages(environment);
+
+  const rows = [];
+  for (const page of pages) {
+    const slug = loc(page.fields.slug) || page.sys.id;
+    const pageType = loc(page.fields.pageType) || '';
+    for (const field of RICH_TEXT_FIELDS) {
+      const document = loc(page.fields[field]);
+      if (document?.nodeType !== 'document') continue;
+      for (const row of resolveDocumentKeys(document)) {
+        rows.push({ page: slug, pageType, field, ...row });
+      }
+    }
+  }
+
+  const byStatus = {};
+  for (const row of rows) byStatus[row.status] = (byStatus[row.status] || 0) + 1;
+  const problems = rows.filter(row => !row.key);
+
+  console.log(`\n📊 ${rows.length} keyed tables on ${new Set(rows.map(r => r.page)).size} pages`);
+  Object.entries(byStatus)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([status, count]) => console.log(`   • ${status}: ${count}`));
+
+  for (const row of VERBOSE ? rows : problems) {
+    const icon = row.key ? '✅' : '❌';
+    const result = row.key
+      ? `→ ${row.key} (${row.status})`
+      : `${row.status}${row.candidates?.length ? `: ${row.candidates.join(', ')}` : ''}`;
+    console.log(`   ${icon} ${row.page} [${row.field}] "${row.heading}" ${result}`);
+  }
+
+  fs.mkdirSync(path.dirname(REPORT_PATH), { recursive: true });
+  fs.writeFileSync(REPORT_PATH, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    locale: localeChain[0],
+    pageType: PAGE_TYPE || 'all',
+    total: rows.length,
+    byStatus,
+    tables: rows,
+  }, null, 2));
+  console.log(`\n💾 Report: ${path.relative(process.cwd(), REPORT_PATH)}`);
+}
+
+main().catch(error => {
+  console.error('❌ Fatal error:', error.message);
+  process.exit(1);
+});
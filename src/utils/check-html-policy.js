@@ -0,0 +1,137 @@
+/**
+ * Checks for the converter's escaping helpers and link policy
+ *
+ * Runs escapeHtml, escapeAttr, sanitizeUrl and createLinkPolicy against
+ * known inputs, including the usual script injection attempts, and exits
+ * with code 1 when any result differs.
+ *
+ * Usage:
+ *   npm run check:html-policy
+ */
+
+import assert from 'assert';
+import { escapeHtml, escapeAttr, richTextToHtml } from '../contentful/rich-text-to-html.js';
+import { sanitizeUrl, createLinkPolicy } from '../contentful/url-policy.js';
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+// ─── escapeHtml ──────────────────────────────────────────────────────
+
+check('escapeHtml escapes markup characters', () => {
+  assert.strictEqual(escapeHtml('<script>alert("x")</script>'), '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;');
+  assert.strictEqual(escapeHtml(`Tom & Jerry's`), 'Tom &amp; Jerry&#039;s');
+});
+
+check('escapeHtml escapes & first, so entities are not decoded twice', () => {
+  assert.strictEqual(escapeHtml('&lt;b&gt;'), '&amp;lt;b&amp;gt;');
+});
+
+check('escapeHtml returns "" for empty values', () => {
+  assert.strictEqual(escapeHtml(''), '');
+  assert.strictEqual(escapeHtml(undefined), '');
+  assert.strictEqual(escapeHtml(null), '');
+});
+
+// ─── escapeAttr ──────────────────────────────────────────────────────
+
+check('escapeAttr escapes quotes and ampersands', () => {
+  assert.strictEqual(escapeAttr(`" onmouseover="alert(1)`), '&quot; onmouseover=&quot;alert(1)');
+  assert.strictEqual(escapeAttr(`' onload='x`), '&#039; onload=&#039;x');
+  assert.strictEqual(escapeAttr('/a?b=1&c=2'), '/a?b=1&amp;c=2');
+});
+
+check('escapeAttr output cannot leave a quoted attribute', () => {
+  const value = escapeAttr(`x" autofocus onfocus="alert(1)`);
+  assert.ok(!value.includes('"'));
+});
+
+check('escapeAttr returns "" for empty values', () => {
+  assert.strictEqual(escapeAttr(''), '');
+  assert.strictEqual(escapeAttr(undefined), '');
+});
+
+// ─── sanitizeUrl ─────────────────────────────────────────────────────
+
+check('sanitizeUrl keeps web, mail and phone links', () => {
+  for (const url of ['https://example.com/a?b=1', 'http://example.com', 'mailto:a@example.com', 'tel:+15555550100']) {
+    assert.strictEqual(sanitizeUrl(url), url);
+  }
+});
+
+check('sanitizeUrl keeps relative URLs, fragments and query strings', () => {
+  for (const url of ['/community/texas/', 'page', '#top', '?page=2', '//cdn.example.com/a.js']) {
+    assert.strictEqual(sanitizeUrl(url), url);
+  }
+});
+
+check('sanitizeUrl blocks script and data schemes', () => {
+  for (const url of ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)']) {
+    assert.strictEqual(sanitizeUrl(url), null, url);
+  }
+});
+
+check('sanitizeUrl sees through whitespace and control characters in the scheme', () => {
+  for (const url of [' javascript:alert(1)', 'java\tscript:alert(1)', 'java\nscript:alert(1)', '\u0001javascript:alert(1)']) {
+    assert.strictEqual(sanitizeUrl(url), null, JSON.stringify(url));
+  }
+});
+
+check('sanitizeUrl takes a custom allow-list', () => {
+  assert.strictEqual(sanitizeUrl('ftp://example.com/file', ['ftp']), 'ftp://example.com/file');
+  assert.strictEqual(sanitizeUrl('https://example.com', ['ftp']), null);
+});
+
+// ─── Link policy ─────────────────────────────────────────────────────
+
+check('external links open in a new tab with noopener noreferrer', () => {
+  const policy = createLinkPolicy();
+  assert.deepStrictEqual(policy.link('https://example.com/'), {
+    href: 'https://example.com/', target: '_blank', rel: 'noopener noreferrer',
+  });
+});
+
+check('links to the site and its subdomains are internal', () => {
+  const policy = createLinkPolicy({ siteHosts: ['memorycare.com'] });
+  assert.deepStrictEqual(policy.link('https://www.memorycare.com/a/'), { href: 'https://www.memorycare.com/a/', target: null, rel: null });
+  assert.deepStrictEqual(policy.link('/a/'), { href: '/a/', target: null, rel: null });
+  assert.strictEqual(policy.isExternal('https://notmemorycare.com/'), true);
+});
+
+check('sponsored provider links get sponsored nofollow', () => {
+  const policy = createLinkPolicy({ sponsoredHosts: ['provider.com'], newTab: false });
+  assert.deepStrictEqual(policy.link('https://book.provider.com/x'), {
+    href: 'https://book.provider.com/x', target: null, rel: 'noopener noreferrer sponsored nofollow',
+  });
+  assert.strictEqual(policy.link('https://other.com/', { sponsored: true }).rel, 'noopener noreferrer sponsored nofollow');
+});
+
+check('blocked links are rendered as text with an unsafe-url diagnostic', () => {
+  const diagnostics = [];
+  const html = richTextToHtml({
+    nodeType: 'document',
+    content: [{
+      nodeType: 'paragraph',
+      data: {},
+      content: [{ nodeType: 'hyperlink', data: { uri: 'javascript:alert(1)' }, content: [{ nodeType: 'text', value: 'click', marks: [], data: {} }] }],
+    }],
+  }, { diagnostics });
+  assert.strictEqual(html, '<p>click</p>');
+  assert.deepStrictEqual(diagnostics.map(d => d.code), ['unsafe-url']);
+});
+
+// ─── Main ────────────────────────────────────────────────────────────
+
+let failed = 0;
+for (const { name, fn } of checks) {
+  try {
+    fn();
+    console.log(`   ✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`   ❌ ${name}\n      ${error.message.split('\n').join('\n      ')}`);
+  }
+}
+
+console.log(`\n📊 ${checks.length - failed}/${checks.length} checks passed`);
+if (failed > 0) process.exitCode = 1;
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+/**
+ * Preview server for converted pages
+ *
+ * Serves the HTML previews the importers write (out/communities/states,
+ * out/communities/cities, out/guides) in a WordPress-like theme shell, so
+ * conversions can be reviewed before importing. [contentful_table],
+ * [contentful_chart], [contentful_cards] and [contentful_toc] shortcodes are
+ * expanded from the extracted JSON in out/tables, out/charts and out/cards
+ * (charts as SVG, see src/contentful/shortcode-renderer.js), and the page's
+ * conversion diagnostics (the importers' *-conversion-issues reports) are
+ * shown in a side panel. Files are read on every request, so re-running an
+ * importer only needs a browser refresh.
+ *
+ * Usage:
+ *   npm run preview
+ *   node src/utils/preview-server.js --port=4000
+ *
+ * Options:
+ *   --port=N  Port to listen on (default 4000, localhost only)
+ *
+ * Add ?shortcodes=0 to a page URL to see the shortcodes unexpanded.
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { parseShortcodeAttributes } from '../contentful/html-to-rich-text.js';
+import { escapeHtml, escapeAttr } from '../contentful/rich-text-to-html.js';
+import { renderShortcode } from '../contentful/shortcode-renderer.js';
+import { localeSuffix } from '../contentful/locales.js';
+
+const args = process.argv.slice(2);
+const PORT = parseInt(args.find(a => a.startsWith('--port='))?.split('=')[1]) || 4000;
+
+const OUT_DIR = path.join(process.cwd(), 'out');
+
+// Preview folders, and the conversion issue report of each locale
+const COLLECTIONS = [
+  {
+    id: 'states',
+    label: 'States',
+    dir: path.join(OUT_DIR, 'communities', 'states'),
+    issues: locale => path.join(OUT_DIR, 'communities', `state-conversion-issues${localeSuffix(locale)}.json`),
+  },
+  {
+    id: 'cities',
+    label: 'Cities',
+    dir: path.join(OUT_DIR, 'communities', 'cities'),
+    issues: locale => path.join(OUT_DIR, 'communities', `city-conversion-issues${localeSuffix(locale)}.json`),
+  },
+  {
+    id: 'guides',
+    label: 'Guides',
+    dir: path.join(OUT_DIR, 'guides'),
+    issues: () => path.join(OUT_DIR, 'guides-conversion-issues.json'),
+  },
+];
+
+// The shared renderer's shortcodes, plus [contentful_toc], which is built from the page itself
+const SHORTCODE_PATTERN = /\[contentful_(table|chart|cards|toc)((?:\s+[\w-]+="[^"]*")*)\s*\]/g;
+
+// ─── Pages ───────────────────────────────────────────────────────────
+
+/**
+ * Previews of a collection: { slug, locale, file }, with locale subfolders
+ * (cities/es/) as their locale
+ */
+function listPages(collection) {
+  if (!fs.existsSync(collection.dir)) return [];
+  const pages = [];
+  for (const item of fs.readdirSync(collection.dir, { withFileTypes: true })) {
+    if (item.isDirectory()) {
+      for (const name of fs.readdirSync(path.join(collection.dir, item.name))) {
+        if (name.endsWith('.html')) pages.push({ slug: name.slice(0, -5), locale: item.name });
+      }
+    } else if (item.name.endsWith('.html')) {
+      pages.push({ slug: item.name.slice(0, -5), locale: '' });
+    }
+  }
+  return pages
+    .map(page => ({ ...page, file: path.join(collection.dir, page.locale, `${page.slug}.html`) }))
+    .sort((a, b) => a.locale.localeCompare(b.locale) || a.slug.localeCompare(b.slug));
+}
+
+function pageUrl(collection, page) {
+  return `/view/${collection.id}/${page.locale ? `${page.locale}/` : ''}${encodeURIComponent(page.slug)}`;
+}
+
+/**
+ * Diagnostics of every page of a collection in one locale: slug → diagnostics
+ */
+function loadIssues(collection, locale) {
+  const file = collection.issues(locale);
+  if (!fs.existsSync(file)) return {};
+  try {
+    const report = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return Object.fromEntries((report.issues || []).map(({ page, diagnostics }) => [page, diagnostics]));
+  } catch {
+    return {};
+  }
+}
+
+function readJson(dir, id) {
+  const file = path.join(OUT_DIR, dir, `${id}.json`);
+  if (!/^[\w-]+$/.test(id) || !fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// ─── Shortcodes ──────────────────────────────────────────────────────
+
+function missing(kind, id) {
+  return `<div class="preview-missing">${escapeHtml(kind)} <code>${escapeHtml(id || '(no id)')}</code> has no extracted JSON</div>`;
+}
+
+/**
+ * A table of contents from the page's own headings (they carry IDs)
+ */
+function renderToc(attrs, html) {
+  const toc = readJson('tables', attrs.id) || {};
+  const levels = (toc.headerTags || ['H2']).map(tag => tag.toLowerCase());
+  const items = [...html.matchAll(/<(h[1-6])\b[^>]*\bid="([^"]+)"[^>]*>([\s\S]*?)<\/\1>/g)]
+    .filter(match => levels.includes(match[1]))
+    .map(([, tag, id, text]) => `<li class="toc-${tag}"><a href="#${id}">${text.replace(/<[^>]+>/g, '')}</a></li>`);
+  if (items.length === 0) return '';
+  return `<nav class="contentful-toc" aria-label="${escapeAttr(toc.title || 'Table of contents')}">`
+    + `${toc.title ? `<p class="toc-title">${escapeHtml(toc.title)}</p>` : ''}<ul class="toc-list">${items.join('')}</ul></nav>`;
+}
+
+/**
+ * Expand every shortcode, outlined and titled with its source: tables,
+ * charts and cards as WordPress renders them without JavaScript
+ */
+function expandPreviewShortcodes(html) {
+  return html.replace(SHORTCODE_PATTERN, (shortcode, name, rawAttrs) => {
+    const attrs = parseShortcodeAttributes(rawAttrs);
+    const rendered = name === 'toc'
+      ? renderToc(attrs, html)
+      : renderShortcode(name, attrs, readJson) ?? missing({ table: 'Table', chart: 'Chart', cards: 'Cards' }[name], attrs.id);
+    return `<div class="preview-shortcode" title="${escapeAttr(shortcode)}">${rendered}</div>`;
+  });
+}
+
+// ─── Theme ───────────────────────────────────────────────────────────
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 17px/1.65 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1e1e1e; background: #f6f7f7; }
+  a { color: #2271b1; }
+  .site-header { background: #1d2327; color: #fff; padding: 12px 24px; display: flex; gap: 16px; align-items: baseline; }
+  .site-header a { color: #fff; text-decoration: none; font-weight: 600; }
+  .site-header .crumbs { color: #c3c4c7; font-size: 14px; }
+  .site-header .crumbs a { color: #c3c4c7; font-weight: normal; text-decoration: underline; }
+  .layout { display: grid; grid-template-columns: minmax(0, 1fr) 340px; gap: 24px; max-width: 1280px; margin: 24px auto; padding: 0 24px; }
+  .entry { background: #fff; padding: 32px 48px; border: 1px solid #dcdcde; }
+  .entry-content { max-width: 800px; margin: 0 auto; }
+  .entry-content img { max-width: 100%; height: auto; }
+  .entry-content table { border-collapse: collapse; width: 100%; margin: 1em 0; font-size: 15px; }
+  .entry-content th, .entry-content td { border: 1px solid #dcdcde; padding: 6px 10px; text-align: left; vertical-align: top; }
+  .entry-content th { background: #f0f0f1; }
+  .entry-content figure { margin: 1.5em 0; }
+  .table-responsive { overflow-x: auto; }
+  .preview-shortcode { outline: 1px dashed #72aee6; outline-offset: 6px; margin: 1.5em 0; }
+  .preview-missing { background: #fcf0f1; color: #8a2424; padding: 8px 12px; }
+  .preview-note { color: #646970; font-size: 13px; }
+  .contentful-toc { background: #f6f7f7; padding: 12px 20px; }
+  .chart-title { font-weight: 600; margin-bottom: 8px; }
+  .chart-legend { list-style: none; padding: 0; display: flex; flex-wrap: wrap; gap: 4px 16px; font-size: 14px; }
+  .screen-reader-text { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); }
+  .cards-list { display: grid; gap: 12px; }
+  .cards-side-by-side .cards-list, .cards-grid .cards-list { grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); }
+  .contentful-card { border: 1px solid #dcdcde; padding: 12px 16px; }
+  .contentful-card .card-title { font-weight: 600; margin: 0 0 4px; }
+  .contentful-card dl { margin: 0; font-size: 15px; } .contentful-card dt { color: #646970; font-size: 13px; } .contentful-card dd { margin: 0 0 4px; }
+  .toc-h3 { margin-left: 1em; } .toc-h4 { margin-left: 2em; }
+  .panel { background: #fff; border: 1px solid #dcdcde; padding: 16px; align-self: start; position: sticky; top: 24px; max-height: calc(100vh - 48px); overflow: auto; font-size: 14px; }
+  .panel h2 { font-size: 16px; margin: 0 0 8px; }
+  .issue { border-left: 4px solid #dba617; padding: 4px 8px; margin: 8px 0; background: #fcf9e8; }
+  .issue.error { border-color: #d63638; background: #fcf0f1; }
+  .issue.info { border-color: #72aee6; background: #f0f6fc; }
+  .issue code { font-size: 12px; }
+  .issue .meta { color: #646970; font-size: 12px; word-break: break-all; }
+  .index { max-width: 1000px; margin: 24px auto; padding: 0 24px; }
+  .index section { background: #fff; border: 1px solid #dcdcde; padding: 16px 24px; margin-bottom: 24px; }
+  .index ul { columns: 3; padding-left: 1.2em; }
+  .badge { display: inline-block; font-size: 11px; padding: 0 6px; border-radius: 8px; background: #dba617; color: #fff; }
+  .badge.error { background: #d63638; }
+`;
+
+function shell(title, crumbs, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} – Preview</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header class="site-header"><a href="/">MemoryCare.com preview</a><span class="crumbs">${crumbs}</span></header>
+${body}
+</body>
+</html>`;
+}
+
+function issueBadge(diagnostics) {
+  if (!diagnostics?.length) return '';
+  const errors = diagnostics.filter(d => d.severity === 'error').length;
+  return ` <span class="badge${errors ? ' error' : ''}">${errors ? `${errors} error${errors === 1 ? '' : 's'}` : diagnostics.length}</span>`;
+}
+
+function renderIndex() {
+  const sections = COLLECTIONS.map(collection => {
+    const pages = listPages(collection);
+    const issues = {};
+    for (const locale of new Set(pages.map(page => page.locale))) issues[locale] = loadIssues(collection, locale);
+    const items = pages.map(page =>
+      `<li><a href="${pageUrl(collection, page)}">${escapeHtml(page.slug)}</a>${page.locale ? ` <small>${escapeHtml(page.locale)}</small>` : ''}${issueBadge(issues[page.locale][page.slug])}</li>`);
+    return `<section><h2>${collection.label} (${pages.length})</h2>`
+      + (items.length ? `<ul>${items.join('')}</ul>` : `<p class="preview-note">No previews in ${escapeHtml(path.relative(process.cwd(), collection.dir))}</p>`)
+      + '</section>';
+  });
+  return shell('Converted pages', 'Converted pages', `<div class="index">${sections.join('\n')}</div>`);
+}
+
+function renderDiagnostics(diagnostics) {
+  if (!diagnostics.length) return '<h2>Conversion issues</h2><p>✅ None reported</p>';
+  const order = { error: 0, warning: 1, info: 2 };
+  const items = [...diagnostics]
+    .sort((a, b) => (order[a.severity] ?? 3) - (order[b.severity] ?? 3))
+    .map(d => `<div class="issue ${escapeAttr(d.severity)}"><strong>${escapeHtml(d.severity)}</strong> <code>${escapeHtml(d.code)}</code>`
+      + `<div>${escapeHtml(d.message || '')}</div>`
+      + `<div class="meta">${[d.field, d.path, d.entryId && `entry ${d.entryId}`, d.assetId && `asset ${d.assetId}`, d.contentType]
+        .filter(Boolean).map(escapeHtml).join(' · ')}</div></div>`);
+  return `<h2>Conversion issues (${diagnostics.length})</h2>${items.join('')}`;
+}
+
+function renderPage(collection, page, expand) {
+  const html = fs.readFileSync(page.file, 'utf-8');
+  const diagnostics = loadIssues(collection, page.locale)[page.slug] || [];
+  const crumbs = `${collection.label}${page.locale ? ` · ${escapeHtml(page.locale)}` : ''} · ${escapeHtml(page.slug)}`
+    + ` · <a href="?shortcodes=${expand ? 0 : 1}">${expand ? 'show shortcodes' : 'expand shortcodes'}</a>`;
+  return shell(page.slug, crumbs, `<div class="layout">
+<article class="entry"><div class="entry-content">
+${expand ? expandPreviewShortcodes(html) : html}
+</div></article>
+<aside class="panel">${renderDiagnostics(diagnostics)}</aside>
+</div>`);
+}
+
+// ─── Server ──────────────────────────────────────────────────────────
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(body);
+}
+
+function handle(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (url.pathname === '/') return send(res, 200, renderIndex());
+
+  const match = url.pathname.match(/^\/view\/([\w-]+)\/(?:([\w-]+)\/)?([^/]+)$/);
+  const collection = match && COLLECTIONS.find(c => c.id === match[1]);
+  if (collection) {
+    const locale = match[2] || '';
+    const slug = decodeURIComponent(match[3]);
+    const page = listPages(collection).find(p => p.locale === locale && p.slug === slug);
+    if (page) return send(res, 200, renderPage(collection, page, url.searchParams.get('shortcodes') !== '0'));
+  }
+  send(res, 404, shell('Not found', 'Not found', '<div class="index"><section><p>No such preview. <a href="/">All pages</a></p></section></div>'));
+}
+
+const server = http.createServer((req, res) => {
+  try {
+    handle(req, res);
+  } catch (error) {
+    send(res, 500, `<pre>${escapeHtml(error.stack || error.message)}</pre>`);
+  }
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log('🖥️  Preview server for converted pages');
+  console.log('='.repeat(60));
+  for (const collection of COLLECTIONS) {
+    console.log(`   📄 ${collection.label}: ${listPages(collection).length} pages`);
+  }
+  console.log(`\n🌐 http://localhost:${PORT}/  (Ctrl+C to stop)`);
+});
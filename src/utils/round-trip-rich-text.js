@@ -0,0 +1,255 @@
+/**
+ * Round-trip check for the rich text converters
+ *
+ * Converts every HTML preview in out/communities back to rich text with
+ * htmlToRichText, renders it again with richTextToHtml and compares the two.
+ * Embedded entries and assets are rebuilt from the shortcodes and images in
+ * the page, so no Contentful access is needed. Images already moved to
+ * WordPress are traced back to their assets through the media map
+ * (temp/contentful-to-wp-media-map.json) when it exists. The table options a
+ * page was imported with (captions, responsive wrapper, fixed layout) are
+ * read from its table markup.
+ *
+ * Usage:
+ *   npm run round-trip
+ *   node src/utils/round-trip-rich-text.js --dir=out/communities/states --verbose
+ *
+ * Options:
+ *   --dir=<path>  Folder to scan recursively for .html files (default: out/communities)
+ *   --verbose     Print the first difference of every mismatching file
+ *   --strict      Exit with code 1 when any file doesn't round-trip
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { htmlToRichText, parseHtml, findShortcodes, createMediaAssetResolver } from '../contentful/html-to-rich-text.js';
+import { richTextToHtml } from '../contentful/rich-text-to-html.js';
+import { loadMediaMap } from '../contentful/page-conversion.js';
+import { loadTableKeys } from '../contentful/table-keys.js';
+
+const args = process.argv.slice(2);
+const dirArg = args.find(a => a.startsWith('--dir='));
+const DIR = path.resolve(dirArg ? dirArg.split('=')[1] : path.join('out', 'communities'));
+const VERBOSE = args.includes('--verbose');
+const STRICT = args.includes('--strict');
+
+// Migrated images: Contentful URL → WordPress media, and back
+const MEDIA = loadMediaMap();
+const resolveAssetId = createMediaAssetResolver(MEDIA);
+const contentfulUrls = Object.fromEntries(Object.keys(MEDIA).map(url => [resolveAssetId(url), url]));
+
+// ─── Helpers ─────────────────────────────────────────────────────────
+
+function findHtmlFiles(dir) {
+  const files = [];
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, item.name);
+    if (item.isDirectory()) files.push(...findHtmlFiles(fullPath));
+    else if (item.name.endsWith('.html')) files.push(fullPath);
+  }
+  return files.sort();
+}
+
+/**
+ * Entry stubs for the shortcodes in a page, with the fields the default
+ * renderers read back into the shortcode attributes
+ */
+function entriesFromShortcodes(html) {
+  const entries = {};
+  for (const { contentType, attrs } of findShortcodes(html)) {
+    if (!attrs.id) continue;
+    const fields = {};
+    if (attrs.title !== undefined) fields.title = { 'en-US': attrs.title };
+    if (attrs.type !== undefined) {
+      fields[contentType === 'dataVisualizationCharts' ? 'visualizationType' : 'type'] = { 'en-US': attrs.type };
+    }
+    if (attrs.submit !== undefined) fields.submitText = { 'en-US': attrs.submit };
+    if (attrs.filters !== undefined) {
+      // Any non-empty selectedKey makes the renderer derive the filter from the heading again
+      const existing = entries[attrs.id]?.fields?.filters;
+      fields.filters = existing || { 'en-US': { selectedKey: ['key'] } };
+    }
+    entries[attrs.id] = { contentType, title: attrs.title || '', fields };
+  }
+  return entries;
+}
+
+/**
+ * Entry stubs for the static tables of contents in a page
+ */
+function entriesFromTocs(html) {
+  const entries = {};
+  const visit = el => {
+    if (el.text !== undefined) return;
+    if (el.tag === 'nav' && hasClass(el, 'contentful-toc') && el.attrs['data-entry-id']) {
+      const title = el.children.find(c => c.tag && hasClass(c, 'toc-title'));
+      const style = (el.attrs.class || '').match(/toc-style-(\S+)/);
+      entries[el.attrs['data-entry-id']] = {
+        contentType: 'tableOfContents',
+        title: title ? textOf(title) : '',
+        fields: {
+          title: { 'en-US': title ? textOf(title) : '' },
+          includedHeaderTags: { 'en-US': (el.attrs['data-headers'] || 'H2').split(',') },
+          style: { 'en-US': style ? style[1] : 'list' },
+          stickyOnScroll: { 'en-US': hasClass(el, 'toc-sticky') },
+        },
+      };
+      return;
+    }
+    el.children.forEach(visit);
+  };
+  visit(parseHtml(html));
+  return entries;
+}
+
+/**
+ * Asset stubs for the images and file links in a page
+ */
+function assetsFromHtml(html) {
+  const assets = {};
+
+  const visit = (el, caption) => {
+    if (el.text !== undefined) return;
+    if (el.tag === 'img' && el.attrs.src) {
+      const id = resolveAssetId(el.attrs.src);
+      if (id) {
+        assets[id] = {
+          // Migrated images are rendered from their Contentful URL through the media map
+          url: contentfulUrls[id] || el.attrs.src,
+          // Only captioned images had a title; the alt text may be the description
+          title: caption ?? '',
+          description: el.attrs.alt ?? '',
+          contentType: el.attrs.src.endsWith('.gif') ? 'image/gif' : 'image/jpeg',
+          width: Number(el.attrs.width) || undefined,
+          height: Number(el.attrs.height) || undefined,
+        };
+      }
+      return;
+    }
+    if (hasClass(el, 'wp-block-file')) {
+      // <a class="wp-block-file"> in classic markup, <div class="wp-block-file"><a> in blocks
+      const link = el.tag === 'a' ? el : el.children.find(c => c.tag === 'a');
+      const id = link?.attrs.href ? resolveAssetId(link.attrs.href) : null;
+      const text = link ? textOf(link) : '';
+      if (id) {
+        assets[id] = {
+          url: link.attrs.href,
+          title: text.replace(/^📄\s*/, ''),
+          contentType: text.startsWith('📄') || link.attrs.href.endsWith('.pdf') ? 'application/pdf' : 'application/octet-stream',
+        };
+      }
+      return;
+    }
+    const figcaption = el.tag === 'figure' ? el.children.find(c => c.tag === 'figcaption') : null;
+    for (const child of el.children) visit(child, figcaption ? textOf(figcaption) : caption);
+  };
+  visit(parseHtml(html), undefined);
+
+  return assets;
+}
+
+/**
+ * Table options the page was imported with (--table-captions,
+ * --responsive-tables, --fixed-tables), read from its table markup
+ */
+function tableOptionsOf(html) {
+  return {
+    caption: /<caption>|<\/table><figcaption/.test(html) ? 'heading' : null,
+    responsive: html.includes('<div class="table-responsive"'),
+    fixedLayout: html.includes('has-fixed-layout'),
+  };
+}
+
+function hasClass(el, className) {
+  return (el.attrs.class || '').split(/\s+/).includes(className);
+}
+
+function textOf(el) {
+  if (el.text !== undefined) return el.text;
+  return el.children.map(textOf).join('').trim();
+}
+
+/**
+ * Comparable form of a page: no comments, one tag, shortcode or text run per line
+ */
+function normalize(html) {
+  return html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*(<[^>]+>|\[contentful_[^\]]*\])\s*/g, '\n$1\n')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+function firstDifference(expected, actual) {
+  const length = Math.max(expected.length, actual.length);
+  for (let i = 0; i < length; i++) {
+    if (expected[i] !== actual[i]) {
+      return { line: i + 1, expected: expected[i] ?? '(end)', actual: actual[i] ?? '(end)' };
+    }
+  }
+  return null;
+}
+
+// ─── Main ────────────────────────────────────────────────────────────
+
+function main() {
+  console.log('🔁 Rich text round-trip check');
+  console.log(`   Folder: ${path.relative(process.cwd(), DIR) || '.'}\n`);
+
+  if (!fs.existsSync(DIR)) {
+    console.log('⚠️  Nothing to check — run import-states or import-cities first to write HTML previews.');
+    return;
+  }
+
+  const files = findHtmlFiles(DIR);
+  let passed = 0;
+  const failures = [];
+
+  for (const file of files) {
+    const relPath = path.relative(DIR, file);
+    const html = fs.readFileSync(file, 'utf8');
+    const format = html.includes('<!-- wp:') ? 'blocks' : 'html';
+    const warnings = [];
+
+    try {
+      const document = htmlToRichText(html, { resolveAssetId, onWarning: message => warnings.push(message) });
+      const entries = { ...entriesFromShortcodes(html), ...entriesFromTocs(html) };
+      const rendered = richTextToHtml(document, {
+        entries,
+        assets: assetsFromHtml(html),
+        // Keyed tables filter on the exact key, as in the importers
+        tableKeys: loadTableKeys(Object.keys(entries)),
+        tables: tableOptionsOf(html),
+        images: { media: MEDIA },
+        format,
+      });
+
+      const diff = firstDifference(normalize(html), normalize(rendered));
+      if (!diff) {
+        passed++;
+        if (VERBOSE) console.log(`   ✅ ${relPath}`);
+        continue;
+      }
+
+      failures.push({ file: relPath, diff, warnings });
+      console.log(`   ❌ ${relPath} (line ${diff.line})`);
+      if (VERBOSE) {
+        console.log(`      expected: ${diff.expected}`);
+        console.log(`      actual:   ${diff.actual}`);
+        for (const warning of warnings) console.log(`      ⚠️  ${warning}`);
+      }
+    } catch (error) {
+      failures.push({ file: relPath, error: error.message, warnings });
+      console.log(`   💥 ${relPath}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n📊 ${passed}/${files.length} files round-trip unchanged`);
+  if (failures.length > 0 && !VERBOSE) console.log('   Re-run with --verbose to see the differences');
+
+  if (STRICT && failures.length > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,96 @@
+<?php
+/**
+ * Post meta registration service.
+ *
+ * @package SilverAssist\CommunityListings
+ * @author  Silver Assist
+ * @license PolyForm-Noncommercial-1.0.0
+ * @since   2.1.0
+ */
+
+declare( strict_types=1 );
+
+namespace SilverAssist\CommunityListings\Service;
+
+use SilverAssist\CommunityListings\Core\Interfaces\LoadableInterface;
+
+/**
+ * Registers the meta the Contentful importers write through the REST API.
+ *
+ * Unregistered meta is dropped by the REST API, so without this the
+ * importers' heading outline (used to keep heading IDs stable on re-import)
+ * and source locale would never be saved.
+ *
+ * Priority 20 — loads alongside other services.
+ *
+ * @since 2.1.0
+ */
+final class MetaRegistrar implements LoadableInterface {
+
+	/**
+	 * Post types the importers write to.
+	 *
+	 * @var array<string>
+	 */
+	private const POST_TYPES = array( 'community', 'post' );
+
+	/**
+	 * Meta keys and their descriptions.
+	 *
+	 * @var array<string, string>
+	 */
+	private const META_FIELDS = array(
+		'heading_outline'   => 'Heading levels, texts and IDs of the last import, as a JSON string.',
+		'contentful_locale' => 'Contentful locale the content was imported from.',
+	);
+
+	/**
+	 * Return the loading priority.
+	 *
+	 * @since 2.1.0
+	 *
+	 * @return int Loading priority.
+	 */
+	public function priority(): int {
+		return 20;
+	}
+
+	/**
+	 * Register WordPress hooks.
+	 *
+	 * @since 2.1.0
+	 *
+	 * @return void
+	 */
+	public function register(): void {
+		\add_action( 'init', array( $this, 'register_meta' ) );
+	}
+
+	/**
+	 * Register the importer meta for REST reads and writes.
+	 *
+	 * @since 2.1.0
+	 *
+	 * @return void
+	 */
+	public function register_meta(): void {
+		foreach ( self::POST_TYPES as $post_type ) {
+			foreach ( self::META_FIELDS as $meta_key => $description ) {
+				\register_post_meta(
+					$post_type,
+					$meta_key,
+					array(
+						'type'          => 'string',
+						'description'   => $description,
+						'single'        => true,
+						'default'       => '',
+						'show_in_rest'  => true,
+						'auth_callback' => static function (): bool {
+							return \current_user_can( 'edit_posts' );
+						},
+					)
+				);
+			}
+		}
+	}
+}